@@ -30,6 +30,8 @@
  */
 
 const AmazonExtractor = {
+  // Selectors come from selector-rules.json (see selector-rules.js)
+  rules: SelectorRules.for('amazon'),
   
   // ============================================
   // PAGE TYPE DETECTION
@@ -97,15 +99,14 @@ const AmazonExtractor = {
   /**
    * Extract price from price-recipe by searching through all nodes
    * @param {Element} priceRecipe - The price-recipe container element
-   * @returns {string|null} - Price string (e.g., "$50.28")
+   * @returns {string|null} - Price string (e.g., "$50.28" or "₹1,299")
    */
   extractPriceFromNodes(priceRecipe) {
     if (!priceRecipe) return null;
     
-    // Regex to match price formats:
-    // $30.45, $30, $299.99, $345, $4,655.99, $4,655, etc.
-    // Pattern: $ followed by digits (with optional commas), optional decimal point and cents
-    const priceRegex = /\$[\d,]+(?:\.\d{2})?/;
+    // Regex to match price formats in any supported storefront currency:
+    // $30.45, $4,655.99, ₹1,299, £12.99, CA$25, etc.
+    const priceRegex = PriceParser.PRICE_PATTERN;
     
     // Get all text nodes within price-recipe
     const walker = document.createTreeWalker(
@@ -131,15 +132,14 @@ const AmazonExtractor = {
   /**
    * Extract price from detail page by searching through all nodes or constructing from components
    * @param {Element} priceContainer - The price container element
-   * @returns {string|null} - Price string (e.g., "$50.28")
+   * @returns {string|null} - Price string (e.g., "$50.28" or "₹1,299")
    */
   extractPriceFromNodesDetailPage(priceContainer) {
     if (!priceContainer) return null;
     
-    // Regex to match price formats:
-    // $30.45, $30, $299.99, $345, $4,655.99, $4,655, etc.
-    // Pattern: $ followed by digits (with optional commas), optional decimal point and cents
-    const priceRegex = /\$[\d,]+(?:\.\d{2})?/;
+    // Regex to match price formats in any supported storefront currency:
+    // $30.45, $4,655.99, ₹1,299, £12.99, CA$25, etc.
+    const priceRegex = PriceParser.PRICE_PATTERN;
     
     // Get all text nodes within priceContainer
     const walker = document.createTreeWalker(
@@ -161,10 +161,10 @@ const AmazonExtractor = {
     
     // Fallback: Try to construct price from component spans
     Logger.log('  Attempting to construct price from component spans...');
-    const symbol = priceContainer.querySelector('.a-price-symbol')?.textContent?.trim() || '';
-    const whole = priceContainer.querySelector('.a-price-whole')?.textContent?.trim() || '';
-    const decimal = priceContainer.querySelector('.a-price-decimal')?.textContent?.trim() || '';
-    const fraction = priceContainer.querySelector('.a-price-fraction')?.textContent?.trim() || '';
+    const symbol = this.rules.first('priceSymbol', priceContainer)?.textContent?.trim() || '';
+    const whole = this.rules.first('priceWhole', priceContainer)?.textContent?.trim() || '';
+    const decimal = this.rules.first('priceDecimal', priceContainer)?.textContent?.trim() || '';
+    const fraction = this.rules.first('priceFraction', priceContainer)?.textContent?.trim() || '';
     
     if (symbol && whole) {
       const constructedPrice = symbol + whole + decimal + fraction;
@@ -246,27 +246,13 @@ const AmazonExtractor = {
     return null;
   },
   
-  /**
-   * Try multiple selectors until one returns a value
-   * @param {Array<string>} selectors - Array of CSS selectors
-   * @param {Element} context - Context element (default: document)
-   * @returns {Element|null}
-   */
-  trySelectors(selectors, context = document) {
-    for (const selector of selectors) {
-      const element = context.querySelector(selector);
-      if (element) return element;
-    }
-    return null;
-  },
-
   /**
    * Find elements by keyword in data-csa-c-slot-id attribute
    * @param {string} keyword - Keyword to search for in slot IDs
    * @returns {Array<Object>} - Array of matched elements with metadata
    */
   findElementsBySlotKeyword(keyword) {
-    const nodes = document.querySelectorAll('[data-csa-c-slot-id]');
+    const nodes = this.rules.all('slotSource');
     const matched = [];
 
     nodes.forEach(el => {
@@ -366,36 +352,11 @@ const AmazonExtractor = {
     
     // STEP 1: Find the product link in the container
     Logger.log('\n📍 Step 1: Finding product link...');
-    let linkElement = null;
-    
-    // Try 1: title-recipe > a (standard for listing pages)
-    linkElement = productContainer.querySelector('[data-cy="title-recipe"] > a');
+    // title-recipe link first, then links with a title attribute (recommended
+    // products), /dp/ links and finally any link (see listingLink in selector-rules.json)
+    const linkElement = this.rules.first('listingLink', productContainer);
     if (linkElement) {
-      Logger.log('   ✅ Found via title-recipe');
-    }
-    
-    // Try 2: Any link with title attribute (fallback for recommended products)
-    if (!linkElement) {
-      linkElement = productContainer.querySelector('a[href][title]');
-      if (linkElement) {
-        Logger.log('   ✅ Found via link with title attribute');
-      }
-    }
-    
-    // Try 3: First link with /dp/ in href
-    if (!linkElement) {
-      linkElement = productContainer.querySelector('a[href*="/dp/"]');
-      if (linkElement) {
-        Logger.log('   ✅ Found via /dp/ link');
-      }
-    }
-    
-    // Try 4: Just first link in container
-    if (!linkElement) {
-      linkElement = productContainer.querySelector('a[href]');
-      if (linkElement) {
-        Logger.log('   ✅ Found via first link');
-      }
+      Logger.log('   ✅ Found product link');
     }
     
     if (!linkElement) {
@@ -418,14 +379,16 @@ const AmazonExtractor = {
     // Try 1: Link title attribute (works for both listing and recommended products)
     if (linkElement.hasAttribute('title')) {
       title = this.cleanText(linkElement.getAttribute('title'));
+      if (title) ExtractionHealth.hit('title', 'attribute:title');
       Logger.log('   ✅ From link title attribute');
     }
     
     // Try 2: h2 element text (fallback)
     if (!title) {
-      const h2 = productContainer.querySelector('h2');
-      title = this.cleanText(h2?.textContent);
+      const heading = this.rules.first('listingTitle', productContainer);
+      title = this.cleanText(heading?.textContent);
       if (title) {
+        ExtractionHealth.hit('title', 'rule:listingTitle');
         Logger.log('   ✅ From h2 element');
       }
     }
@@ -434,6 +397,7 @@ const AmazonExtractor = {
     if (!title) {
       title = this.cleanText(linkElement.textContent);
       if (title) {
+        ExtractionHealth.hit('title', 'text:link');
         Logger.log('   ✅ From link text');
       }
     }
@@ -450,9 +414,11 @@ const AmazonExtractor = {
     if (!product_id) {
       product_id = productContainer?.getAttribute('data-asin');
       if (product_id) {
+        ExtractionHealth.hit('product_id', 'attribute:data-asin');
         Logger.log('   ✅ From data-asin attribute');
       }
     } else {
+      ExtractionHealth.hit('product_id', 'url');
       Logger.log('   ✅ From URL');
     }
     
@@ -465,18 +431,19 @@ const AmazonExtractor = {
     let price = null;
     
     // Try 1: price-recipe (standard for listing pages)
-    const priceRecipe = productContainer.querySelector('[data-cy="price-recipe"]');
+    const priceRecipe = this.rules.first('listingPrice', productContainer);
     if (priceRecipe) {
       price = this.extractPriceFromNodes(priceRecipe);
       if (price) {
+        ExtractionHealth.hit('price', 'rule:listingPrice');
         Logger.log('   ✅ From price-recipe');
       }
     }
     
     // Try 2: Look for a-price structure (for recommended products)
     if (!price) {
-      const priceWhole = productContainer.querySelector('.a-price-whole');
-      const priceFraction = productContainer.querySelector('.a-price-fraction');
+      const priceWhole = this.rules.first('priceWhole', productContainer);
+      const priceFraction = this.rules.first('priceFraction', productContainer);
       
       if (priceWhole) {
         let priceText = this.cleanText(priceWhole.textContent);
@@ -488,6 +455,7 @@ const AmazonExtractor = {
         const match = priceText.match(/[\$£€¥₹]?\s*([\d,]+(?:\.\d{2})?)/);
         if (match) {
           price = match[0].trim();
+          ExtractionHealth.hit('price', 'rule:priceWhole');
           Logger.log('   ✅ From a-price structure');
         }
       }
@@ -495,13 +463,14 @@ const AmazonExtractor = {
     
     // Try 3: Elements with class containing '-price' (broader search)
     if (!price) {
-      const priceElement = productContainer.querySelector('[class*="-price"]');
+      const priceElement = this.rules.first('listingPriceFallback', productContainer);
       if (priceElement) {
         const text = this.cleanText(priceElement.textContent);
         // Extract just the first price match to avoid duplicates
         const match = text.match(/[\$£€¥₹]\s*[\d,]+(?:\.\d{2})?/);
         if (match) {
           price = match[0];
+          ExtractionHealth.hit('price', 'rule:listingPriceFallback');
           Logger.log('   ✅ From element with *-price class');
         }
       }
@@ -520,13 +489,14 @@ const AmazonExtractor = {
     let totalReviews = null;
     
     // Try 1: Look for aria-label with pattern "X.X out of 5 stars XXX ratings"
-    const ariaLabelElements = productContainer.querySelectorAll('[aria-label]');
+    const ariaLabelElements = this.rules.all('listingRatingLabel', productContainer);
     for (const elem of ariaLabelElements) {
       const ariaLabel = elem.getAttribute('aria-label');
       // Match pattern like "4.3 out of 5 stars" or "4.3 out of 5 stars 151 ratings"
       const ratingMatch = ariaLabel.match(/([\d.]+)\s+out of\s+5\s+stars/i);
       if (ratingMatch) {
         rating = ratingMatch[1];
+        ExtractionHealth.hit('rating', 'attribute:aria-label');
         Logger.log('   ✅ Rating from aria-label:', rating);
         
         // Try to extract ratings count from same aria-label
@@ -541,10 +511,11 @@ const AmazonExtractor = {
     
     // Try 2: Fallback to reviews-block (for listing pages)
     if (!rating) {
-      const reviewsBlock = productContainer.querySelector('[data-cy="reviews-block"]');
+      const reviewsBlock = this.rules.first('listingReviewsBlock', productContainer);
       if (reviewsBlock) {
         rating = this.extractRatingFromNodes(reviewsBlock);
         if (rating) {
+          ExtractionHealth.hit('rating', 'rule:listingReviewsBlock');
           Logger.log('   ✅ Rating from reviews-block');
         }
         
@@ -568,24 +539,10 @@ const AmazonExtractor = {
     
     // STEP 7: Extract image
     Logger.log('\n📍 Step 7: Extracting image...');
-    let image = null;
-    
-    // Try specific selectors first
-    const imageSelectors = [
-      '[data-cy="image-container"] img',
-      'img[data-image-latency="s-product-image"]'
-    ];
-    const imageElement = this.trySelectors(imageSelectors, productContainer);
-    image = imageElement?.src || imageElement?.getAttribute('data-src');
-    
-    // Fallback: Just get any img tag in the container
-    if (!image) {
-      const anyImg = productContainer.querySelector('img');
-      if (anyImg) {
-        image = anyImg.src || anyImg.getAttribute('data-src');
-        Logger.log('   ✅ From img tag (fallback)');
-      }
-    }
+    
+    // Product image selectors first, any img in the container last
+    const imageElement = this.rules.first('listingImage', productContainer, 'image');
+    const image = imageElement?.src || imageElement?.getAttribute('data-src') || null;
     
     if (image) {
       Logger.log('✅ Image found');
@@ -594,11 +551,11 @@ const AmazonExtractor = {
     Logger.log('🎉 Extraction complete\n');
     
     // Get reviews URL from reviews-block if available
-    const reviewsBlock = productContainer.querySelector('[data-cy="reviews-block"]');
+    const reviewsBlock = this.rules.first('listingReviewsBlock', productContainer);
     const reviewsData = this.extractReviewsUrlFromNodes(reviewsBlock);
     const reviewsUrl = reviewsData?.reviewsUrl || null;
     
-    return {
+    const product = {
       title: title,
       price: price,
       rating: rating,
@@ -609,6 +566,9 @@ const AmazonExtractor = {
       product_id: product_id,
       retailer: 'amazon'
     };
+    
+    // Add numeric priceValue and currency for sorting and totals
+    return PriceParser.normalizeProduct(product, window.location.hostname);
   },
   
   // ============================================
@@ -637,7 +597,7 @@ const AmazonExtractor = {
     
     // STEP 2: Extract title
     Logger.log('\n📍 Step 2: Extracting title...');
-    const titleElement = document.querySelector('#productTitle');
+    const titleElement = this.rules.first('detailTitle', document, 'title');
     const title = this.cleanText(titleElement?.textContent);
     if (title) {
       Logger.log('✅ Title found');
@@ -649,18 +609,20 @@ const AmazonExtractor = {
     
     // Fallback: Use ASIN input field
     if (!product_id) {
-      const asinInput = document.querySelector('input[name="ASIN"]');
+      const asinInput = this.rules.first('detailAsin');
       product_id = asinInput?.value;
       if (product_id) {
+        ExtractionHealth.hit('product_id', 'rule:detailAsin');
         Logger.log('   ✅ From ASIN input');
       }
     } else {
+      ExtractionHealth.hit('product_id', 'url');
       Logger.log('   ✅ From URL');
     }
     
     // STEP 4: Extract price
     Logger.log('\n📍 Step 4: Extracting price...');
-    const priceContainer = document.querySelector('[data-feature-name^="corePriceDisplay_"]');
+    const priceContainer = this.rules.first('detailPrice', document, 'price');
     const price = this.extractPriceFromNodesDetailPage(priceContainer);
     if (price) {
       Logger.log('✅ Price:', price);
@@ -668,7 +630,7 @@ const AmazonExtractor = {
     
     // STEP 5: Extract rating
     Logger.log('\n📍 Step 5: Extracting rating...');
-    const ratingElement = document.querySelector('[data-hook="rating-out-of-text"]');
+    const ratingElement = this.rules.first('detailRating', document, 'rating');
     const rating = this.cleanText(ratingElement?.textContent);
     if (rating) {
       Logger.log('✅ Rating:', rating);
@@ -676,7 +638,7 @@ const AmazonExtractor = {
     
     // STEP 6: Extract reviews count
     Logger.log('\n📍 Step 6: Extracting reviews...');
-    const reviewsElement = document.querySelector('[data-hook="total-review-count"]');
+    const reviewsElement = this.rules.first('detailReviewCount');
     const reviewsCount = this.cleanText(reviewsElement?.textContent);
     if (reviewsCount) {
       Logger.log('✅ Reviews:', reviewsCount);
@@ -684,12 +646,7 @@ const AmazonExtractor = {
     
     // STEP 7: Extract image
     Logger.log('\n📍 Step 7: Extracting image...');
-    const imageSelectors = [
-      '#landingImage',
-      '#imgBlkFront',
-      '.a-dynamic-image'
-    ];
-    const imageElement = this.trySelectors(imageSelectors);
+    const imageElement = this.rules.first('detailImage', document, 'image');
     const image = imageElement?.src;
     if (image) {
       Logger.log('✅ Image found');
@@ -722,6 +679,10 @@ const AmazonExtractor = {
       Logger.log(`✅ ${detailsCount} specifications`);
     }
     
+    // Normalized specs - the same shape whichever details layout was served
+    const specs = this.extractSpecs(productDetails);
+    Logger.log(`✅ ${Object.keys(specs).length} normalized specs`);
+    
     // STEP 11: Extract important information
     Logger.log('\n📍 Step 11: Extracting important info...');
     const product_important_information = this.extractImportantInformation();
@@ -738,7 +699,7 @@ const AmazonExtractor = {
     
     Logger.log('🎉 Extraction complete\n');
     
-    return {
+    const product = {
       title: title,
       price: price,
       rating: rating,
@@ -751,9 +712,13 @@ const AmazonExtractor = {
       featureBullets: featureBullets,
       description: description,
       productDetails: productDetails,
+      specs: specs,
       productImportantInformation: product_important_information,
       productHighlights: voyagerNorthstarATF
     };
+    
+    // Add numeric priceValue and currency for sorting and totals
+    return PriceParser.normalizeProduct(product, window.location.hostname);
   },
   
   /**
@@ -782,7 +747,7 @@ const AmazonExtractor = {
     // Fallback to old selector-based extraction
     Logger.log('  Falling back to #feature-bullets selector...');
     const bullets = [];
-    const bulletElements = document.querySelectorAll('#feature-bullets ul li');
+    const bulletElements = this.rules.all('featureBullets');
     
     bulletElements.forEach(li => {
       const text = this.cleanText(li.textContent);
@@ -818,13 +783,7 @@ const AmazonExtractor = {
     
     // Fallback to old selectors if slot-based search fails
     Logger.log('  Falling back to selector-based search...');
-    const descriptionSelectors = [
-      '#productDescription',
-      '#renewedProgramDescriptionBtf_feature_div',
-      '#feature-bullets'
-    ];
-    
-    const descElement = this.trySelectors(descriptionSelectors);
+    const descElement = this.rules.first('description');
     return this.cleanText(descElement?.textContent);
   },
   
@@ -906,7 +865,7 @@ const AmazonExtractor = {
     // Fallback to old #prodDetails selector
     Logger.log('  Falling back to #prodDetails selector...');
     const details = {};
-    const prodDetailsSection = document.querySelector('#prodDetails');
+    const prodDetailsSection = this.rules.first('productDetailsSection');
     
     if (!prodDetailsSection) {
       Logger.log('  ⚠️ No #prodDetails section found');
@@ -956,6 +915,188 @@ const AmazonExtractor = {
     return details;
   },
   
+  /**
+   * Build one normalized specs object from whichever details layout Amazon served
+   * Label/value pairs are read from the detail bullets list, the product overview
+   * table and #prodDetails; the one-line detail-bullet text is parsed as a fallback.
+   * @param {Object} productDetails - Result of extractProductDetails()
+   * @returns {Object} - e.g. { Brand: "Sony", Model: "WH1000XM5/B", "Item Weight": "249 g (8.8 ounces)" }
+   */
+  extractSpecs(productDetails) {
+    // Sources in order of precedence: the overview table near the title, then
+    // the detail bullets, then the #prodDetails tables. A label keeps the value
+    // of the first source that has it; SpecParser.normalize applies the same
+    // first-wins rule when different labels map to one key (e.g. "Brand Name"
+    // and "Brand"), so the order holds for normalized keys too.
+    const pairs = {};
+    const addPair = (label, value) => {
+      if (!(label in pairs)) pairs[label] = value;
+    };
+    
+    // Product overview table near the title ("Brand | Sony")
+    this.rules.all('productOverviewRows').forEach(row => {
+      const cells = row.querySelectorAll('td');
+      if (cells.length >= 2) {
+        addPair(this.cleanText(cells[0].textContent), this.cleanText(cells[1].textContent));
+      }
+    });
+    
+    // Detail bullets: <li><span class="a-text-bold">Brand ‏ : ‎</span><span>Sony</span></li>
+    const bulletsElement = this.findElementsBySlotKeyword('detailBullets')[0]?.matchedElement ||
+                           this.rules.first('detailBullets');
+    bulletsElement?.querySelectorAll('li').forEach(li => {
+      const label = li.querySelector('.a-text-bold');
+      if (!label) return;
+      addPair(label.textContent, li.textContent.replace(label.textContent, ''));
+    });
+    
+    // #prodDetails tables were already read into a key/value map
+    if (productDetails && typeof productDetails.details !== 'string') {
+      Object.entries(productDetails).forEach(([label, value]) => addPair(label, value));
+    }
+    
+    // Only the flattened text is available - split it on Amazon's "‏ : ‎" separators
+    if (Object.keys(pairs).length === 0 && typeof productDetails?.details === 'string') {
+      Object.assign(pairs, SpecParser.parseBulletText(productDetails.details));
+    }
+    
+    return SpecParser.normalize(pairs, window.location.hostname);
+  },
+  
+  // ============================================
+  // REVIEW INSIGHTS (run in a hidden tab by background.js)
+  // ============================================
+  
+  MAX_HIGHLIGHT_REVIEWS: 3,
+  MAX_REVIEW_LENGTH: 600,
+  MAX_CUSTOMERS_SAY_HIGHLIGHTS: 10,
+  
+  /**
+   * Read the star histogram, top reviews and "Customers say" summary from a
+   * page with a reviews section (detail page or reviews page)
+   * @returns {Object|null} - { ratingHistogram, topPositiveReviews, topCriticalReviews, customersSay }, null if the page has none of them
+   */
+  extractReviewInsights() {
+    const ratingHistogram = this.extractRatingHistogram();
+    const reviews = this.extractReviews();
+    const customersSay = this.extractCustomersSay();
+    
+    // Most helpful first within each side
+    const byHelpful = (a, b) => (b.helpfulVotes || 0) - (a.helpfulVotes || 0);
+    const topPositiveReviews = reviews.filter(review => review.rating >= 4).sort(byHelpful).slice(0, this.MAX_HIGHLIGHT_REVIEWS);
+    const topCriticalReviews = reviews.filter(review => review.rating !== null && review.rating <= 3).sort(byHelpful).slice(0, this.MAX_HIGHLIGHT_REVIEWS);
+    
+    if (!ratingHistogram && reviews.length === 0 && !customersSay) {
+      Logger.warn('⚠️ No review insights found on', window.location.href);
+      return null;
+    }
+    
+    Logger.log('⭐ Review insights:', {
+      histogram: !!ratingHistogram,
+      positive: topPositiveReviews.length,
+      critical: topCriticalReviews.length,
+      customersSay: !!customersSay
+    });
+    
+    return { ratingHistogram, topPositiveReviews, topCriticalReviews, customersSay };
+  },
+  
+  /**
+   * Star distribution from the histogram rows ("5 star 68%")
+   * @returns {Object|null} - Percent of ratings per star, e.g. { 5: 68, 4: 17, 3: 6, 2: 3, 1: 6 }
+   */
+  extractRatingHistogram() {
+    const histogram = {};
+    
+    this.rules.all('reviewHistogramRows').forEach(row => {
+      // Rows carry "5 stars represent 68% of rating" as aria-label on newer layouts
+      const text = `${row.getAttribute('aria-label') || ''} ${row.textContent}`;
+      const star = text.match(/([1-5])\s*stars?/i);
+      const percent = text.match(/(\d{1,3})\s*%/);
+      if (star && percent && !(star[1] in histogram)) {
+        histogram[star[1]] = parseInt(percent[1], 10);
+      }
+    });
+    
+    return Object.keys(histogram).length > 0 ? histogram : null;
+  },
+  
+  /**
+   * Reviews listed on the page
+   * @returns {Array<Object>} - [{ rating, title, body, author, date, helpfulVotes }]
+   */
+  extractReviews() {
+    return Array.from(this.rules.all('reviewItems')).map(review => {
+      const ratingText = this.rules.first('reviewRating', review)?.textContent || '';
+      const ratingMatch = ratingText.match(/(\d+(?:[.,]\d)?)/);
+      const body = this.cleanText(this.rules.first('reviewBody', review)?.textContent) || '';
+      
+      return {
+        rating: ratingMatch ? parseFloat(ratingMatch[1].replace(',', '.')) : null,
+        title: this.cleanText(this.rules.first('reviewTitle', review)?.textContent),
+        body: body.length > this.MAX_REVIEW_LENGTH ? `${body.substring(0, this.MAX_REVIEW_LENGTH)}…` : body,
+        author: this.cleanText(this.rules.first('reviewAuthor', review)?.textContent),
+        date: this.cleanText(this.rules.first('reviewDate', review)?.textContent),
+        helpfulVotes: this.parseHelpfulVotes(this.rules.first('reviewHelpful', review)?.textContent)
+      };
+    }).filter(review => review.body || review.title);
+  },
+  
+  // "1,234 people found this helpful" -> 1234, "One person found this helpful" -> 1
+  parseHelpfulVotes(text) {
+    if (!text) return 0;
+    const match = text.match(/([\d,.]+)/);
+    if (match) return parseInt(match[1].replace(/[,.]/g, ''), 10) || 0;
+    return /one person/i.test(text) ? 1 : 0;
+  },
+  
+  /**
+   * Amazon's AI-generated "Customers say" block
+   * @returns {Object|null} - { summary, highlights: ["Sound quality", ...] }
+   */
+  extractCustomersSay() {
+    const summary = this.cleanText(this.rules.first('customersSaySummary')?.textContent);
+    const highlights = [...new Set(
+      Array.from(this.rules.all('customersSayAspects'))
+        .map(aspect => this.cleanText(aspect.textContent))
+        .filter(Boolean)
+    )].slice(0, this.MAX_CUSTOMERS_SAY_HIGHLIGHTS);
+    
+    if (!summary && highlights.length === 0) return null;
+    return { summary, highlights };
+  },
+  
+  // ============================================
+  // BACKGROUND ENRICHMENT
+  // ============================================
+  
+  // Called by content.js once a product is stored - fetch review insights in a hidden tab
+  onProductAdded(product, productContainer, result = {}) {
+    // Background enrichment can be switched off on the options page
+    if (!Config.settings.reviewsEnrichment) {
+      Logger.log('⏭️ Amazon review enrichment disabled in settings');
+      return;
+    }
+    
+    // Updating an item already in the list keeps its insights - no new tab
+    if (result.isReplaced || product.reviewsEnriched) {
+      Logger.log('⏭️ Review insights already collected for', product.product_id);
+      return;
+    }
+    
+    // Listing cards link to the reviews section; detail-page products use their own page
+    const url = product.reviewsUrl || product.url;
+    if (!url) return;
+    
+    Logger.log('🔄 Fetching review insights in background:', url);
+    
+    chrome.runtime.sendMessage({
+      action: 'fetchReviewInsights',
+      url: url,
+      productId: product.product_id
+    });
+  },
+  
   // ============================================
   // BUTTON INSERTION
   // ============================================
@@ -1000,7 +1141,7 @@ const AmazonExtractor = {
    * @returns {Array<Object>} - Insertion data for all products on listing page
    */
   findInsertionPointsOnListingPage() {
-    const products = document.querySelectorAll('[data-asin]');
+    const products = this.rules.all('productContainer');
     const insertionData = [];
     
     Logger.log(`🔍 Listing Page: Found ${products.length} elements with data-asin`);
@@ -1015,7 +1156,7 @@ const AmazonExtractor = {
       }
       
       // Find title-recipe as insertion point
-      const titleRecipe = productContainer.querySelector('[data-cy="title-recipe"]');
+      const titleRecipe = this.rules.first('titleRecipe', productContainer);
       
       if (titleRecipe) {
         Logger.log(`  Product ${index + 1}: ASIN=${asin}`);
@@ -1060,14 +1201,14 @@ const AmazonExtractor = {
    * @returns {Object|null} - Insertion data for main product
    */
   findMainProductInsertionPoint() {
-    const productTitle = document.querySelector('#productTitle');
+    const productTitle = this.rules.first('detailTitle');
     
     if (!productTitle?.parentElement?.parentElement) {
       return null;
     }
     
     // Get ASIN from hidden input or URL
-    const asinInput = document.querySelector('input[name="ASIN"]');
+    const asinInput = this.rules.first('detailAsin');
     const mainAsin = asinInput?.value || this.extractProductIdFromUrl(window.location.href);
     
     Logger.log(`  Main Product: ASIN=${mainAsin}`);
@@ -1086,7 +1227,7 @@ const AmazonExtractor = {
    * @returns {Array<Object>} - Insertion data for recommended products
    */
   findRecommendedProductInsertionPoints() {
-    const allProductElements = document.querySelectorAll('[data-asin]');
+    const allProductElements = this.rules.all('productContainer');
     const insertionData = [];
     
     Logger.log(`  Recommended Products: Found ${allProductElements.length} elements with data-asin`);
@@ -1125,36 +1266,30 @@ const AmazonExtractor = {
    * @returns {Element|null} - Best insertion point, or null if none found
    */
   findInsertionPointInContainer(container) {
-    // Try selectors in order of preference
-    const selectors = [
-      '[data-cy="title-recipe"]',              // Standard product card
-      'h2',                                     // Heading element
-      'a[href*="/dp/"]'                         // Product link (fallback)
-    ];
-    
-    for (const selector of selectors) {
-      const element = container.querySelector(selector);
-      if (element) {
-        // For title-recipe, return it directly; for others return parent
-        if (selector === '[data-cy="title-recipe"]') {
-          return element;
-        }
-        // For h2, find its parent container
-        if (selector === 'h2') {
-          // Try to find a good parent container (not just immediate parent)
-          let parent = element.parentElement;
-          while (parent && parent !== container && parent.tagName === 'A') {
-            parent = parent.parentElement;
-          }
-          return parent || element.parentElement;
-        }
-        // For links, return the parent element
-        return element.parentElement;
+    // Standard product card: the title-recipe itself
+    const titleRecipe = this.rules.first('titleRecipe', container);
+    if (titleRecipe) {
+      return titleRecipe;
+    }
+    
+    // Heading element: find a good parent container (not just immediate parent)
+    const heading = this.rules.first('recommendedHeading', container);
+    if (heading) {
+      let parent = heading.parentElement;
+      while (parent && parent !== container && parent.tagName === 'A') {
+        parent = parent.parentElement;
       }
+      return parent || heading.parentElement;
+    }
+    
+    // Product link (fallback): its parent element
+    const link = this.rules.first('recommendedLink', container);
+    if (link) {
+      return link.parentElement;
     }
     
     // Final fallback: use the container itself or first div/section
-    const firstDiv = container.querySelector('div.a-row, div.a-section');
+    const firstDiv = this.rules.all('recommendedFallback', container)[0];
     if (firstDiv) {
       Logger.log('   Using first div container as insertion point');
       return firstDiv;
@@ -1188,7 +1323,7 @@ const AmazonExtractor = {
     
     if (!productId && productContainer) {
       // Last resort: try to extract from product URL in title-recipe
-      const linkElement = productContainer.querySelector('[data-cy="title-recipe"] > a');
+      const linkElement = this.rules.first('titleRecipe', productContainer)?.querySelector(':scope > a');
       if (linkElement?.href) {
         productId = this.extractProductIdFromUrl(linkElement.href);
         Logger.log('  Extracted product_id from URL:', productId);
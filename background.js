@@ -1,11 +1,15 @@
 // Background script to handle badge updates and storage
 
-// Update badge when storage changes
+// Shared modules (config first - everything else logs through it)
+importScripts('config.js', 'price.js', 'price-history.js', 'price-watch.js', 'lists.js', 'matching.js', 'specs.js', 'item-schema.js', 'comparison-store.js', 'comparison-session.js', 'list-sync.js');
+
+// Keep Config in sync with the options page
+Config.loadSettings();
+
+// Update badge when the items or the selected list change
 chrome.storage.onChanged.addListener((changes, namespace) => {
-  if (namespace === 'local' && changes.comparison_items) {
-    const items = changes.comparison_items.newValue || [];
-    const activeCount = items.filter(item => item.status === 'active').length;
-    updateBadge(activeCount);
+  if (namespace === 'local' && (changes.comparison_items || changes[ComparisonLists.ACTIVE_KEY])) {
+    initializeBadge();
   }
 });
 
@@ -22,18 +26,44 @@ function updateBadge(count) {
 // Initialize badge on startup
 chrome.runtime.onStartup.addListener(() => {
   initializeBadge();
+  schedulePriceWatch();
+  scheduleRemovedItemsPurge();
+  ListSync.schedule();
 });
 
 // Initialize badge when extension is installed or updated
 chrome.runtime.onInstalled.addListener(() => {
+  runMigrations().catch(error => console.error('❌ Error migrating stored items:', error));
   initializeBadge();
+  schedulePriceWatch();
+  scheduleRemovedItemsPurge();
+  createContextMenu();
+  ListSync.schedule();
 });
 
-// Initialize badge count
+// Upgrade stored items to the current ItemSchema shape, one migration at a time.
+// The stored version only moves past a migration once its write succeeded,
+// so a failed one runs again on the next update.
+async function runMigrations() {
+  const storedVersion = await ItemSchema.getStoredVersion();
+  
+  for (const migration of ItemSchema.pendingMigrations(storedVersion)) {
+    const result = await ComparisonStore.edit(items => migration.migrate(items));
+    if (!result.success) {
+      console.error(`❌ Migration to schema ${migration.version} failed:`, result.message);
+      return;
+    }
+    await ItemSchema.setStoredVersion(migration.version);
+    console.log(`🧬 Stored items migrated to schema ${migration.version}: ${migration.description}`);
+  }
+}
+
+// Initialize badge count (active items of the selected list)
 function initializeBadge() {
-  chrome.storage.local.get(['comparison_items'], (result) => {
+  chrome.storage.local.get(['comparison_items'], async (result) => {
     const items = result.comparison_items || [];
-    const activeCount = items.filter(item => item.status === 'active').length;
+    const listId = await ComparisonLists.getActiveListId();
+    const activeCount = ComparisonLists.activeItemsIn(items, listId).length;
     updateBadge(activeCount);
   });
 }
@@ -47,34 +77,34 @@ chrome.runtime.onMessageExternal.addListener((request, sender, sendResponse) =>
   }
 
   if (request.action === 'getProducts') {
-    // Return all products from chrome.storage.local
-    chrome.storage.local.get(['comparison_items', 'browser_uuid'], (result) => {
+    // Return products from chrome.storage.local - all of them, or one list if listId is given
+    chrome.storage.local.get(['comparison_items', 'browser_uuid'], async (result) => {
       const items = result.comparison_items || [];
+      const lists = await ComparisonLists.getLists();
+      const activeListId = await ComparisonLists.getActiveListId();
+      
+      if (request.listId && !lists.some(list => list.id === request.listId)) {
+        sendResponse({ success: false, error: 'Unknown list' });
+        return;
+      }
+      
+      // Removed items are only restorable from the popup; the site gets them on request
+      const visibleItems = request.includeRemoved ? items : items.filter(item => item.status !== 'removed');
+      
       sendResponse({ 
         success: true, 
-        products: items,
+        products: request.listId ? visibleItems.filter(item => ComparisonLists.belongsTo(item, request.listId)) : visibleItems,
+        listId: request.listId || null,
+        lists: lists,
+        activeListId: activeListId,
         sessionId: result.browser_uuid 
       });
     });
     return true; // Keep channel open for async response
   } else if (request.action === 'removeProduct') {
-    // Mark product as removed (soft delete)
-    const productId = request.product_id;
-    chrome.storage.local.get(['comparison_items'], (result) => {
-      const items = result.comparison_items || [];
-      const updatedItems = items.map(item => {
-        if (item.product_id === productId) {
-          return { ...item, status: 'removed', removedAt: new Date().toISOString() };
-        }
-        return item;
-      });
-      
-      chrome.storage.local.set({ comparison_items: updatedItems }, () => {
-        const activeCount = updatedItems.filter(item => item.status === 'active').length;
-        updateBadge(activeCount);
-        sendResponse({ success: true, count: activeCount });
-      });
-    });
+    // Mark product as removed (soft delete) in the given list, or the selected one
+    ComparisonStore.remove(request.product_id, { listId: request.listId })
+      .then(result => sendResponse({ success: result.success, count: result.count }));
     return true; // Keep channel open for async response
   }
   
@@ -83,7 +113,15 @@ chrome.runtime.onMessageExternal.addListener((request, sender, sendResponse) =>
 
 // Listen for messages from content script
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === 'updateBadge') {
+  if (request.action === ComparisonStore.MESSAGE_ACTION) {
+    // Item changes from pages and content scripts run here, one at a time
+    ComparisonStore.handleMessage(request).then(sendResponse);
+    return true; // Keep channel open for async response
+  } else if (request.action === PriceHistory.MESSAGE_ACTION) {
+    // Price observations from every store tab share one write queue too
+    PriceHistory.handleMessage(request).then(sendResponse);
+    return true; // Keep channel open for async response
+  } else if (request.action === 'updateBadge') {
     updateBadge(request.count);
     sendResponse({ success: true });
   } else if (request.action === 'initializeBadge') {
@@ -100,76 +138,98 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         sendResponse({ success: false, error: error.message });
       });
     return true; // Keep channel open for async response
+  } else if (request.action === 'fetchReviewInsights') {
+    // Collect Amazon review insights in background
+    fetchReviewInsightsInBackground(request.url, request.productId)
+      .then(() => {
+        sendResponse({ success: true });
+      })
+      .catch(error => {
+        console.error('Error fetching review insights:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true; // Keep channel open for async response
   }
   return true;
 });
 
-// Fetch property details in a background tab
-async function fetchPropertyDetailsInBackground(url, productId) {
-  console.log('🌐 [Background] Opening detail page:', url);
-  
-  try {
+// Open a URL in a hidden tab, run an injected function once it loads, then close the tab
+function runInBackgroundTab(url, func, renderDelay = 1000) {
+  return new Promise((resolve, reject) => {
     // Create tab in background (active: false)
-    const tab = await chrome.tabs.create({ url: url, active: false });
-    console.log('📑 [Background] Background tab created:', tab.id);
-    
-    // Wait for tab to load
-    return new Promise((resolve, reject) => {
+    chrome.tabs.create({ url: url, active: false }).then((tab) => {
+      console.log('📑 [Background] Background tab created:', tab.id);
+      
       const timeout = setTimeout(() => {
+        chrome.tabs.onUpdated.removeListener(listener);
         chrome.tabs.remove(tab.id).catch(() => {});
         reject(new Error('Timeout waiting for page to load'));
       }, 30000); // 30 second timeout
       
-      chrome.tabs.onUpdated.addListener(function listener(tabId, changeInfo) {
-        if (tabId === tab.id && changeInfo.status === 'complete') {
-          chrome.tabs.onUpdated.removeListener(listener);
-          clearTimeout(timeout);
-          
-          console.log('✅ [Background] Page loaded, extracting details');
-          
-          // Inject extraction script with scrolling
-          setTimeout(() => {
-            chrome.scripting.executeScript({
-              target: { tabId: tab.id },
-              func: extractZillowDetailsFromPage
-            }, (results) => {
-              // Close the background tab
-              chrome.tabs.remove(tab.id).catch(() => {});
-              
-              if (chrome.runtime.lastError) {
-                console.error('Script injection error:', chrome.runtime.lastError);
-                reject(new Error(chrome.runtime.lastError.message));
-                return;
-              }
-              
-              if (results && results[0] && results[0].result) {
-                const details = results[0].result;
-                console.log('✅ [Background] Details extracted:', details);
-                
-                // Update storage with additional details
-                chrome.storage.local.get(['comparison_items'], (result) => {
-                  const items = result.comparison_items || [];
-                  const updatedItems = items.map(item => {
-                    if (item.product_id === productId) {
-                      return { ...item, ...details, detailsEnriched: true };
-                    }
-                    return item;
-                  });
-                  
-                  chrome.storage.local.set({ comparison_items: updatedItems }, () => {
-                    console.log('✅ [Background] Storage updated with enriched details');
-                    resolve();
-                  });
-                });
-              } else {
-                console.warn('⚠️ [Background] No details extracted');
-                resolve();
-              }
-            });
-          }, 1000); // 1 second delay for initial rendering
-        }
-      });
-    });
+      function listener(tabId, changeInfo) {
+        if (tabId !== tab.id || changeInfo.status !== 'complete') return;
+        
+        chrome.tabs.onUpdated.removeListener(listener);
+        clearTimeout(timeout);
+        
+        console.log('✅ [Background] Page loaded, running extraction');
+        
+        // Give the page a moment for initial rendering
+        setTimeout(() => {
+          chrome.scripting.executeScript({
+            target: { tabId: tab.id },
+            func: func
+          }, (results) => {
+            // Close the background tab
+            chrome.tabs.remove(tab.id).catch(() => {});
+            
+            if (chrome.runtime.lastError) {
+              console.error('Script injection error:', chrome.runtime.lastError);
+              reject(new Error(chrome.runtime.lastError.message));
+              return;
+            }
+            
+            resolve(results && results[0] ? results[0].result : null);
+          });
+        }, renderDelay);
+      }
+      
+      chrome.tabs.onUpdated.addListener(listener);
+    }).catch(reject);
+  });
+}
+
+// Injected detail extraction per real-estate site. Zillow has its own scrape routine,
+// Redfin and Realtor.com reuse their content-script extractor inside the hidden tab.
+const PROPERTY_DETAIL_EXTRACTORS = {
+  zillow: extractZillowDetailsFromPage,
+  redfin: extractPropertyDetailsFromPage,
+  realtor: extractPropertyDetailsFromPage
+};
+
+// Fetch property details in a background tab
+async function fetchPropertyDetailsInBackground(url, productId) {
+  console.log('🌐 [Background] Opening detail page:', url);
+  
+  const retailerId = Config.getRetailerId(new URL(url).hostname);
+  const extractDetails = PROPERTY_DETAIL_EXTRACTORS[retailerId];
+  if (!extractDetails) {
+    throw new Error(`No detail extractor for ${url}`);
+  }
+  
+  try {
+    const details = await runInBackgroundTab(url, extractDetails);
+    
+    if (!details) {
+      console.warn('⚠️ [Background] No details extracted');
+      return;
+    }
+    
+    console.log('✅ [Background] Details extracted:', details);
+    
+    // Update storage with additional details
+    await ComparisonStore.update(productId, { ...details, detailsEnriched: true });
+    console.log('✅ [Background] Storage updated with enriched details');
   } catch (error) {
     console.error('❌ [Background] Error:', error);
     throw error;
@@ -202,12 +262,19 @@ function extractZillowDetailsFromPage() {
       });
     };
     
-    // First, scroll to bottom to load all content
-    scrollToBottom().then(() => {
+    // First, scroll to bottom to load all content. Selectors come from the
+    // rules the Zillow content script loaded in this tab.
+    scrollToBottom().then(() => window.SelectorRules?.load()).then(() => {
+      // No content script in the tab (retailer switched off, page not matched)
+      if (!window.SelectorRules) {
+        resolve(null);
+        return;
+      }
+      
+      const rules = window.SelectorRules.for('zillow');
       try {
         // Extract beds, baths, sqft
-        const bedBathContainer = document.querySelector('[data-testid="mobile-bed-bath-sqft"]') ||
-                                document.querySelector('[data-testid="desktop-bed-bath-sqft"]');
+        const bedBathContainer = rules.first('bedBathSqft');
         if (bedBathContainer) {
           const text = bedBathContainer.textContent;
           const bedMatch = text.match(/(\d+)\s*(?:bd|bed)/i);
@@ -220,7 +287,7 @@ function extractZillowDetailsFromPage() {
         }
         
         // Extract at-a-glance facts
-        const glanceContainer = document.querySelector('[data-testid="at-a-glance"]');
+        const glanceContainer = rules.first('atAGlance');
         if (glanceContainer) {
           const text = glanceContainer.textContent;
           
@@ -238,14 +305,14 @@ function extractZillowDetailsFromPage() {
         }
         
         // Extract description
-        const descriptionElement = document.querySelector('[data-testid="description"]');
+        const descriptionElement = rules.first('description');
         if (descriptionElement) {
           const fullDesc = descriptionElement.textContent.trim();
           details.description = fullDesc.length > 200 ? fullDesc.substring(0, 200) + '...' : fullDesc;
         }
         
         // Extract stats
-        const statsContainers = Array.from(document.querySelectorAll('[class*="StyledOverviewStats"]'));
+        const statsContainers = Array.from(rules.all('overviewStats'));
         for (const container of statsContainers) {
           const text = container.textContent;
           const daysMatch = text.match(/(\d+)\s*days?\s*on\s*Zillow/i);
@@ -259,19 +326,19 @@ function extractZillowDetailsFromPage() {
         }
         
         // Extract estimated monthly payment
-        const paymentModule = document.querySelector('[data-testid="chip-personalize-payment-module"]');
+        const paymentModule = rules.first('paymentModule');
         if (paymentModule) {
           const paymentMatch = paymentModule.textContent.match(/\$[\d,]+/);
           if (paymentMatch) details.estimatedMonthly = paymentMatch[0];
         }
         
         // Extract schools (now that we've scrolled)
-        const inlineContainers = document.querySelectorAll('[data-renderstrat="inline"]');
+        const inlineContainers = rules.all('inlineSections');
         for (const container of inlineContainers) {
-          const h2 = container.querySelector('h2');
+          const h2 = rules.first('sectionHeading', container);
           if (h2 && h2.textContent.trim() === 'Nearby schools') {
             const schools = [];
-            const schoolElements = container.querySelectorAll('li, [class*="school"]');
+            const schoolElements = rules.all('schoolItems', container);
             
             schoolElements.forEach((schoolEl, index) => {
               if (index >= 3) return;
@@ -305,6 +372,399 @@ function extractZillowDetailsFromPage() {
   });
 }
 
+// Function injected into a Redfin or Realtor.com detail page - runs that site's extractor
+function extractPropertyDetailsFromPage() {
+  return new Promise((resolve) => {
+    // Scroll through the page so lazy sections (schools, payment) render
+    let totalHeight = 0;
+    const scrollTimer = setInterval(() => {
+      window.scrollBy(0, 500);
+      totalHeight += 500;
+      if (totalHeight < document.documentElement.scrollHeight) return;
+      clearInterval(scrollTimer);
+      
+      setTimeout(async () => {
+        // No content script in the tab (retailer switched off, page not matched)
+        if (!window.SelectorRules) {
+          resolve(null);
+          return;
+        }
+        await window.SelectorRules.load();
+        const extractor = window.RedfinExtractor || window.RealtorExtractor;
+        const product = extractor?.extractFromDetailPage();
+        if (!product) {
+          resolve(null);
+          return;
+        }
+        
+        // Only pass on fields the detail page actually has, so empty values
+        // don't overwrite what the search card already captured
+        const details = {};
+        Object.entries(product).forEach(([key, value]) => {
+          if (key === 'product_id' || key === 'extractedFrom') return;
+          if (value === '' || value === null || (Array.isArray(value) && value.length === 0)) return;
+          details[key] = value;
+        });
+        resolve(details);
+      }, 1000);
+    }, 200);
+  });
+}
+
+// ============================================
+// AMAZON REVIEW INSIGHTS
+// ============================================
+
+// Open the reviews section in a background tab and merge what it shows into the stored item
+async function fetchReviewInsightsInBackground(url, productId) {
+  console.log('🌐 [Background] Opening reviews page:', url);
+  
+  try {
+    const insights = await runInBackgroundTab(url, extractReviewInsightsFromPage, 1500);
+    
+    if (!insights) {
+      console.warn('⚠️ [Background] No review insights extracted');
+      return;
+    }
+    
+    await ComparisonStore.update(productId, {
+      ...insights,
+      reviewsEnriched: true,
+      reviewsEnrichedAt: new Date().toISOString()
+    });
+    console.log('✅ [Background] Storage updated with review insights');
+  } catch (error) {
+    console.error('❌ [Background] Error:', error);
+    throw error;
+  }
+}
+
+// Function injected into the reviews page - reuses the content-script extractor
+function extractReviewInsightsFromPage() {
+  return new Promise((resolve) => {
+    // The Amazon content script brings the extractor and the selector rules
+    if (!window.AmazonExtractor || !window.SelectorRules) {
+      resolve(null);
+      return;
+    }
+    
+    window.SelectorRules.load().then(() => {
+      // Reviews and the "Customers say" block render lazily below the fold
+      window.SelectorRules.first('amazon', 'reviewsSection')?.scrollIntoView();
+      setTimeout(() => resolve(window.AmazonExtractor.extractReviewInsights()), 1500);
+    });
+  });
+}
+
+// ============================================
+// PRICE WATCH
+// ============================================
+const PRICE_WATCH_ALARM = 'compareon-price-watch';
+
+// notificationId → product URL (lost on service worker restart, which only disables the click-through)
+const priceDropNotificationUrls = {};
+
+// Create or clear the periodic alarm to match the watch settings
+async function schedulePriceWatch() {
+  const settings = await PriceWatch.getSettings();
+  
+  if (!settings.enabled) {
+    await chrome.alarms.clear(PRICE_WATCH_ALARM);
+    console.log('⏸️ [Watch] Price watch disabled');
+    return;
+  }
+  
+  const existing = await chrome.alarms.get(PRICE_WATCH_ALARM);
+  if (existing && existing.periodInMinutes === settings.intervalMinutes) {
+    return; // Already scheduled with the same interval
+  }
+  
+  chrome.alarms.create(PRICE_WATCH_ALARM, {
+    delayInMinutes: settings.intervalMinutes,
+    periodInMinutes: settings.intervalMinutes
+  });
+  console.log(`⏰ [Watch] Checking prices every ${settings.intervalMinutes} minutes`);
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === PRICE_WATCH_ALARM) {
+    checkWatchedPrices().catch(error => console.error('❌ [Watch] Error:', error));
+  }
+});
+
+// Reschedule when the popup changes the watch settings
+chrome.storage.onChanged.addListener((changes, namespace) => {
+  if (namespace === 'local' && changes[PriceWatch.STORAGE_KEY]) {
+    schedulePriceWatch();
+  }
+});
+
+// Open the product page when a price-drop notification is clicked
+chrome.notifications.onClicked.addListener((notificationId) => {
+  const url = priceDropNotificationUrls[notificationId];
+  if (url) {
+    chrome.tabs.create({ url: url });
+    delete priceDropNotificationUrls[notificationId];
+  }
+  chrome.notifications.clear(notificationId);
+});
+
+// Canonical detail-page URL to re-check an item's price
+function getWatchUrl(item) {
+  if (item.retailer === 'amazon' && item.url && item.product_id) {
+    // Listing URLs can be sponsored redirects - go straight to the detail page
+    try {
+      return `${new URL(item.url).origin}/dp/${ProductMatcher.retailerIdOf(item)}`;
+    } catch (error) {
+      return item.url;
+    }
+  }
+  return item.url || item.propertyLink || null;
+}
+
+// Re-check the price of every active item and notify on drops
+async function checkWatchedPrices() {
+  const settings = await PriceWatch.getSettings();
+  if (!settings.enabled) return;
+  
+  const items = await ComparisonStore.getItems();
+  const history = await PriceHistory.getAll();
+  
+  // A product saved in several lists is checked (and notified about) once
+  const watchedItems = new Map();
+  items.filter(item => item.status === 'active' && getWatchUrl(item)).forEach(item => {
+    const key = `${item.retailer}:${item.product_id}`;
+    if (!watchedItems.has(key)) {
+      watchedItems.set(key, item);
+    }
+  });
+  
+  console.log(`🔎 [Watch] Checking ${watchedItems.size} products`);
+  
+  // One hidden tab at a time to keep the browser responsive
+  for (const item of watchedItems.values()) {
+    // Read the last seen price before opening the page - the content script
+    // in the hidden tab records its own observation while we wait
+    const points = history[item.product_id] || [];
+    const lastValue = points.length > 0 ? points[points.length - 1].priceValue : item.priceValue;
+    
+    let current = null;
+    try {
+      current = await runInBackgroundTab(getWatchUrl(item), extractCurrentPriceFromPage);
+    } catch (error) {
+      console.warn('⚠️ [Watch] Could not check', item.product_id, error.message);
+      continue;
+    }
+    
+    if (!current || current.priceValue === null || current.priceValue === undefined) {
+      console.warn('⚠️ [Watch] No price found for', item.product_id);
+      continue;
+    }
+    
+    await PriceHistory.record({ product_id: item.product_id, ...current }, 'watch');
+    await updateWatchedItemPrice(item.product_id, current);
+    
+    const target = settings.targets[item.product_id];
+    const droppedBelowLast = lastValue !== null && lastValue !== undefined && current.priceValue < lastValue;
+    const reachedTarget = target && current.priceValue <= target &&
+                          (lastValue === null || lastValue === undefined || lastValue > target);
+    
+    if (droppedBelowLast || reachedTarget) {
+      notifyPriceDrop(item, current, lastValue, reachedTarget ? target : null);
+    }
+  }
+}
+
+// Store the freshly observed price on the comparison item
+async function updateWatchedItemPrice(productId, current) {
+  await ComparisonStore.update(productId, { ...current, priceCheckedAt: new Date().toISOString() });
+}
+
+// Raise a price-drop notification
+function notifyPriceDrop(item, current, lastValue, target) {
+  const format = (value) => PriceParser.format(value, current.currency);
+  const title = (item.title || 'Product').substring(0, 60);
+  const message = target
+    ? `Now ${format(current.priceValue)} - at or below your target of ${format(target)}`
+    : `Dropped from ${format(lastValue)} to ${format(current.priceValue)}`;
+  
+  const notificationId = `price-drop-${item.product_id}-${Date.now()}`;
+  priceDropNotificationUrls[notificationId] = getWatchUrl(item);
+  
+  chrome.notifications.create(notificationId, {
+    type: 'basic',
+    iconUrl: 'heart_comparion.png',
+    title: `Price drop: ${title}`,
+    message: message,
+    priority: 1
+  });
+  console.log('🔔 [Watch] Notified price drop:', item.product_id, message);
+}
+
+// Function injected into a product page to read its current price
+// Runs in the content-script world, so it reuses the retailer extractor loaded there
+function extractCurrentPriceFromPage() {
+  return new Promise((resolve) => {
+    let attempts = 0;
+    
+    // Content scripts load at document_idle and may not be ready yet
+    const timer = setInterval(async () => {
+      const extractor = window.AmazonExtractor || window.ZillowExtractor ||
+        window.WalmartExtractor || window.BestBuyExtractor ||
+        window.RedfinExtractor || window.RealtorExtractor;
+      attempts++;
+      
+      if (!extractor && attempts < 20) return;
+      clearInterval(timer);
+      
+      if (!extractor || !window.SelectorRules) {
+        resolve(null);
+        return;
+      }
+      
+      // Extractors read their selectors from the loaded rules
+      await window.SelectorRules.load();
+      
+      if (!extractor.isProductDetailPage()) {
+        resolve(null);
+        return;
+      }
+      
+      const product = extractor.extractFromDetailPage();
+      if (!product || !product.price) {
+        resolve(null);
+        return;
+      }
+      
+      const current = {
+        price: product.price,
+        priceValue: product.priceValue,
+        currency: product.currency
+      };
+      if (product.pricePeriod) {
+        current.pricePeriod = product.pricePeriod;
+      }
+      resolve(current);
+    }, 250);
+  });
+}
+
+// ============================================
+// REMOVED ITEMS RETENTION
+// ============================================
+// Removed items stay restorable from the popup's "Recently removed" section
+// for settings.removedRetentionDays, then a daily alarm deletes them.
+const PURGE_REMOVED_ALARM = 'compareon-purge-removed';
+const PURGE_INTERVAL_MINUTES = 24 * 60;
+
+async function scheduleRemovedItemsPurge() {
+  const existing = await chrome.alarms.get(PURGE_REMOVED_ALARM);
+  if (existing) return;
+  
+  // First run shortly after startup, then once a day
+  chrome.alarms.create(PURGE_REMOVED_ALARM, {
+    delayInMinutes: 1,
+    periodInMinutes: PURGE_INTERVAL_MINUTES
+  });
+}
+
+async function purgeRemovedItems() {
+  const settings = await Config.loadSettings();
+  const result = await ComparisonStore.purgeRemoved(settings.removedRetentionDays);
+  if (result.purged > 0) {
+    console.log(`🧹 Deleted ${result.purged} items removed more than ${settings.removedRetentionDays} days ago`);
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === PURGE_REMOVED_ALARM) {
+    purgeRemovedItems().catch(error => console.error('❌ Error purging removed items:', error));
+  }
+});
+
+// ============================================
+// LIST SYNC
+// ============================================
+// Opt-in (settings.syncLists). Local edits are pushed a moment after they
+// happen; a snapshot written by another browser is merged when it arrives.
+chrome.storage.onChanged.addListener((changes, namespace) => {
+  const localChange = namespace === 'local' && (changes[ComparisonStore.STORAGE_KEY] || changes[ComparisonLists.STORAGE_KEY]);
+  const remoteChange = namespace === 'sync' && changes[ListSync.META_KEY];
+  if (localChange || remoteChange) {
+    ListSync.schedule();
+  }
+});
+
+// Turning sync on merges with what other browsers already synced
+Config.onSettingsChanged((settings, previous) => {
+  if (settings.syncLists && !previous?.syncLists) {
+    ListSync.schedule();
+  }
+});
+
+// ============================================
+// KEYBOARD SHORTCUTS & CONTEXT MENU
+// ============================================
+// Both only forward to the content script, which extracts with the same
+// extractor paths as the Compare buttons. Opening the popup is the built-in
+// _execute_action command and needs no handler.
+const ADD_LINK_MENU_ID = 'compareon-add-link';
+
+// Menus persist across service worker restarts, so they're (re)created on install/update only
+function createContextMenu() {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: ADD_LINK_MENU_ID,
+      title: 'Add to Compareon',
+      contexts: ['link'],
+      documentUrlPatterns: chrome.runtime.getManifest().host_permissions
+    });
+  });
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId !== ADD_LINK_MENU_ID || !tab?.id) return;
+  sendToTab(tab.id, { action: 'addLinkedProduct', linkUrl: info.linkUrl }, { frameId: info.frameId || 0 });
+});
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (command === 'add-current-product') {
+    const activeTab = tab || (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+    if (activeTab?.id) {
+      sendToTab(activeTab.id, { action: 'addCurrentProduct' });
+    }
+  } else if (command === 'launch-comparison') {
+    try {
+      const result = await ComparisonSession.launch();
+      if (!result.success) {
+        notifyShortcut(result.message);
+      }
+    } catch (error) {
+      console.error('❌ Failed to open comparison page:', error);
+    }
+  }
+});
+
+// Pages without a content script (unsupported sites, chrome:// pages) can't answer
+function sendToTab(tabId, message, options = {}) {
+  chrome.tabs.sendMessage(tabId, message, options, () => {
+    if (chrome.runtime.lastError) {
+      console.log('⏭️ No Compareon content script in tab:', chrome.runtime.lastError.message);
+      notifyShortcut('Open a product page on a supported store to add it to Compareon.');
+    }
+  });
+}
+
+function notifyShortcut(message) {
+  chrome.notifications.create(`compareon-shortcut-${Date.now()}`, {
+    type: 'basic',
+    iconUrl: 'heart_comparion.png',
+    title: 'Compareon',
+    message: message,
+    priority: 0
+  });
+}
+
 // Helper function to get active products count
 function getActiveProductsCount() {
   return new Promise((resolve) => {
@@ -0,0 +1,431 @@
+// ============================================
+// BEST BUY PRODUCT EXTRACTOR
+// ============================================
+// This module handles product data extraction from Best Buy pages
+// Supports search/category result lists and product (.p) pages
+
+/**
+ * Implements the same contract as AmazonExtractor:
+ * isProductListPage, isProductDetailPage, findInsertionPoints,
+ * extractFromListingPage, extractFromDetailPage and createCompareButton.
+ *
+ * product_id is the Best Buy SKU. On product pages the full specification
+ * table is captured as key/value pairs and normalized into `specs` (the same
+ * shape Amazon items get), which lines up far better across products than a
+ * free-text details blob.
+ *
+ * Best Buy renders the specifications inside a drawer; its rows are in the
+ * DOM once the page has hydrated, and we also fall back to the JSON-LD
+ * Product block for title, price and rating.
+ */
+
+const BestBuyExtractor = {
+
+  // ============================================
+  // PAGE TYPE DETECTION
+  // ============================================
+
+  /**
+   * Check if current page is a product page (/site/slug/6505727.p?skuId=6505727)
+   */
+  isProductDetailPage() {
+    return /\/site\/.+\/\d+\.p/.test(window.location.pathname);
+  },
+
+  /**
+   * Check if current page is a search or category results page
+   */
+  isProductListPage() {
+    return !this.isProductDetailPage() && document.querySelectorAll('[data-sku-id]').length > 0;
+  },
+
+  // ============================================
+  // UTILITY METHODS
+  // ============================================
+
+  /**
+   * Extract the SKU from a Best Buy product URL
+   * @param {string} url - Best Buy product URL
+   * @returns {string|null} - SKU or null
+   */
+  extractSkuFromUrl(url) {
+    if (!url) return null;
+
+    const paramMatch = url.match(/[?&]skuId=(\d+)/);
+    if (paramMatch) return paramMatch[1];
+
+    const pathMatch = url.match(/\/(\d+)\.p(?:[?#]|$)/);
+    return pathMatch ? pathMatch[1] : null;
+  },
+
+  /**
+   * Clean and normalize text content
+   * @param {string} text - Raw text
+   * @returns {string|null} - Cleaned text
+   */
+  cleanText(text) {
+    if (!text) return null;
+    return text.replace(/\s+/g, ' ').trim();
+  },
+
+  /**
+   * Absolute URL for a possibly relative Best Buy href
+   * @param {string} href - Link href
+   * @returns {string}
+   */
+  toAbsoluteUrl(href) {
+    if (!href) return '';
+    return href.startsWith('http') ? href : `https://www.bestbuy.com${href}`;
+  },
+
+  /**
+   * Read the first price found in a price container
+   * @param {Element} priceContainer - Element holding the customer price
+   * @returns {string|null} - Price string (e.g., "$199.99")
+   */
+  extractPrice(priceContainer) {
+    if (!priceContainer) return null;
+    const match = (priceContainer.textContent || '').match(PriceParser.PRICE_PATTERN);
+    return match ? match[0] : null;
+  },
+
+  /**
+   * Parse "Rating 4.7 out of 5 stars with 1,234 reviews" style text
+   * @param {string} text - Ratings text
+   * @returns {Object} - { rating, totalReviews }
+   */
+  parseRatingText(text) {
+    const ratingMatch = text?.match(/([\d.]+)\s*out of\s*5/i);
+    const reviewsMatch = text?.match(/([\d,]+)\s*reviews?/i);
+    return {
+      rating: ratingMatch ? ratingMatch[1] : null,
+      totalReviews: reviewsMatch ? reviewsMatch[1].replace(/,/g, '') : null
+    };
+  },
+
+  /**
+   * Read the JSON-LD Product block, if the page has one
+   * @returns {Object|null}
+   */
+  extractJsonLdProduct() {
+    const scripts = document.querySelectorAll('script[type="application/ld+json"]');
+    for (const script of scripts) {
+      try {
+        const data = JSON.parse(script.textContent);
+        const entries = Array.isArray(data) ? data : [data];
+        const product = entries.find(entry => entry && entry['@type'] === 'Product');
+        if (product) return product;
+      } catch (error) {
+        // Ignore malformed blocks - other scripts may still be valid
+      }
+    }
+    return null;
+  },
+
+  // ============================================
+  // PRODUCT LISTING PAGE EXTRACTION
+  // ============================================
+
+  /**
+   * Extract product information from a result list item
+   * @param {Element} productContainer - List item with data-sku-id
+   * @returns {Object|null} - Product information object
+   */
+  extractFromListingPage(productContainer) {
+    Logger.log('🔍 Extracting Best Buy product from result...');
+
+    if (!productContainer) {
+      Logger.error('❌ Product container not provided');
+      return null;
+    }
+
+    // Title link
+    const linkElement = SelectorRules.firstMatch([
+      '.sku-title a',
+      '.sku-header a',
+      'a.product-list-item-link',
+      'a[href*=".p?"]'
+    ], productContainer, 'title');
+    const productUrl = this.toAbsoluteUrl(linkElement?.getAttribute('href'));
+    const title = this.cleanText(linkElement?.textContent);
+    if (!title) {
+      Logger.warn('⚠️ Title not found');
+    }
+
+    // SKU: data-sku-id, then URL
+    let product_id = productContainer.getAttribute('data-sku-id');
+    if (product_id) {
+      ExtractionHealth.hit('product_id', 'attribute:data-sku-id');
+    } else {
+      product_id = this.extractSkuFromUrl(productUrl);
+      if (product_id) ExtractionHealth.hit('product_id', 'url');
+    }
+    if (!product_id) {
+      Logger.warn('⚠️ SKU not found');
+    }
+
+    // Price
+    const price = this.extractPrice(
+      SelectorRules.firstMatch(['.priceView-customer-price', '[data-testid="customer-price"]'], productContainer, 'price')
+    );
+    if (!price) {
+      Logger.warn('⚠️ Price not found');
+    }
+
+    // Rating and reviews from the screen-reader text
+    const ratingsElement = SelectorRules.firstMatch(['.c-ratings-reviews', '[class*="ratings-reviews"]'], productContainer, 'rating');
+    const { rating, totalReviews } = this.parseRatingText(this.cleanText(ratingsElement?.textContent));
+
+    // Image
+    const imageElement = SelectorRules.firstMatch(['img.product-image', 'img'], productContainer, 'image');
+    const image = imageElement?.src || imageElement?.getAttribute('data-src') || null;
+
+    const product = {
+      title: title,
+      price: price,
+      rating: rating,
+      totalReviews: totalReviews,
+      image: image,
+      url: productUrl,
+      product_id: product_id,
+      retailer: 'bestbuy'
+    };
+
+    Logger.log('✅ Best Buy product extracted:', product_id, title?.substring(0, 50));
+
+    // Add numeric priceValue and currency for sorting and totals
+    return PriceParser.normalizeProduct(product, window.location.hostname);
+  },
+
+  // ============================================
+  // PRODUCT DETAIL PAGE EXTRACTION
+  // ============================================
+
+  /**
+   * Extract product information from a product page, including specifications
+   * @returns {Object|null} - Complete product information object
+   */
+  extractFromDetailPage() {
+    Logger.log('🔍 Extracting from Best Buy product page...');
+
+    const productUrl = window.location.href;
+    const jsonLd = this.extractJsonLdProduct();
+
+    // SKU: URL, then SKU label on the page, then JSON-LD
+    let product_id = this.extractSkuFromUrl(productUrl);
+    if (product_id) {
+      ExtractionHealth.hit('product_id', 'url');
+    } else {
+      const skuLabel = SelectorRules.firstMatch(['.sku .product-data-value', '[class*="sku-value"]'], document, 'product_id');
+      product_id = this.cleanText(skuLabel?.textContent) || null;
+      if (!product_id && jsonLd?.sku) {
+        product_id = jsonLd.sku;
+        ExtractionHealth.hit('product_id', 'json-ld');
+      }
+    }
+    if (!product_id) {
+      Logger.error('Could not extract SKU');
+      return null;
+    }
+
+    // Title
+    const titleElement = SelectorRules.firstMatch(['.sku-title h1', 'h1'], document, 'title');
+    let title = this.cleanText(titleElement?.textContent) || null;
+    if (!title && jsonLd?.name) {
+      title = jsonLd.name;
+      ExtractionHealth.hit('title', 'json-ld');
+    }
+
+    // Price: hero price block, then JSON-LD offer
+    let price = this.extractPrice(
+      SelectorRules.firstMatch(['.priceView-hero-price', '[data-testid="customer-price"]'], document, 'price')
+    );
+    const offer = Array.isArray(jsonLd?.offers) ? jsonLd.offers[0] : jsonLd?.offers;
+    if (!price && offer?.price) {
+      price = `$${offer.price}`;
+      ExtractionHealth.hit('price', 'json-ld');
+    }
+
+    // Rating and reviews: review summary, then JSON-LD aggregateRating
+    let rating = this.cleanText(SelectorRules.firstMatch(['.ugc-c-review-average', '.c-review-average'], document, 'rating')?.textContent);
+    let totalReviews = null;
+    const reviewsMatch = document.querySelector('.c-reviews')?.textContent.match(/([\d,]+)/);
+    if (reviewsMatch) {
+      totalReviews = reviewsMatch[1].replace(/,/g, '');
+    }
+    if (jsonLd?.aggregateRating) {
+      if (!rating) ExtractionHealth.hit('rating', 'json-ld');
+      rating = rating || String(jsonLd.aggregateRating.ratingValue);
+      totalReviews = totalReviews || String(jsonLd.aggregateRating.reviewCount);
+    }
+
+    // Images
+    const images = [];
+    document.querySelectorAll('.primary-image, [class*="media-gallery"] img, .thumbnail-list img').forEach(img => {
+      const src = img.src || img.getAttribute('data-src');
+      if (src && !src.includes('data:image') && !images.includes(src)) {
+        images.push(src);
+      }
+    });
+    if (images.length === 0 && jsonLd?.image) {
+      ExtractionHealth.hit('image', 'json-ld');
+      images.push(...[].concat(jsonLd.image));
+    }
+
+    // Description and specifications
+    const description = this.cleanText(document.querySelector('.product-description')?.textContent) ||
+                        jsonLd?.description || null;
+    const specs = SpecParser.normalize(this.extractSpecifications(), window.location.hostname);
+    Logger.log(`✅ ${Object.keys(specs).length} normalized specs`);
+
+    const product = {
+      title: title,
+      price: price,
+      rating: rating,
+      totalReviews: totalReviews,
+      image: images[0] || null,
+      images: images,
+      url: productUrl,
+      product_id: product_id,
+      retailer: 'bestbuy',
+      extractedFrom: 'detail-page',
+      brand: jsonLd?.brand?.name || specs.Brand || null,
+      model: jsonLd?.model || specs.Model || null,
+      description: description,
+      specs: specs
+    };
+
+    Logger.log('✅ Best Buy product extracted:', product_id, title?.substring(0, 50));
+
+    // Add numeric priceValue and currency for sorting and totals
+    return PriceParser.normalizeProduct(product, window.location.hostname);
+  },
+
+  /**
+   * Extract the specification table as key/value pairs
+   * Tries the row-title/row-value layout, then definition lists, then plain tables
+   * @returns {Object} - e.g. { "Screen Size": "65 inches", "Brand": "Samsung" }
+   */
+  extractSpecifications() {
+    const specifications = {};
+    const addSpec = (key, value) => {
+      const cleanKey = this.cleanText(key);
+      const cleanValue = this.cleanText(value);
+      if (cleanKey && cleanValue && !(cleanKey in specifications)) {
+        specifications[cleanKey] = cleanValue;
+      }
+    };
+
+    // Layout 1: rows with .row-title / .row-value (spec drawer)
+    document.querySelectorAll('.row-title').forEach(titleElement => {
+      const row = titleElement.closest('li, .row, div');
+      const valueElement = row?.querySelector('.row-value') ||
+                           titleElement.parentElement?.querySelector('.row-value');
+      // The title often carries a "?" tooltip button - use the first line only
+      const key = titleElement.childNodes[0]?.textContent || titleElement.textContent;
+      addSpec(key, valueElement?.textContent);
+    });
+
+    // Layout 2: definition lists inside a specifications container
+    if (Object.keys(specifications).length === 0) {
+      document.querySelectorAll('[class*="specification"] dt, [data-testid*="specification"] dt').forEach(dt => {
+        const dd = dt.nextElementSibling;
+        if (dd?.tagName === 'DD') {
+          addSpec(dt.textContent, dd.textContent);
+        }
+      });
+    }
+
+    // Layout 3: table rows inside a specifications container
+    if (Object.keys(specifications).length === 0) {
+      document.querySelectorAll('[class*="specification"] tr, [data-testid*="specification"] tr').forEach(row => {
+        const cells = row.querySelectorAll('th, td');
+        if (cells.length >= 2) {
+          addSpec(cells[0].textContent, cells[1].textContent);
+        }
+      });
+    }
+
+    return specifications;
+  },
+
+  // ============================================
+  // BUTTON INSERTION
+  // ============================================
+
+  /**
+   * Find all insertion points for Compare buttons on the current page
+   * @returns {Array<Object>} - Insertion data (insertionPoint, productContainer, asin, uuid, id)
+   */
+  findInsertionPoints() {
+    if (this.isProductDetailPage()) {
+      const titleElement = document.querySelector('.sku-title') || document.querySelector('h1');
+      const sku = this.extractSkuFromUrl(window.location.href);
+      if (!titleElement || !sku) return [];
+
+      return [{
+        insertionPoint: titleElement,
+        productContainer: null, // Main product doesn't have a container
+        asin: sku, // Using asin field for consistency with content.js
+        uuid: null,
+        id: 'main-product'
+      }];
+    }
+
+    const insertionData = [];
+    const results = document.querySelectorAll('[data-sku-id]');
+    Logger.log(`🔍 Best Buy listing: Found ${results.length} results`);
+
+    results.forEach((result) => {
+      const sku = result.getAttribute('data-sku-id');
+      const titleElement = result.querySelector('.sku-title') ||
+                           result.querySelector('.sku-header') ||
+                           result.querySelector('a.product-list-item-link');
+      if (!sku || !titleElement) return;
+
+      insertionData.push({
+        insertionPoint: titleElement,
+        productContainer: result,
+        asin: sku,
+        uuid: null,
+        id: sku
+      });
+    });
+
+    return insertionData;
+  },
+
+  /**
+   * Create a compare button element
+   * @param {Element} insertionPoint - The element where button is inserted
+   * @param {Element} productContainer - The result item (null for the main product)
+   * @param {Object} metadata - Product metadata (asin, uuid, id)
+   * @param {Function} onClickHandler - Click handler function
+   * @returns {Element} - Button element
+   */
+  createCompareButton(insertionPoint, productContainer, metadata, onClickHandler) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = 'Compare';
+    button.className = 'smart-compare-btn bestbuy-compare-btn';
+    button.setAttribute('data-compare-button', 'true');
+    button.setAttribute('data-smart-product-id', metadata.asin || metadata.id);
+
+    // Store metadata on button for click handler
+    button._productContainer = productContainer;
+    button._productMetadata = metadata;
+
+    button.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      onClickHandler(button);
+    });
+
+    return button;
+  }
+};
+
+// Export for use in content.js
+window.BestBuyExtractor = BestBuyExtractor;
+
+Logger.log('✅ Best Buy Extractor loaded');
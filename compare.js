@@ -0,0 +1,232 @@
+// Offline comparison page - renders stored products side by side without any network access
+
+// Fields shown first, in this order. Any other captured field is appended after these.
+const COMPARISON_FIELDS = [
+  { key: 'image', label: 'Image', type: 'image' },
+  { key: 'title', label: 'Title', rowClass: 'row-title' },
+  { key: 'price', label: 'Price', rowClass: 'row-price' },
+  { key: 'sources', label: 'Price by Store', type: 'sources' },
+  { key: 'currency', label: 'Currency' },
+  { key: 'retailer', label: 'Retailer' },
+  { key: 'rating', label: 'Rating' },
+  { key: 'totalReviews', label: 'Reviews' },
+  // Real estate fields
+  { key: 'address', label: 'Address' },
+  { key: 'propertyType', label: 'Property Type' },
+  { key: 'beds', label: 'Beds' },
+  { key: 'baths', label: 'Baths' },
+  { key: 'sqft', label: 'Sq Ft' },
+  { key: 'yearBuilt', label: 'Year Built' },
+  { key: 'lotSize', label: 'Lot Size' },
+  { key: 'estimatedMonthly', label: 'Est. Monthly' },
+  { key: 'parking', label: 'Parking' },
+  { key: 'heating', label: 'Heating' },
+  { key: 'cooling', label: 'Cooling' },
+  { key: 'nearbySchools', label: 'Nearby Schools' },
+  { key: 'daysOnZillow', label: 'Days on Zillow' },
+  { key: 'views', label: 'Views' },
+  { key: 'saves', label: 'Saves' },
+  { key: 'quickInfo', label: 'Highlights' },
+  // Product detail fields
+  { key: 'featureBullets', label: 'Features' },
+  { key: 'productHighlights', label: 'Product Highlights' },
+  { key: 'description', label: 'Description' },
+  { key: 'productDetails', label: 'Product Details' },
+  { key: 'brand', label: 'Brand' },
+  { key: 'model', label: 'Model' },
+  { key: 'specs', label: 'Specifications' },
+  { key: 'productImportantInformation', label: 'Important Information' },
+  { key: 'url', label: 'Link', type: 'link' },
+  { key: 'images', label: 'Photos', type: 'images' }
+];
+
+// Bookkeeping fields that are not worth a comparison row
+const HIDDEN_FIELDS = [
+  'product_id', 'status', 'addedAt', 'updatedAt', 'reactivatedAt', 'removedAt',
+  'extractedAt', 'extractedFrom', 'detailsEnriched', 'reviewsUrl', 'priceValue', 'pricePeriod', 'listId',
+  'mergedInto', 'distinctFrom', 'reviewsEnriched', 'reviewsEnrichedAt',
+  // Schema fields - propertyLink is mirrored in url, attributes in the rows above
+  'propertyLink', 'attributes', 'category', 'schemaVersion'
+];
+
+// Load products for the requested source (active list by default, or the last session)
+async function loadProducts(source) {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([Config.STORAGE_KEYS.COMPARISON_ITEMS, Config.STORAGE_KEYS.CURRENT_SESSION], async (result) => {
+      const listId = await ComparisonLists.getActiveListId();
+      const items = ComparisonLists.activeItemsIn(result[Config.STORAGE_KEYS.COMPARISON_ITEMS] || [], listId);
+      const session = result[Config.STORAGE_KEYS.CURRENT_SESSION];
+      const sessionProducts = session?.products || [];
+
+      if (source === 'session' && sessionProducts.length > 0) {
+        resolve({ products: sessionProducts, source: 'session', createdAt: session.createdAt });
+        return;
+      }
+
+      if (items.length > 0) {
+        resolve({ products: items, source: 'list' });
+        return;
+      }
+
+      // Fall back to the last comparison session if the list is empty
+      resolve({ products: sessionProducts, source: 'session', createdAt: session?.createdAt });
+    });
+  });
+}
+
+// Check if a value has something worth displaying
+function hasValue(value) {
+  if (value === null || value === undefined || value === '') return false;
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'object') return Object.keys(value).length > 0;
+  return true;
+}
+
+// Build the ordered list of rows that at least one product has a value for
+function buildRows(products) {
+  const rows = COMPARISON_FIELDS.filter(field => products.some(product => hasValue(product[field.key])));
+  const knownKeys = new Set([...COMPARISON_FIELDS.map(field => field.key), ...HIDDEN_FIELDS]);
+
+  // Append any extra fields captured by extractors that we don't know about yet
+  products.forEach(product => {
+    Object.keys(product).forEach(key => {
+      if (knownKeys.has(key) || !hasValue(product[key])) return;
+      knownKeys.add(key);
+      rows.push({ key, label: key.replace(/([A-Z])/g, ' $1').replace(/^./, c => c.toUpperCase()) });
+    });
+  });
+
+  return rows;
+}
+
+// Render a single value into a table cell
+function renderValue(cell, value, field) {
+  if (!hasValue(value)) {
+    cell.className += ' missing';
+    cell.textContent = '—';
+    return;
+  }
+
+  if (field.type === 'image') {
+    const img = document.createElement('img');
+    img.className = 'product-image';
+    img.src = value;
+    img.alt = '';
+    cell.appendChild(img);
+    return;
+  }
+
+  if (field.type === 'images') {
+    cell.textContent = `${value.length} photo${value.length === 1 ? '' : 's'}`;
+    return;
+  }
+
+  if (field.type === 'link') {
+    const link = document.createElement('a');
+    link.href = value;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    link.textContent = 'View listing';
+    cell.appendChild(link);
+    return;
+  }
+
+  if (field.type === 'sources') {
+    const list = document.createElement('ul');
+    list.className = 'value-list';
+    value.forEach(source => {
+      const li = document.createElement('li');
+      li.textContent = `${source.site || source.retailer}: ${source.price || 'N/A'}`;
+      list.appendChild(li);
+    });
+    cell.appendChild(list);
+    return;
+  }
+
+  if (Array.isArray(value)) {
+    const list = document.createElement('ul');
+    list.className = 'value-list';
+    value.forEach(entry => {
+      const li = document.createElement('li');
+      li.textContent = typeof entry === 'object' ? JSON.stringify(entry) : String(entry);
+      list.appendChild(li);
+    });
+    cell.appendChild(list);
+    return;
+  }
+
+  if (typeof value === 'object') {
+    const map = document.createElement('dl');
+    map.className = 'value-map';
+    Object.entries(value).forEach(([key, entry]) => {
+      const dt = document.createElement('dt');
+      dt.textContent = key;
+      const dd = document.createElement('dd');
+      dd.textContent = typeof entry === 'object' ? JSON.stringify(entry) : String(entry);
+      map.appendChild(dt);
+      map.appendChild(dd);
+    });
+    cell.appendChild(map);
+    return;
+  }
+
+  cell.textContent = String(value);
+}
+
+// Render the side-by-side comparison table
+function renderComparisonTable(products) {
+  const table = document.getElementById('comparisonTable');
+  const emptyState = document.getElementById('emptyState');
+
+  if (products.length === 0) {
+    emptyState.style.display = 'block';
+    table.style.display = 'none';
+    return;
+  }
+
+  emptyState.style.display = 'none';
+  table.style.display = 'table';
+  table.innerHTML = '';
+
+  buildRows(products).forEach(field => {
+    const row = document.createElement('tr');
+    if (field.rowClass) row.className = field.rowClass;
+
+    const label = document.createElement('th');
+    label.className = 'field-label';
+    label.textContent = field.label;
+    row.appendChild(label);
+
+    products.forEach(product => {
+      const cell = document.createElement('td');
+      cell.className = 'product-cell';
+      renderValue(cell, product[field.key], field);
+      row.appendChild(cell);
+    });
+
+    table.appendChild(row);
+  });
+}
+
+// Initialize comparison page
+document.addEventListener('DOMContentLoaded', async () => {
+  await Config.loadSettings();
+  const params = new URLSearchParams(window.location.search);
+  const { products, source, createdAt } = await loadProducts(params.get('source'));
+
+  const sourceLabel = document.getElementById('sourceLabel');
+  sourceLabel.textContent = source === 'session' && createdAt
+    ? `Session from ${new Date(createdAt).toLocaleString()}`
+    : `${products.length} products in your list`;
+
+  Logger.log('Offline comparison rendering', products.length, 'products from', source);
+  renderComparisonTable(products);
+});
+
+// Keep the table in sync when products are added or removed in other tabs
+chrome.storage.onChanged.addListener((changes, namespace) => {
+  if (namespace === 'local' && changes[Config.STORAGE_KEYS.COMPARISON_ITEMS]) {
+    const params = new URLSearchParams(window.location.search);
+    loadProducts(params.get('source')).then(({ products }) => renderComparisonTable(products));
+  }
+});
@@ -0,0 +1,79 @@
+// ============================================
+// COMPARISON SESSION
+// ============================================
+// Launching a comparison stores the selected list as the current session and
+// opens the hosted comparison page for this browser. Shared by the popup's
+// Compare button and the keyboard shortcut in the background worker.
+
+const ComparisonSession = {
+  MIN_ITEMS: 2,
+
+  // Anonymous id the comparison page loads products by (created on first use)
+  async getBrowserUUID() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(['browser_uuid'], (result) => {
+        if (result.browser_uuid) {
+          resolve(result.browser_uuid);
+        } else {
+          // Generate new UUID using crypto API
+          const uuid = crypto.randomUUID();
+          chrome.storage.local.set({ browser_uuid: uuid }, () => {
+            resolve(uuid);
+          });
+        }
+      });
+    });
+  },
+
+  /**
+   * Store the selected list as the current session and open the comparison page
+   * @returns {Promise<Object>} - { success, count, message }
+   */
+  async launch() {
+    const listId = await ComparisonLists.getActiveListId();
+    const products = ComparisonLists.activeItemsIn(await ComparisonStore.getItems(), listId);
+
+    if (products.length < this.MIN_ITEMS) {
+      return {
+        success: false,
+        count: products.length,
+        message: `Add at least ${this.MIN_ITEMS} products to compare`
+      };
+    }
+
+    const browserUUID = await this.getBrowserUUID();
+    const lists = await ComparisonLists.getLists();
+
+    // Detect retailer from products (use first product's retailer)
+    const retailer = products[0]?.retailer || 'unknown';
+
+    const sessionData = {
+      sessionId: browserUUID,
+      listId: listId,
+      listName: lists.find(list => list.id === listId)?.name,
+      products: products,
+      createdAt: new Date().toISOString()
+    };
+
+    await new Promise((resolve) => {
+      chrome.storage.local.set({
+        current_session: sessionData,
+        last_comparison_time: Date.now()
+      }, resolve);
+    });
+
+    Logger.log('Session created and stored locally:', sessionData);
+    Logger.log(`✅ Opening comparison page`);
+    Logger.log(`📋 Session ID: ${browserUUID}`);
+    Logger.log(`🏪 Retailer: ${retailer}`);
+
+    // Open comparison page with session ID and ref parameter
+    const comparisonUrl = `${Config.getComparisonUrl(browserUUID)}?ref=${retailer}&list=${encodeURIComponent(listId)}`;
+    await chrome.tabs.create({ url: comparisonUrl });
+
+    return { success: true, count: products.length };
+  }
+};
+
+// Export for use in extension pages and the background worker
+self.ComparisonSession = ComparisonSession;
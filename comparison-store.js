@@ -0,0 +1,511 @@
+// ============================================
+// COMPARISON STORE
+// ============================================
+// The one place comparison_items is read and written. Content scripts, the
+// popup, the options page and the background worker all add, update and
+// remove through it, so limits, timestamps and statuses behave the same
+// whichever store or page the change comes from. The badge follows from
+// the storage change; callers don't update it themselves.
+//
+// Item lifecycle (per list):
+//   add         - new item, status 'active', addedAt
+//   update      - fields merged into an existing item, updatedAt
+//   reactivate  - removed item back to 'active', reactivatedAt (counts against the limit)
+//   move        - new position among the list's active items (comparison column order)
+//   remove      - soft delete: status 'removed', removedAt (kept for history and restore)
+//   hardDelete  - the item is dropped from storage
+//   purgeRemoved - hard delete of items removed longer ago than the retention period
+//
+// Once a hard delete leaves no copy of a product in any list, its price
+// history and price-watch target go with it.
+//
+// Every change is a read-modify-write of the whole array, so mutations only
+// run in the background worker, one at a time. Other contexts send them
+// there as messages. Each write bumps comparison_items_version and is
+// refused if the version moved since the read, so a write can't silently
+// overwrite one it never saw.
+
+const ComparisonStore = {
+  STORAGE_KEY: 'comparison_items',
+  VERSION_KEY: 'comparison_items_version',
+  MESSAGE_ACTION: 'comparisonStore',
+
+  // Mutations other contexts may ask the background worker to run
+  REMOTE_METHODS: ['add', 'reactivate', 'update', 'move', 'remove', 'hardDelete', 'purgeRemoved', 'replaceItems'],
+
+  // Retries for edit() when another write got in between read and write
+  MAX_EDIT_ATTEMPTS: 3,
+
+  // Written by background enrichment (Amazon reviews, home detail pages) rather
+  // than extraction, so re-adding an active item keeps them unless the fresh
+  // extraction has a value of its own
+  ENRICHED_FIELDS: [
+    'ratingHistogram', 'topPositiveReviews', 'topCriticalReviews', 'customersSay', 'reviewsEnriched', 'reviewsEnrichedAt',
+    'beds', 'baths', 'sqft', 'propertyType', 'yearBuilt', 'lotSize', 'parking', 'heating', 'cooling', 'description',
+    'daysOnZillow', 'views', 'saves', 'estimatedMonthly', 'nearbySchools', 'detailsEnriched'
+  ],
+
+  isBackground: typeof ServiceWorkerGlobalScope !== 'undefined' && self instanceof ServiceWorkerGlobalScope,
+
+  // Tail of the background worker's mutation queue
+  queue: Promise.resolve(),
+
+  // ============================================
+  // READING
+  // ============================================
+
+  async getItems() {
+    return (await this.getSnapshot()).items;
+  },
+
+  /**
+   * Items together with the version they were read at
+   * @returns {Promise<Object>} - { items, version }
+   */
+  async getSnapshot() {
+    return new Promise((resolve) => {
+      try {
+        chrome.storage.local.get([this.STORAGE_KEY, this.VERSION_KEY], (result) => {
+          if (chrome.runtime.lastError) {
+            console.error('Extension context invalidated:', chrome.runtime.lastError);
+            resolve({ items: [], version: 0 });
+            return;
+          }
+          resolve({ items: result[this.STORAGE_KEY] || [], version: result[this.VERSION_KEY] || 0 });
+        });
+      } catch (error) {
+        console.error('Error getting items:', error);
+        resolve({ items: [], version: 0 });
+      }
+    });
+  },
+
+  // Oldest active item = earliest added (or re-added) to the list
+  findOldestItem(activeItems) {
+    const addedTime = (item) => new Date(item.reactivatedAt || item.addedAt || 0).getTime();
+    return activeItems.reduce((oldest, item) => (addedTime(item) < addedTime(oldest) ? item : oldest), activeItems[0]);
+  },
+
+  // ============================================
+  // MUTATIONS (public - run in the background worker wherever they're called)
+  // ============================================
+
+  /**
+   * Add a product to a list. An active copy is updated in place, a removed
+   * copy is reactivated, anything else is added.
+   * @param {Object} product - Extracted product
+   * @param {Object} options - { listId (default: selected list), replaceOldest: remove the oldest item if the list is full }
+   * @returns {Promise<Object>} - { success, message, count, limit, isLimitReached, isReplaced, isReactivated, replacedItem, possibleDuplicate }
+   */
+  async add(product, options = {}) {
+    // Prices are parsed where the page's hostname (and so its currency) is known
+    if (product.priceValue === undefined && !this.isBackground) {
+      PriceParser.normalizeProduct(product, self.location.hostname);
+    }
+    return this.mutate('add', [product, options]);
+  },
+
+  /**
+   * Put a removed item back in its list as it was stored
+   * @param {string} productId - Product to restore
+   * @param {Object} options - { listId (default: selected list), replaceOldest }
+   * @returns {Promise<Object>} - { success, message, count, limit, isLimitReached, replacedItem }
+   */
+  async reactivate(productId, options = {}) {
+    return this.mutate('reactivate', [productId, options]);
+  },
+
+  /**
+   * Merge fields into a stored item (background enrichment, price checks, ...)
+   * Details describe the product, so without a listId every list's copy is updated.
+   * @param {string} productId - Product to update
+   * @param {Object} changes - Fields to merge
+   * @param {Object} options - { listId: only this list's copy }
+   * @returns {Promise<Object>} - { success, count, updated: number of items changed }
+   */
+  async update(productId, changes, options = {}) {
+    return this.mutate('update', [productId, changes, options]);
+  },
+
+  /**
+   * Move an active item to another position in its list (the side panel's reorder)
+   * @param {string} productId - Product to move
+   * @param {number} toIndex - New position among the list's active items
+   * @param {Object} options - { listId (default: selected list) }
+   * @returns {Promise<Object>} - { success, count }
+   */
+  async move(productId, toIndex, options = {}) {
+    return this.mutate('move', [productId, toIndex, options]);
+  },
+
+  /**
+   * Soft delete: the item stays in storage as 'removed' and can be reactivated
+   * @param {string} productId - Product to remove
+   * @param {Object} options - { listId (default: selected list) }
+   * @returns {Promise<Object>} - { success, count }
+   */
+  async remove(productId, options = {}) {
+    return this.mutate('remove', [productId, options]);
+  },
+
+  /**
+   * Hard delete: drop the item from storage for good
+   * @param {string} productId - Product to delete
+   * @param {Object} options - { listId (default: selected list) }
+   * @returns {Promise<Object>} - { success, count }
+   */
+  async hardDelete(productId, options = {}) {
+    return this.mutate('hardDelete', [productId, options]);
+  },
+
+  /**
+   * Drop removed items whose removal is older than the retention period (all lists)
+   * @param {number} retentionDays - Days a removed item is kept for restore
+   * @returns {Promise<Object>} - { success, count, purged }
+   */
+  async purgeRemoved(retentionDays) {
+    return this.mutate('purgeRemoved', [retentionDays]);
+  },
+
+  /**
+   * Bulk edit (imports, merges, list deletion). The editor gets the current
+   * items and returns the new array; it runs again on fresh items if another
+   * write landed first, so it must not keep state between runs.
+   * @param {Function} editor - (items) => items
+   * @returns {Promise<Object>} - { success, count, conflict }
+   */
+  async edit(editor) {
+    for (let attempt = 1; attempt <= this.MAX_EDIT_ATTEMPTS; attempt++) {
+      const { items, version } = await this.getSnapshot();
+      const result = await this.mutate('replaceItems', [editor(items), version]);
+      if (!result.conflict) return result;
+      Logger.log(`🔁 Items changed while editing, retrying (${attempt}/${this.MAX_EDIT_ATTEMPTS})`);
+    }
+    return { success: false, count: 0, conflict: true, message: 'Your list kept changing. Please try again.' };
+  },
+
+  // ============================================
+  // DISPATCH
+  // ============================================
+
+  // Run a mutation in the background queue, or send it there
+  mutate(method, args) {
+    if (this.isBackground) {
+      return this.enqueue(() => this[this.operationName(method)](...args));
+    }
+
+    return new Promise((resolve) => {
+      try {
+        chrome.runtime.sendMessage({ action: this.MESSAGE_ACTION, method, args }, (response) => {
+          if (chrome.runtime.lastError || !response) {
+            console.error('Extension context invalidated:', chrome.runtime.lastError);
+            resolve({ success: false, count: 0, message: 'Extension was reloaded. Please refresh the page.' });
+            return;
+          }
+          resolve(response);
+        });
+      } catch (error) {
+        console.error('Error sending store mutation:', error);
+        resolve({ success: false, count: 0, message: 'Extension was reloaded. Please refresh the page.' });
+      }
+    });
+  },
+
+  // One mutation at a time; a failed one doesn't block the rest
+  enqueue(operation) {
+    const run = this.queue.then(operation);
+    this.queue = run.catch(() => {});
+    return run;
+  },
+
+  /**
+   * Answer a mutation message in the background worker
+   * @param {Object} request - { action, method, args }
+   * @returns {Promise<Object>} - The mutation's result
+   */
+  async handleMessage(request) {
+    if (!this.REMOTE_METHODS.includes(request.method)) {
+      return { success: false, count: 0, message: `Unknown store method ${request.method}` };
+    }
+    try {
+      return await this.mutate(request.method, request.args || []);
+    } catch (error) {
+      console.error(`❌ Store ${request.method} failed:`, error);
+      return { success: false, count: 0, message: 'Failed to save product. Please try again.' };
+    }
+  },
+
+  // 'hardDelete' -> 'applyHardDelete'
+  operationName(method) {
+    return `apply${method.charAt(0).toUpperCase()}${method.slice(1)}`;
+  },
+
+  // ============================================
+  // OPERATIONS (background worker, inside the queue)
+  // ============================================
+
+  /**
+   * Versioned write: refused if the stored version isn't the one the items were read at
+   * @param {Array<Object>} items - Every stored item, all lists
+   * @param {number} baseVersion - Version the items were read at
+   * @param {string} listId - List to count active items of (default: selected list)
+   * @param {Object} result - Extra fields for the resolved result
+   * @returns {Promise<Object>} - { success, count, version, ...result } or { success: false, conflict, message }
+   */
+  async commit(items, baseVersion, listId, result = {}) {
+    const countListId = listId || await ComparisonLists.getActiveListId();
+    const { version } = await this.getSnapshot();
+    if (version !== baseVersion) {
+      console.warn(`⚠️ Stale write refused (read at version ${baseVersion}, now ${version})`);
+      return { success: false, count: 0, conflict: true, message: 'Your list changed meanwhile. Please try again.' };
+    }
+
+    // Everything written has the current item shape (see item-schema.js)
+    const normalizedItems = items.map(item => ItemSchema.normalize(item));
+
+    return new Promise((resolve) => {
+      try {
+        chrome.storage.local.set({ [this.STORAGE_KEY]: normalizedItems, [this.VERSION_KEY]: version + 1 }, () => {
+          if (chrome.runtime.lastError) {
+            console.error('Extension context invalidated:', chrome.runtime.lastError);
+            resolve({ success: false, count: 0, message: 'Extension was reloaded. Please refresh the page.' });
+            return;
+          }
+          const activeCount = ComparisonLists.activeItemsIn(normalizedItems, countListId).length;
+          resolve({ success: true, count: activeCount, version: version + 1, ...result });
+        });
+      } catch (error) {
+        console.error('Error saving items:', error);
+        resolve({ success: false, count: 0, message: 'Failed to save product. Please refresh the page.' });
+      }
+    });
+  },
+
+  async applyAdd(product, options = {}) {
+    const { items, version } = await this.getSnapshot();
+    const listId = options.listId || await ComparisonLists.getActiveListId();
+    const limit = await ComparisonLists.getLimit(listId);
+    const now = new Date().toISOString();
+
+    // Add status and timestamp to product
+    product.status = 'active';
+    product.addedAt = now;
+    product.listId = listId;
+
+    // Only a copy from the same storefront is this product. The same id from another
+    // storefront gets an id of its own, keeps its own price and is offered for merging
+    ProductMatcher.assignStoredId(product, items.filter(item => ComparisonLists.belongsTo(item, listId)));
+
+    // Check if product_id already exists in the list
+    const existingIndex = items.findIndex(item => ComparisonLists.matches(item, product.product_id, listId));
+    const existingProduct = existingIndex !== -1 ? items[existingIndex] : null;
+
+    // Update existing active product (doesn't change the count)
+    if (existingProduct?.status === 'active') {
+      items[existingIndex] = {
+        ...product,
+        ...this.enrichedFieldsOf(existingProduct, product),
+        addedAt: existingProduct.addedAt,
+        updatedAt: now,
+        // Keep per-store prices of a merged entry
+        ...(existingProduct.sources && { sources: existingProduct.sources })
+      };
+      return this.commitAdd(product, items, version, listId, { message: 'Product updated in comparison', limit, isReplaced: true });
+    }
+
+    // New or previously removed product - needs room in the list
+    const room = this.makeRoom(items, listId, limit, options.replaceOldest);
+    if (room.isLimitReached) return room;
+
+    // If product was previously removed, reactivate it with the fresh extraction
+    if (existingProduct) {
+      items[existingIndex] = { ...product, reactivatedAt: now };
+      return this.commitAdd(product, items, version, listId, { message: 'Product reactivated in comparison', limit, isReactivated: true, replacedItem: room.replacedItem });
+    }
+
+    // Same product from another store? Add it anyway - the popup offers to merge
+    const possibleDuplicate = ProductMatcher.findMatchFor(product, ComparisonLists.activeItemsIn(items, listId));
+
+    items.push(product);
+    return this.commitAdd(product, items, version, listId, { message: 'Product added to comparison', limit, replacedItem: room.replacedItem, possibleDuplicate });
+  },
+
+  // Commit an add. The observed price goes into the history only once the
+  // item is stored, so a refused add leaves no history behind.
+  async commitAdd(product, items, version, listId, result) {
+    const committed = await this.commit(items, version, listId, result);
+    if (committed.success) {
+      // Keep the observed price in the history instead of losing it on update
+      await PriceHistory.record(product, 'added');
+    }
+    return committed;
+  },
+
+  async applyReactivate(productId, options = {}) {
+    const { items, version } = await this.getSnapshot();
+    const listId = options.listId || await ComparisonLists.getActiveListId();
+    const limit = await ComparisonLists.getLimit(listId);
+
+    const index = items.findIndex(item => ComparisonLists.matches(item, productId, listId));
+    if (index === -1) {
+      return { success: false, message: 'Product not found', limit };
+    }
+    if (items[index].status === 'active') {
+      return { success: true, count: ComparisonLists.activeItemsIn(items, listId).length, limit };
+    }
+
+    const room = this.makeRoom(items, listId, limit, options.replaceOldest);
+    if (room.isLimitReached) return room;
+
+    const { removedAt, ...item } = items[index];
+    items[index] = { ...item, status: 'active', reactivatedAt: new Date().toISOString() };
+    return this.commit(items, version, listId, { message: 'Product reactivated in comparison', limit, isReactivated: true, replacedItem: room.replacedItem });
+  },
+
+  /**
+   * Check the list limit before an item becomes active, soft-deleting the
+   * oldest item when the caller allows it. Edits items in place.
+   * @returns {Object} - { replacedItem } or the limit-reached result
+   */
+  makeRoom(items, listId, limit, replaceOldest) {
+    const activeItems = ComparisonLists.activeItemsIn(items, listId);
+    if (activeItems.length < limit) {
+      return { replacedItem: null };
+    }
+    if (!replaceOldest) {
+      return { success: false, message: `Maximum ${limit} items can be compared`, isLimitReached: true, limit };
+    }
+
+    const replacedItem = this.findOldestItem(activeItems);
+    items[items.indexOf(replacedItem)] = this.markRemoved(replacedItem);
+    Logger.log('♻️ Replacing oldest item:', replacedItem.product_id);
+    return { replacedItem };
+  },
+
+  async applyUpdate(productId, changes, options = {}) {
+    const { items, version } = await this.getSnapshot();
+    const now = new Date().toISOString();
+    let updated = 0;
+
+    const updatedItems = items.map(item => {
+      const isTarget = options.listId
+        ? ComparisonLists.matches(item, productId, options.listId)
+        : item.product_id === productId;
+      if (!isTarget) return item;
+      updated++;
+      return { ...item, ...changes, updatedAt: now };
+    });
+
+    if (updated === 0) {
+      return { success: false, count: 0, updated, message: 'Product not found' };
+    }
+    return this.commit(updatedItems, version, options.listId, { updated });
+  },
+
+  async applyMove(productId, toIndex, options = {}) {
+    const { items, version } = await this.getSnapshot();
+    const listId = options.listId || await ComparisonLists.getActiveListId();
+    const activeItems = ComparisonLists.activeItemsIn(items, listId);
+
+    const fromIndex = activeItems.findIndex(item => item.product_id === productId);
+    if (fromIndex === -1) {
+      return { success: false, count: activeItems.length, message: 'Product not found' };
+    }
+
+    const reordered = [...activeItems];
+    const [moved] = reordered.splice(fromIndex, 1);
+    reordered.splice(Math.max(0, Math.min(reordered.length, toIndex)), 0, moved);
+
+    // The whole list's order changed: updatedAt on every item makes the new
+    // order win list sync's timestamp merge
+    const now = new Date().toISOString();
+    reordered.forEach((item, index) => {
+      reordered[index] = { ...item, updatedAt: now };
+    });
+
+    // The list's active items take their new order in the slots they already use,
+    // so other lists and removed items keep their places
+    const slots = activeItems.map(item => items.indexOf(item));
+    const updatedItems = [...items];
+    slots.forEach((slot, index) => {
+      updatedItems[slot] = reordered[index];
+    });
+    return this.commit(updatedItems, version, listId);
+  },
+
+  // Enriched fields of a stored item that the fresh extraction has no value for
+  enrichedFieldsOf(item, product) {
+    const isEmpty = (value) => value === undefined || value === null || value === '';
+    const fields = {};
+    this.ENRICHED_FIELDS.forEach(field => {
+      if (item[field] !== undefined && isEmpty(product[field])) fields[field] = item[field];
+    });
+    return fields;
+  },
+
+  markRemoved(item) {
+    return { ...item, status: 'removed', removedAt: new Date().toISOString() };
+  },
+
+  async applyRemove(productId, options = {}) {
+    const { items, version } = await this.getSnapshot();
+    const listId = options.listId || await ComparisonLists.getActiveListId();
+
+    const updatedItems = items.map(item => (
+      ComparisonLists.matches(item, productId, listId) && item.status !== 'removed' ? this.markRemoved(item) : item
+    ));
+    return this.commit(updatedItems, version, listId);
+  },
+
+  async applyHardDelete(productId, options = {}) {
+    const { items, version } = await this.getSnapshot();
+    const listId = options.listId || await ComparisonLists.getActiveListId();
+
+    const remainingItems = items.filter(item => !ComparisonLists.matches(item, productId, listId));
+    const result = await this.commit(remainingItems, version, listId);
+    if (result.success) {
+      await this.forgetDeletedProducts(items, remainingItems);
+    }
+    return result;
+  },
+
+  async applyPurgeRemoved(retentionDays) {
+    const { items, version } = await this.getSnapshot();
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    // Items removed before removedAt existed fall back to their last known date
+    const removedTime = (item) => new Date(item.removedAt || item.updatedAt || item.addedAt || 0).getTime();
+
+    const remainingItems = items.filter(item => item.status !== 'removed' || removedTime(item) >= cutoff);
+    const purged = items.length - remainingItems.length;
+    if (purged === 0) {
+      return { success: true, count: 0, purged };
+    }
+    const result = await this.commit(remainingItems, version, null, { purged });
+    if (result.success) {
+      await this.forgetDeletedProducts(items, remainingItems);
+    }
+    return result;
+  },
+
+  // Price data of products a hard delete removed from every list
+  async forgetDeletedProducts(items, remainingItems) {
+    const remainingIds = new Set(remainingItems.map(item => item.product_id));
+    const deletedIds = [...new Set(items.map(item => item.product_id))].filter(productId => !remainingIds.has(productId));
+    if (deletedIds.length === 0) return;
+
+    await PriceHistory.forget(deletedIds);
+    await PriceWatch.clearTargets(deletedIds);
+    Logger.log(`🧹 Dropped price history and watch targets of ${deletedIds.length} deleted products`);
+  },
+
+  // Items computed elsewhere (edit()); refused if they were read at an older version
+  async applyReplaceItems(items, baseVersion) {
+    if (!Array.isArray(items)) {
+      return { success: false, count: 0, message: 'Items must be a list' };
+    }
+    return this.commit(items, baseVersion);
+  }
+};
+
+// Export for use in content scripts, extension pages and the background worker
+self.ComparisonStore = ComparisonStore;
@@ -4,16 +4,25 @@
 
 const Config = {
   // Logging control
-  DEBUG_MODE: true, // Set to true to enable all logging, false to disable
+  DEBUG_MODE: true, // Default only - users toggle it on the options page (settings.debugMode)
   
-  // Limits
+  // Limits - MAX_COMPARISON_ITEMS is the default; each list can override it
+  // from the options page within LIMIT_RANGE (see ComparisonLists.getLimit)
   MAX_COMPARISON_ITEMS: 5,
+  LIMIT_RANGE: { min: 2, max: 20 },
+  
+  // Days a removed item can be restored before background.js deletes it for good
+  RETENTION_RANGE: { min: 1, max: 365 },
   
   // Storage keys
   STORAGE_KEYS: {
     BROWSER_UUID: 'browser_uuid',
     COMPARISON_ITEMS: 'comparison_items',
-    CURRENT_SESSION: 'current_session'
+    CURRENT_SESSION: 'current_session',
+    PRICE_HISTORY: 'price_history',
+    WATCH_SETTINGS: 'watch_settings',
+    COMPARISON_LISTS: 'comparison_lists',
+    ACTIVE_LIST_ID: 'active_list_id'
   },
   
   // Allowlisted domains for extension functionality
@@ -23,24 +32,139 @@ const Config = {
     'amazon.co.uk',
     'amazon.in',
     'zillow.com',
+    'walmart.com',
+    'bestbuy.com',
+    'redfin.com',
+    'realtor.com',
     // Add more domains here as needed
   ],
   
-  // Check if current domain is allowed
+  // Retailers that can be switched on/off from the options page
+  RETAILERS: {
+    amazon: { name: 'Amazon', domains: ['amazon.com', 'amazon.ca', 'amazon.co.uk', 'amazon.in'], category: 'product' },
+    zillow: { name: 'Zillow', domains: ['zillow.com'], category: 'property' },
+    walmart: { name: 'Walmart', domains: ['walmart.com'], category: 'product' },
+    bestbuy: { name: 'Best Buy', domains: ['bestbuy.com'], category: 'product' },
+    redfin: { name: 'Redfin', domains: ['redfin.com'], category: 'property' },
+    realtor: { name: 'Realtor.com', domains: ['realtor.com'], category: 'property' }
+  },
+  
+  // Comparison site environments
+  COMPARISON_URLS: {
+    production: 'https://www.compareon.xyz',
+    preview: 'https://id-preview--7e0abc19-f325-43fa-b60b-6e7c90ba1b34.lovable.app'
+  },
+  
+  // ============================================
+  // USER SETTINGS (chrome.storage.sync, edited on the options page)
+  // ============================================
+  SETTINGS_KEY: 'settings',
+  
+  DEFAULT_SETTINGS: {
+    debugMode: true,
+    disabledRetailers: [], // Opt-out, so newly supported retailers start enabled
+    itemLimit: 5,
+    zillowEnrichment: true, // Applies to every real-estate site, name kept for stored settings
+    reviewsEnrichment: true,
+    removedRetentionDays: 30,
+    syncLists: false, // Opt-in, lists and items go to chrome.storage.sync (list-sync.js)
+    comparisonEnvironment: 'preview'
+  },
+  
+  // Current settings - defaults until loadSettings() resolves
+  settings: null,
+  settingsPromise: null,
+  settingsListeners: [],
+  
+  // Apply settings over the static defaults above
+  applySettings: function(stored) {
+    this.settings = { ...this.DEFAULT_SETTINGS, ...(stored || {}) };
+    this.DEBUG_MODE = !!this.settings.debugMode;
+    this.MAX_COMPARISON_ITEMS = this.settings.itemLimit;
+  },
+  
+  /**
+   * Load settings from chrome.storage.sync and keep them current afterwards,
+   * so changes on the options page apply without reloading the extension
+   * @returns {Promise<Object>} - Current settings
+   */
+  loadSettings: function() {
+    if (this.settingsPromise) return this.settingsPromise;
+    
+    this.settingsPromise = new Promise((resolve) => {
+      try {
+        chrome.storage.sync.get([this.SETTINGS_KEY], (result) => {
+          if (chrome.runtime.lastError) {
+            console.error('Error loading settings:', chrome.runtime.lastError);
+          }
+          this.applySettings(result?.[this.SETTINGS_KEY]);
+          resolve(this.settings);
+        });
+      } catch (error) {
+        console.error('Error loading settings:', error);
+        this.applySettings(null);
+        resolve(this.settings);
+      }
+      
+      chrome.storage.onChanged.addListener((changes, namespace) => {
+        if (namespace !== 'sync' || !changes[this.SETTINGS_KEY]) return;
+        const previous = this.settings;
+        this.applySettings(changes[this.SETTINGS_KEY].newValue);
+        this.settingsListeners.forEach(listener => listener(this.settings, previous));
+      });
+    });
+    
+    return this.settingsPromise;
+  },
+  
+  // Register a callback for settings changes made on the options page
+  onSettingsChanged: function(listener) {
+    this.settingsListeners.push(listener);
+  },
+  
+  saveSettings: function(changes) {
+    const settings = { ...this.settings, ...changes };
+    return new Promise((resolve) => {
+      chrome.storage.sync.set({ [this.SETTINGS_KEY]: settings }, () => {
+        if (chrome.runtime.lastError) {
+          console.error('Error saving settings:', chrome.runtime.lastError);
+        }
+        this.applySettings(settings);
+        resolve(this.settings);
+      });
+    });
+  },
+  
+  // Get the retailer id ("amazon", "zillow", ...) for a hostname
+  getRetailerId: function(hostname) {
+    if (!hostname) return null;
+    return Object.keys(this.RETAILERS).find(id =>
+      this.RETAILERS[id].domains.some(domain => hostname.includes(domain))
+    ) || null;
+  },
+  
+  isRetailerEnabled: function(retailerId) {
+    return !this.settings.disabledRetailers.includes(retailerId);
+  },
+  
+  // Check if current domain is allowed (and its retailer not switched off)
   isAllowedDomain: function(hostname) {
     if (!hostname) return false;
-    return this.ALLOWED_DOMAINS.some(domain => hostname.includes(domain));
+    if (!this.ALLOWED_DOMAINS.some(domain => hostname.includes(domain))) return false;
+    const retailerId = this.getRetailerId(hostname);
+    return !retailerId || this.isRetailerEnabled(retailerId);
   },
   
-  // Get comparison URL based on debug mode
+  // Get comparison URL for the selected environment
   getComparisonUrl: function(uuid) {
-    const baseUrl = this.DEBUG_MODE 
-      ? 'https://id-preview--7e0abc19-f325-43fa-b60b-6e7c90ba1b34.lovable.app'
-      : 'https://www.compareon.xyz';
+    const baseUrl = this.COMPARISON_URLS[this.settings.comparisonEnvironment] || this.COMPARISON_URLS.production;
     return `${baseUrl}/compare/${uuid}`;
   }
 };
 
+// Start with defaults so synchronous callers work before settings load
+Config.applySettings(null);
+
 // Logging wrapper functions
 const Logger = {
   log: (...args) => {
@@ -67,8 +191,8 @@ const Logger = {
   }
 };
 
-// Export for use in other scripts
-window.Config = Config;
-window.Logger = Logger;
+// Export for use in other scripts (self works in pages, content scripts and the service worker)
+self.Config = Config;
+self.Logger = Logger;
 
 console.log('✅ Config loaded - Debug mode:', Config.DEBUG_MODE);
@@ -1,148 +1,17 @@
 // Content script to add Compare button - Modular architecture for multi-retailer support
 
-// ============================================
-// COMPARISON MANAGER - Handles storage and limits
-// ============================================
-const ComparisonManager = {
-  MAX_ITEMS: 5,
-  STORAGE_KEY: 'comparison_items',
-
-  async getItems() {
-    return new Promise((resolve) => {
-      try {
-        chrome.storage.local.get([this.STORAGE_KEY], (result) => {
-          if (chrome.runtime.lastError) {
-            console.error('Extension context invalidated:', chrome.runtime.lastError);
-            resolve([]);
-            return;
-          }
-          resolve(result[this.STORAGE_KEY] || []);
-        });
-      } catch (error) {
-        console.error('Error getting items:', error);
-        resolve([]);
-      }
-    });
-  },
-
-  async addItem(product) {
-    const items = await this.getItems();
-    
-    // Add status and timestamp to product
-    product.status = 'active';
-    product.addedAt = new Date().toISOString();
-    
-    // Check if product_id already exists
-    const existingIndex = items.findIndex(item => item.product_id === product.product_id);
-    
-    if (existingIndex !== -1) {
-      const existingProduct = items[existingIndex];
-      
-      // If product was previously removed, reactivate it
-      if (existingProduct.status === 'removed') {
-        items[existingIndex] = { ...product, reactivatedAt: new Date().toISOString() };
-        
-        return new Promise((resolve) => {
-          try {
-            chrome.storage.local.set({ [this.STORAGE_KEY]: items }, () => {
-              if (chrome.runtime.lastError) {
-                console.error('Extension context invalidated:', chrome.runtime.lastError);
-                resolve({ success: false, message: 'Extension was reloaded. Please refresh the page.' });
-                return;
-              }
-              const activeCount = items.filter(item => item.status === 'active').length;
-              resolve({ success: true, message: 'Product reactivated in comparison', count: activeCount, isReactivated: true });
-            });
-          } catch (error) {
-            console.error('Error reactivating item:', error);
-            resolve({ success: false, message: 'Failed to reactivate product. Please refresh the page.' });
-          }
-        });
-      }
-      
-      // Update existing active product
-      items[existingIndex] = { ...product, updatedAt: new Date().toISOString() };
-      
-      return new Promise((resolve) => {
-        try {
-          chrome.storage.local.set({ [this.STORAGE_KEY]: items }, () => {
-            if (chrome.runtime.lastError) {
-              console.error('Extension context invalidated:', chrome.runtime.lastError);
-              resolve({ success: false, message: 'Extension was reloaded. Please refresh the page.' });
-              return;
-            }
-            const activeCount = items.filter(item => item.status === 'active').length;
-            resolve({ success: true, message: 'Product updated in comparison', count: activeCount, isReplaced: true });
-          });
-        } catch (error) {
-          console.error('Error updating item:', error);
-          resolve({ success: false, message: 'Failed to update product. Please refresh the page.' });
-        }
-      });
-    }
-    
-    // Check limit for active items only
-    const activeItems = items.filter(item => item.status === 'active');
-    if (activeItems.length >= this.MAX_ITEMS) {
-      return { success: false, message: `Maximum ${this.MAX_ITEMS} items can be compared`, isLimitReached: true };
-    }
-    
-    items.push(product);
-    
-    return new Promise((resolve) => {
-      try {
-        chrome.storage.local.set({ [this.STORAGE_KEY]: items }, () => {
-          if (chrome.runtime.lastError) {
-            console.error('Extension context invalidated:', chrome.runtime.lastError);
-            resolve({ success: false, message: 'Extension was reloaded. Please refresh the page.' });
-            return;
-          }
-          const activeCount = items.filter(item => item.status === 'active').length;
-          resolve({ success: true, message: 'Product added to comparison', count: activeCount });
-        });
-      } catch (error) {
-        console.error('Error adding item:', error);
-        resolve({ success: false, message: 'Failed to add product. Please refresh the page.' });
-      }
-    });
-  },
-
-  async removeItem(productId) {
-    const items = await this.getItems();
-    
-    // Soft delete: mark as removed instead of deleting
-    const updatedItems = items.map(item => {
-      if (item.product_id === productId) {
-        return { ...item, status: 'removed', removedAt: new Date().toISOString() };
-      }
-      return item;
-    });
-    
-    return new Promise((resolve) => {
-      try {
-        chrome.storage.local.set({ [this.STORAGE_KEY]: updatedItems }, () => {
-          if (chrome.runtime.lastError) {
-            console.error('Extension context invalidated:', chrome.runtime.lastError);
-            resolve({ success: false, count: 0 });
-            return;
-          }
-          const activeCount = updatedItems.filter(item => item.status === 'active').length;
-          resolve({ success: true, count: activeCount });
-        });
-      } catch (error) {
-        console.error('Error removing item:', error);
-        resolve({ success: false, count: 0 });
-      }
-    });
-  }
-};
-
 // ============================================
 // RETAILER DETECTION
 // ============================================
 function detectRetailer() {
   const hostname = window.location.hostname;
   
+  // Retailers can be switched off on the options page
+  if (!Config.isAllowedDomain(hostname)) {
+    Logger.log('⏭️ Retailer disabled in settings:', hostname);
+    return null;
+  }
+  
   if (hostname.includes('amazon.com') || hostname.includes('amazon.ca') || 
       hostname.includes('amazon.co.uk') || hostname.includes('amazon.in')) {
     Logger.log('🏪 Retailer detected: Amazon');
@@ -156,13 +25,47 @@ function detectRetailer() {
     return window.ZillowExtractor;
   }
   
+  if (hostname.includes('walmart.com')) {
+    Logger.log('🏪 Retailer detected: Walmart');
+    Logger.log('🔧 WalmartExtractor available:', !!window.WalmartExtractor);
+    return window.WalmartExtractor;
+  }
+  
+  if (hostname.includes('bestbuy.com')) {
+    Logger.log('🏪 Retailer detected: Best Buy');
+    Logger.log('🔧 BestBuyExtractor available:', !!window.BestBuyExtractor);
+    return window.BestBuyExtractor;
+  }
+  
+  if (hostname.includes('redfin.com')) {
+    Logger.log('🏪 Retailer detected: Redfin');
+    Logger.log('🔧 RedfinExtractor available:', !!window.RedfinExtractor);
+    return window.RedfinExtractor;
+  }
+  
+  if (hostname.includes('realtor.com')) {
+    Logger.log('🏪 Retailer detected: Realtor.com');
+    Logger.log('🔧 RealtorExtractor available:', !!window.RealtorExtractor);
+    return window.RealtorExtractor;
+  }
+  
   // Add more retailer detection here in the future
-  // if (hostname.includes('walmart.com')) return window.WalmartExtractor;
   
   Logger.warn('⚠️ Retailer not supported:', hostname);
   return null;
 }
 
+// Stored item for a product id on this page. Ids repeat across storefronts
+// (one ASIN on amazon.com and amazon.co.uk), so the page's storefront decides.
+function findStoredCopy(items, productId) {
+  if (!productId) return null;
+  return ProductMatcher.findStored(items, {
+    product_id: productId,
+    retailer: Config.getRetailerId(window.location.hostname),
+    url: window.location.href
+  });
+}
+
 // ============================================
 // COMPARE BUTTON CLICK HANDLER
 // ============================================
@@ -172,14 +75,48 @@ async function handleCompareClick(buttonElement) {
   
   Logger.log('🖱️ Compare button clicked!');
   
+  // A full list takes nothing until an item is removed
+  if (buttonElement.disabled || buttonElement.getAttribute('data-compare-state') === 'full') return;
+  
+  // Already in the selected list: the button takes it out again
+  if (buttonElement.getAttribute('data-compare-state') === 'added') {
+    const productId = buttonElement.getAttribute('data-smart-product-id');
+    const listId = await ComparisonLists.getActiveListId();
+    const stored = findStoredCopy(ComparisonLists.activeItemsIn(await ComparisonStore.getItems(), listId), productId);
+    const result = await ComparisonStore.remove(stored ? stored.product_id : productId, { listId });
+    if (result.success) {
+      Logger.log(`🗑️ Removed from comparison (${result.count} left)`);
+    } else {
+      CompareonToast.show('Could not remove the product. Please refresh the page.', { type: 'error' });
+    }
+    return;
+  }
+  
   // Get product container and metadata from button
   const productContainer = buttonElement._productContainer;
   const metadata = buttonElement._productMetadata;
   
   Logger.log('📦 Product metadata:', metadata);
   
-  // Extract product information on click
+  const product = extractProduct(extractor, productContainer, buttonElement.getAttribute('data-smart-product-id'));
+  if (!product) return;
+  
+  await addProduct(extractor, product, productContainer);
+}
+
+/**
+ * Extract a product the way its Compare button would, reporting extraction health
+ * @param {Object} extractor - Retailer extractor
+ * @param {Element|null} productContainer - Listing/recommendation container, null for the main detail-page product
+ * @param {string|null} fallbackProductId - Id to use when extraction finds none (button attribute)
+ * @returns {Object|null} - Product, or null after telling the user it couldn't be read
+ */
+function extractProduct(extractor, productContainer, fallbackProductId = null) {
+  // Extract product information, reporting which selectors worked
   let product = null;
+  const retailerId = Config.getRetailerId(window.location.hostname);
+  const pageType = productContainer ? 'listing' : 'detail';
+  ExtractionHealth.begin(retailerId, pageType, extractor.healthFields);
   
   if (extractor.isProductListPage()) {
     // Extract from listing page using the product container
@@ -197,35 +134,380 @@ async function handleCompareClick(buttonElement) {
     }
   }
   
-  if (!product) {
-    console.error('❌ Failed to extract product information');
-    return;
-  }
-  
   // Final fallback: If product_id is missing, use data-smart-product-id from button
-  if (!product.product_id) {
-    const buttonProductId = buttonElement.getAttribute('data-smart-product-id');
-    if (buttonProductId) {
-      product.product_id = buttonProductId;
-      Logger.log('✅ Using product_id from button attribute:', buttonProductId);
+  if (product && !product.product_id) {
+    if (fallbackProductId) {
+      product.product_id = fallbackProductId;
+      ExtractionHealth.hit('product_id', 'attribute:data-smart-product-id');
+      Logger.log('✅ Using product_id from button attribute:', fallbackProductId);
     } else {
       Logger.warn('⚠️ No product_id found in extraction or button');
     }
   }
   
+  ExtractionHealth.record(ExtractionHealth.finish(product), window.location.href);
+  
+  if (!product) {
+    console.error('❌ Failed to extract product information');
+    const retailerName = Config.RETAILERS[retailerId]?.name || 'this site';
+    CompareonToast.show(`Couldn't read this product. ${retailerName} may have changed its page layout.`, { type: 'error' });
+    return null;
+  }
+  
   Logger.log('📦 Product extracted:', product?.title?.substring(0, 50), 'ID:', product.product_id);
+  return product;
+}
+
+/**
+ * Add an extracted product to the selected list, offering replace-oldest when it's full
+ * @returns {Promise<Object>} - Result of ComparisonStore.add
+ */
+async function addProduct(extractor, product, productContainer) {
+  const result = await ComparisonStore.add(product);
+  
+  if (result.isLimitReached) {
+    Logger.log(`Limit reached (${result.limit} items max)`);
+    
+    // Let the user swap out the oldest item instead of blocking the add
+    CompareonToast.show(`Your list is full (${result.limit} items).`, {
+      actions: [
+        {
+          label: 'Replace oldest',
+          onClick: async () => {
+            const replaceResult = await ComparisonStore.add(product, { replaceOldest: true });
+            handleAddResult(extractor, product, productContainer, replaceResult);
+          }
+        },
+        { label: 'Cancel' }
+      ]
+    });
+    return result;
+  }
+  
+  handleAddResult(extractor, product, productContainer, result);
+  return result;
+}
+
+// Log the outcome of an add and run retailer follow-ups (e.g. background enrichment)
+function handleAddResult(extractor, product, productContainer, result) {
+  if (!result.success) {
+    Logger.warn('⚠️ Could not add product:', result.message);
+    CompareonToast.show(result.message, { type: 'error' });
+    return;
+  }
+  
+  if (result.isReplaced) {
+    Logger.log(`✓ Product updated in comparison (${result.count}/${result.limit})`);
+  } else {
+    Logger.log(`✓ Added to comparison (${result.count}/${result.limit})`);
+  }
+  
+  if (result.replacedItem) {
+    CompareonToast.show(`Replaced "${(result.replacedItem.title || 'oldest item').substring(0, 40)}"`);
+  }
+  
+  if (result.possibleDuplicate) {
+    Logger.log('🔁 Possible duplicate of:', result.possibleDuplicate.product_id);
+    CompareonToast.show(`Looks like "${(result.possibleDuplicate.title || 'an item').substring(0, 40)}" is already in your list. Open Compareon to merge them.`);
+  }
+  
+  if (extractor.onProductAdded) {
+    extractor.onProductAdded(product, productContainer, result);
+  }
+}
+
+// ============================================
+// KEYBOARD SHORTCUT & CONTEXT MENU
+// ============================================
+// The background worker forwards the "add current product" shortcut and the
+// "Add to Compareon" link menu here; both extract like a Compare button click.
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'addCurrentProduct') {
+    sendResponse({ received: true });
+    addCurrentProduct();
+  } else if (request.action === 'addLinkedProduct') {
+    sendResponse({ received: true });
+    addLinkedProduct(request.linkUrl);
+  }
+});
+
+async function addCurrentProduct() {
+  const extractor = detectRetailer();
+  if (!extractor) {
+    CompareonToast.show('Compareon is turned off for this site.', { type: 'error' });
+    return;
+  }
+  if (!extractor.isProductDetailPage()) {
+    CompareonToast.show('Open a product page to add it with the shortcut.', { type: 'error' });
+    return;
+  }
+  
+  const product = extractProduct(extractor, null);
+  if (!product) return;
+  
+  announceAdd(product, await addProduct(extractor, product, null));
+}
+
+async function addLinkedProduct(linkUrl) {
+  const extractor = detectRetailer();
+  if (!extractor) {
+    CompareonToast.show('Compareon is turned off for this site.', { type: 'error' });
+    return;
+  }
   
-  // Add to comparison list
-  const result = await ComparisonManager.addItem(product);
+  const productContainer = findContainerForLink(extractor, linkUrl);
+  if (!productContainer) {
+    Logger.warn('⚠️ No product card found for link:', linkUrl);
+    CompareonToast.show('That link isn\'t a product Compareon can add from this page.', { type: 'error' });
+    return;
+  }
   
-  if (result.success) {
-    if (result.isReplaced) {
-      Logger.log(`✓ Product updated in comparison (${result.count}/${ComparisonManager.MAX_ITEMS})`);
+  const button = productContainer.querySelector('[data-compare-button]');
+  const product = extractProduct(extractor, productContainer, button?.getAttribute('data-smart-product-id'));
+  if (!product) return;
+  
+  announceAdd(product, await addProduct(extractor, product, productContainer));
+}
+
+/**
+ * Find the product card (listing result or recommendation) that contains a link
+ * Exact href first; otherwise the same path, since tracking parameters differ between links of one card
+ * @param {Object} extractor - Retailer extractor
+ * @param {string} linkUrl - Link the context menu was opened on
+ * @returns {Element|null}
+ */
+function findContainerForLink(extractor, linkUrl) {
+  if (!linkUrl) return null;
+  
+  let target;
+  try {
+    target = new URL(linkUrl);
+  } catch (error) {
+    return null;
+  }
+  
+  const containers = extractor.findInsertionPoints()
+    .map(data => data.productContainer)
+    .filter(Boolean);
+  const linksOf = (container) => Array.from(container.querySelectorAll('a[href]'));
+  
+  return containers.find(container => linksOf(container).some(link => link.href === linkUrl)) ||
+    containers.find(container => linksOf(container).some(link => {
+      try {
+        const url = new URL(link.href);
+        return url.origin === target.origin && url.pathname === target.pathname;
+      } catch (error) {
+        return false;
+      }
+    })) ||
+    null;
+}
+
+// Without a button to change state, confirm adds made by shortcut or menu
+function announceAdd(product, result) {
+  if (!result.success || result.replacedItem || result.possibleDuplicate) return;
+  CompareonToast.show(`Added "${(product.title || 'product').substring(0, 40)}" to Compareon (${result.count}/${result.limit})`);
+}
+
+// ============================================
+// IN-PAGE NOTICES
+// ============================================
+const CompareonToast = {
+  TOAST_ID: 'compareon-toast',
+  hideTimeout: null,
+
+  /**
+   * Show a small notice at the bottom of the page
+   * @param {string} message - Text to show
+   * @param {Object} options - { type: 'info' | 'error', actions: [{ label, onClick }], duration }
+   */
+  show(message, { type = 'info', actions = [], duration = 4000 } = {}) {
+    this.hide();
+    
+    const toast = document.createElement('div');
+    toast.id = this.TOAST_ID;
+    toast.className = `compareon-toast compareon-toast-${type}`;
+    toast.setAttribute('role', type === 'error' ? 'alert' : 'status');
+    
+    const text = document.createElement('span');
+    text.textContent = message;
+    toast.appendChild(text);
+    
+    actions.forEach(({ label, onClick }) => {
+      const actionButton = document.createElement('button');
+      actionButton.type = 'button';
+      actionButton.className = 'compareon-toast-action';
+      actionButton.textContent = label;
+      actionButton.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.hide();
+        if (onClick) onClick();
+      });
+      toast.appendChild(actionButton);
+    });
+    
+    document.body.appendChild(toast);
+    
+    // Notices with a choice stay up longer
+    this.hideTimeout = setTimeout(() => this.hide(), actions.length > 0 ? duration * 3 : duration);
+  },
+
+  hide() {
+    clearTimeout(this.hideTimeout);
+    document.getElementById(this.TOAST_ID)?.remove();
+  }
+};
+
+// ============================================
+// COMPARE BUTTON STATE
+// ============================================
+// Buttons show whether their product is in the selected list ("Added ✓",
+// "Remove" on hover - clicking takes it out) or the list is full (disabled).
+// State comes from storage, so adds and removals in any tab or the popup show
+// up everywhere.
+const CompareButtonState = {
+  LABELS: {
+    added: 'Added ✓',
+    remove: 'Remove',
+    full: 'List full'
+  },
+
+  // Amazon buttons wrap the text in a span; the others are plain buttons
+  labelElement(button) {
+    return button.querySelector('.a-button-text') || button;
+  },
+
+  // Writes only when something changes: a rewrite is a DOM mutation, and the
+  // page observer re-syncs the buttons on mutations
+  setLabel(button, text) {
+    const label = this.labelElement(button);
+    if (label.textContent !== text) {
+      label.textContent = text;
+    }
+  },
+
+  setAttribute(button, name, value) {
+    if (value === null) {
+      if (button.hasAttribute(name)) button.removeAttribute(name);
+    } else if (button.getAttribute(name) !== value) {
+      button.setAttribute(name, value);
+    }
+  },
+
+  /**
+   * Put one button into a state
+   * @param {Element} button - Compare button
+   * @param {string} state - 'idle' | 'added' | 'full'
+   * @param {number} limit - Item limit of the selected list (for the title)
+   */
+  apply(button, state, limit) {
+    // Remember the retailer's own label the first time round
+    if (button.dataset.compareLabel === undefined) {
+      button.dataset.compareLabel = this.labelElement(button).textContent.trim();
+      button.addEventListener('mouseenter', () => this.showRemove(button, true));
+      button.addEventListener('mouseleave', () => this.showRemove(button, false));
+      button.addEventListener('focus', () => this.showRemove(button, true));
+      button.addEventListener('blur', () => this.showRemove(button, false));
+    }
+
+    this.setAttribute(button, 'data-compare-state', state);
+    this.setAttribute(button, 'aria-pressed', state === 'added' ? 'true' : 'false');
+
+    if (state === 'added') {
+      this.setLabel(button, button.matches(':hover, :focus') ? this.LABELS.remove : this.LABELS.added);
+      this.setAttribute(button, 'title', 'In your Compareon list - click to remove');
+      this.setAttribute(button, 'disabled', null);
+    } else if (state === 'full') {
+      // Disabled: nothing can be added until an item is removed from the list
+      this.setLabel(button, this.LABELS.full);
+      this.setAttribute(button, 'title', `Your list is full (${limit} items) - remove an item to add more`);
+      this.setAttribute(button, 'disabled', '');
     } else {
-      Logger.log(`✓ Added to comparison (${result.count}/${ComparisonManager.MAX_ITEMS})`);
+      this.setLabel(button, button.dataset.compareLabel);
+      this.setAttribute(button, 'title', 'Add to your Compareon list');
+      this.setAttribute(button, 'disabled', null);
     }
-  } else if (result.isLimitReached) {
-    Logger.log(`Limit reached (${ComparisonManager.MAX_ITEMS} items max)`);
+  },
+
+  showRemove(button, hovering) {
+    if (button.getAttribute('data-compare-state') !== 'added') return;
+    this.setLabel(button, hovering ? this.LABELS.remove : this.LABELS.added);
+  },
+
+  // Bring every Compare button on the page in line with the selected list
+  async syncAll() {
+    const buttons = document.querySelectorAll('[data-compare-button]');
+    if (buttons.length === 0) return;
+
+    const items = await ComparisonStore.getItems();
+    const listId = await ComparisonLists.getActiveListId();
+    const limit = await ComparisonLists.getLimit(listId);
+    const activeItems = ComparisonLists.activeItemsIn(items, listId);
+    const isFull = activeItems.length >= limit;
+
+    buttons.forEach(button => {
+      const productId = button.getAttribute('data-smart-product-id');
+      let state = 'idle';
+      if (findStoredCopy(activeItems, productId)) {
+        state = 'added';
+      } else if (isFull) {
+        state = 'full';
+      }
+      this.apply(button, state, limit);
+    });
+  }
+};
+
+// Follow list changes made in other tabs, the popup or the background worker
+chrome.storage.onChanged.addListener((changes, namespace) => {
+  if (namespace !== 'local') return;
+  if (changes[ComparisonStore.STORAGE_KEY] || changes[ComparisonLists.ACTIVE_KEY] || changes[ComparisonLists.STORAGE_KEY]) {
+    CompareButtonState.syncAll();
+  }
+});
+
+// ============================================
+// PRICE OBSERVATION
+// ============================================
+
+// Products whose price was already recorded during this page view
+const observedProductIds = new Set();
+
+// Record the current price of products that are already in the comparison list
+async function observeTrackedPrices(extractor, insertionData) {
+  const items = await ComparisonStore.getItems();
+  const trackedItems = items.filter(item => item.status === 'active');
+  
+  const observed = { listing: [], detail: [] };
+  
+  insertionData.forEach(({ productContainer, asin }) => {
+    // The history is kept under the stored id, so each storefront keeps its own prices
+    const stored = findStoredCopy(trackedItems, asin);
+    if (!stored || observedProductIds.has(stored.product_id)) return;
+    observedProductIds.add(stored.product_id);
+    
+    let product = null;
+    let source = 'listing';
+    if (productContainer) {
+      product = extractor.extractFromListingPage(productContainer);
+    } else if (extractor.isProductDetailPage()) {
+      // Main product on a detail page has no container
+      product = extractor.extractFromDetailPage();
+      source = 'detail';
+    }
+    
+    if (product) {
+      product.product_id = stored.product_id;
+      observed[source].push(product);
+    }
+  });
+  
+  // Sequential writes so the two batches don't overwrite each other
+  const appended = await PriceHistory.recordMany(observed.listing, 'listing') +
+                   await PriceHistory.recordMany(observed.detail, 'detail');
+  if (appended > 0) {
+    Logger.log(`📈 Recorded ${appended} price observations for tracked products`);
   }
 }
 
@@ -333,22 +615,33 @@ function insertCompareButtons() {
   });
   
   Logger.log('✓ Compare buttons inserted');
+  
+  // Show which products are already in the selected list
+  CompareButtonState.syncAll();
+  
+  // Append current prices of tracked products to their price history
+  observeTrackedPrices(extractor, insertionData);
 }
 
 // ============================================
 // INITIALIZATION
 // ============================================
 
-// Run when page loads
-insertCompareButtons();
-
 // Watch for dynamic content changes with debouncing and throttling
 let mutationTimeout;
 let lastRun = 0;
 const DEBOUNCE_DELAY = 300; // Wait 300ms after last mutation
 const THROTTLE_DELAY = 1000; // Don't run more than once per second
 
-const observer = new MutationObserver(() => {
+// Mutations inside our own buttons (label changes) are not new page content
+function isCompareButtonMutation(mutation) {
+  const target = mutation.target.nodeType === Node.ELEMENT_NODE ? mutation.target : mutation.target.parentElement;
+  return Boolean(target?.closest('[data-compare-button]'));
+}
+
+const observer = new MutationObserver((mutations) => {
+  if (mutations.every(isCompareButtonMutation)) return;
+  
   clearTimeout(mutationTimeout);
   
   mutationTimeout = setTimeout(() => {
@@ -361,16 +654,45 @@ const observer = new MutationObserver(() => {
   }, DEBOUNCE_DELAY);
 });
 
-// Only observe if we're on a product listing page
-const extractor = detectRetailer();
-if (extractor && extractor.isProductListPage()) {
-  observer.observe(document.body, {
-    childList: true,
-    subtree: true
-  });
-  Logger.log('🔍 MutationObserver active (debounced: 300ms, throttled: 1s)');
-} else {
-  Logger.log('⏭️ Not a listing page, skipping MutationObserver');
+// Insert buttons and start observing (no-op if the retailer is switched off)
+function startExtension() {
+  const extractor = detectRetailer();
+  if (!extractor) return;
+  
+  insertCompareButtons();
+  
+  // Only observe if we're on a product listing page
+  if (extractor.isProductListPage()) {
+    observer.observe(document.body, {
+      childList: true,
+      subtree: true
+    });
+    Logger.log('🔍 MutationObserver active (debounced: 300ms, throttled: 1s)');
+  } else {
+    Logger.log('⏭️ Not a listing page, skipping MutationObserver');
+  }
+}
+
+// Remove everything the extension added to the page
+function stopExtension() {
+  observer.disconnect();
+  clearTimeout(mutationTimeout);
+  document.querySelectorAll('[data-compare-button]').forEach(button => button.remove());
+  Logger.log('⏹️ Retailer disabled - Compare buttons removed');
 }
 
-Logger.log('🚀 Compareon Extension loaded');
+// Run when page loads, once user settings and selector rules are known
+Promise.all([Config.loadSettings(), SelectorRules.load()]).then(() => {
+  startExtension();
+  
+  // Apply retailer on/off changes from the options page without a reload
+  Config.onSettingsChanged(() => {
+    if (Config.isAllowedDomain(window.location.hostname)) {
+      startExtension();
+    } else {
+      stopExtension();
+    }
+  });
+  
+  Logger.log('🚀 Compareon Extension loaded');
+});
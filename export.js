@@ -0,0 +1,178 @@
+// ============================================
+// EXPORT
+// ============================================
+// Turns comparison items into CSV, JSON or Markdown so a comparison can be
+// pasted into a ticket or a spreadsheet without the hosted site.
+
+const ComparisonExport = {
+  FORMATS: {
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+    json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+    markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' }
+  },
+
+  // Columns that lead every CSV/Markdown export; anything else follows in first-seen order
+  LEADING_COLUMNS: [
+    'product_id', 'title', 'price', 'priceValue', 'currency', 'retailer', 'category', 'rating', 'totalReviews',
+    'url', 'propertyLink', 'listId', 'status', 'addedAt', 'removedAt'
+  ],
+
+  // Derived from other fields on every write (ItemSchema.attributesOf); flat
+  // exports leave them out so the same facts aren't exported twice
+  DERIVED_FIELDS: ['attributes'],
+
+  // Separator for flattened arrays (images, featureBullets, ...)
+  LIST_SEPARATOR: ' | ',
+
+  // ============================================
+  // FLATTENING
+  // ============================================
+
+  // Render one value as text: arrays are joined, objects in arrays become JSON
+  flattenValue(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) {
+      return value
+        .map(entry => (entry && typeof entry === 'object' ? JSON.stringify(entry) : String(entry)))
+        .join(this.LIST_SEPARATOR);
+    }
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  },
+
+  /**
+   * Flatten an item into a single-level map of column -> text.
+   * Key/value maps like specs and productDetails get one column per key
+   * ("specs.Screen Size") so they line up in a spreadsheet.
+   * @param {Object} item - Comparison item
+   * @returns {Object}
+   */
+  flattenItem(item) {
+    const flat = {};
+    Object.entries(item).forEach(([key, value]) => {
+      if (this.DERIVED_FIELDS.includes(key)) return;
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        Object.entries(value).forEach(([subKey, subValue]) => {
+          flat[`${key}.${subKey}`] = this.flattenValue(subValue);
+        });
+        return;
+      }
+      flat[key] = this.flattenValue(value);
+    });
+    return flat;
+  },
+
+  // Union of all columns, leading columns first
+  columnsOf(flatItems) {
+    const seen = new Set();
+    flatItems.forEach(flat => Object.keys(flat).forEach(key => seen.add(key)));
+
+    const leading = this.LEADING_COLUMNS.filter(key => seen.has(key));
+    const rest = [...seen].filter(key => !leading.includes(key));
+    return [...leading, ...rest];
+  },
+
+  // ============================================
+  // FORMATS
+  // ============================================
+
+  // Quote a CSV cell and keep spreadsheets from running it as a formula.
+  // Any cell starting with a formula trigger is escaped, numbers included
+  csvCell(text) {
+    let cell = text;
+    if (/^[=+\-@\t\r]/.test(cell)) {
+      cell = `'${cell}`;
+    }
+    if (/[",\r\n]/.test(cell)) {
+      cell = `"${cell.replace(/"/g, '""')}"`;
+    }
+    return cell;
+  },
+
+  toCSV(items) {
+    const flatItems = items.map(item => this.flattenItem(item));
+    const columns = this.columnsOf(flatItems);
+    const lines = [
+      columns.map(column => this.csvCell(column)).join(','),
+      ...flatItems.map(flat => columns.map(column => this.csvCell(flat[column] || '')).join(','))
+    ];
+    // BOM so Excel opens the file as UTF-8 (£, ₹, accented titles)
+    return '\uFEFF' + lines.join('\r\n');
+  },
+
+  /**
+   * Full-fidelity export; the same shape the import reads back
+   * @param {Array<Object>} items - Comparison items
+   * @param {Array<Object>} lists - Lists the items belong to
+   * @returns {string}
+   */
+  toJSON(items, lists) {
+    return JSON.stringify({
+      format: 'compareon',
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      lists: lists,
+      items: items
+    }, null, 2);
+  },
+
+  markdownCell(text) {
+    return text.replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>') || '—';
+  },
+
+  // One column per product and one row per field, like the offline comparison page
+  toMarkdown(items, title) {
+    const flatItems = items.map(item => this.flattenItem(item));
+    const columns = this.columnsOf(flatItems);
+    const headers = ['Field', ...items.map((item, index) => item.title ? item.title.substring(0, 40) : `Item ${index + 1}`)];
+
+    const lines = [
+      `# ${title}`,
+      '',
+      `Exported ${new Date().toLocaleString()} - ${items.length} item${items.length === 1 ? '' : 's'}`,
+      '',
+      `| ${headers.map(header => this.markdownCell(header)).join(' | ')} |`,
+      `| ${headers.map(() => '---').join(' | ')} |`,
+      ...columns.map(column =>
+        `| ${[column, ...flatItems.map(flat => flat[column] || '')].map(cell => this.markdownCell(cell)).join(' | ')} |`
+      )
+    ];
+    return lines.join('\n') + '\n';
+  },
+
+  /**
+   * Build the export file contents
+   * @param {string} format - csv | json | markdown
+   * @param {Array<Object>} items - Items to export
+   * @param {Object} context - { lists, title }
+   * @returns {string}
+   */
+  build(format, items, context = {}) {
+    if (format === 'json') return this.toJSON(items, context.lists || []);
+    if (format === 'markdown') return this.toMarkdown(items, context.title || 'Compareon comparison');
+    return this.toCSV(items);
+  },
+
+  // "Homes in Austin" -> compareon-homes-in-austin-2024-05-01.csv
+  fileName(name, format) {
+    const slug = (name || 'list').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const date = new Date().toISOString().slice(0, 10);
+    return `compareon-${slug || 'list'}-${date}.${this.FORMATS[format].extension}`;
+  },
+
+  // Save the contents as a file through a temporary download link
+  download(contents, fileName, format) {
+    const blob = new Blob([contents], { type: `${this.FORMATS[format].mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+};
+
+// Export for use in extension pages
+self.ComparisonExport = ComparisonExport;
@@ -0,0 +1,209 @@
+// ============================================
+// EXTRACTION HEALTH
+// ============================================
+// Retailers change their markup without notice. Extractors report which
+// selector strategy produced each core field, and every Compare click is
+// tallied locally per retailer, page type, field and strategy, so the
+// popup's diagnostics view shows which fields started failing and which
+// fallback is carrying them. Nothing leaves the browser.
+
+const ExtractionHealth = {
+  STORAGE_KEY: 'extraction_health',
+  FIELDS: ['title', 'price', 'rating', 'image', 'product_id'],
+  MAX_RECENT_FAILURES: 20,
+
+  // Report for the extraction in progress (extraction is synchronous, so one at a time)
+  current: null,
+
+  // ============================================
+  // REPORTING (called by extractors)
+  // ============================================
+
+  /**
+   * Start a report for one extraction
+   * @param {string} retailer - Retailer id from Config.RETAILERS
+   * @param {string} pageType - "listing" or "detail"
+   * @param {Array<string>} fields - Fields this extractor is expected to fill
+   */
+  begin(retailer, pageType, fields = this.FIELDS) {
+    this.current = { retailer, pageType, fields, strategies: {} };
+  },
+
+  /**
+   * Note the strategy that produced a field. The first strategy reported wins,
+   * so extractors call this in the branch that found the value.
+   * No-op outside a report (price observation, background tabs).
+   *
+   * Strategies are named "kind:detail" so the diagnostics table reads the same
+   * for every retailer:
+   *   selector:<css>     - the CSS selector that matched (SelectorRules.first/firstMatch report these)
+   *   rule:<name>        - a selector rule whose element still needed parsing
+   *   attribute:<name>   - an attribute of the product container or link
+   *   text:<where>       - a pattern found in visible text
+   *   url                - parsed from the product or page URL
+   *   json-ld            - the page's structured data
+   *   fallback:<what>    - a made-up value (e.g. an id from the card position)
+   * @param {string} field - title | price | rating | image | product_id
+   * @param {string} strategy - "kind:detail" as above
+   */
+  hit(field, strategy) {
+    if (!this.current || this.current.strategies[field]) return;
+    this.current.strategies[field] = strategy;
+  },
+
+  /**
+   * Close the report against the extracted product
+   * A field counts as failed when the product has no value for it, even if a
+   * selector matched (the element was there but empty).
+   * @param {Object|null} product - Extraction result (null when extraction gave up)
+   * @returns {Object|null} - { retailer, pageType, ok, fields: { [field]: { ok, strategy } } }
+   */
+  finish(product) {
+    const report = this.current;
+    this.current = null;
+    if (!report) return null;
+
+    const fields = {};
+    report.fields.forEach(field => {
+      const value = product?.[field];
+      const ok = value !== undefined && value !== null && value !== '';
+      fields[field] = { ok, strategy: report.strategies[field] || (ok ? 'default' : 'none') };
+    });
+
+    return {
+      retailer: report.retailer,
+      pageType: report.pageType,
+      ok: Boolean(product),
+      fields
+    };
+  },
+
+  // ============================================
+  // STORAGE
+  // ============================================
+
+  async getAll() {
+    return new Promise((resolve) => {
+      try {
+        chrome.storage.local.get([this.STORAGE_KEY], (result) => {
+          if (chrome.runtime.lastError) {
+            console.error('Extension context invalidated:', chrome.runtime.lastError);
+            resolve({ retailers: {}, recentFailures: [] });
+            return;
+          }
+          resolve(result[this.STORAGE_KEY] || { retailers: {}, recentFailures: [] });
+        });
+      } catch (error) {
+        console.error('Error getting extraction health:', error);
+        resolve({ retailers: {}, recentFailures: [] });
+      }
+    });
+  },
+
+  /**
+   * Add a finished report to the stored tallies
+   * Shape: retailers[retailer][pageType] = { extractions, failures, lastFailureAt,
+   *   fields: { [field]: { ok, failed, lastFailureAt, strategies: { [strategy]: { ok, failed } } } } }
+   * @param {Object} report - From finish()
+   * @param {string} url - Page the extraction ran on (query string is dropped)
+   */
+  async record(report, url) {
+    if (!report) return;
+
+    const health = await this.getAll();
+    const now = new Date().toISOString();
+    const retailerStats = health.retailers[report.retailer] || (health.retailers[report.retailer] = {});
+    const stats = retailerStats[report.pageType] ||
+      (retailerStats[report.pageType] = { extractions: 0, failures: 0, lastFailureAt: null, fields: {} });
+
+    stats.extractions++;
+    if (!report.ok) {
+      stats.failures++;
+      stats.lastFailureAt = now;
+    }
+
+    const missing = [];
+    Object.entries(report.fields).forEach(([field, { ok, strategy }]) => {
+      const fieldStats = stats.fields[field] || (stats.fields[field] = { ok: 0, failed: 0, lastFailureAt: null, strategies: {} });
+      const strategyStats = fieldStats.strategies[strategy] || (fieldStats.strategies[strategy] = { ok: 0, failed: 0 });
+
+      if (ok) {
+        fieldStats.ok++;
+        strategyStats.ok++;
+      } else {
+        fieldStats.failed++;
+        strategyStats.failed++;
+        fieldStats.lastFailureAt = now;
+        missing.push(field);
+      }
+    });
+
+    if (!report.ok || missing.length > 0) {
+      health.recentFailures.unshift({
+        retailer: report.retailer,
+        pageType: report.pageType,
+        url: (url || '').split(/[?#]/)[0],
+        missing,
+        extracted: report.ok,
+        at: now
+      });
+      health.recentFailures.splice(this.MAX_RECENT_FAILURES);
+    }
+
+    return new Promise((resolve) => {
+      try {
+        chrome.storage.local.set({ [this.STORAGE_KEY]: health }, () => {
+          if (chrome.runtime.lastError) {
+            console.error('Extension context invalidated:', chrome.runtime.lastError);
+          }
+          resolve();
+        });
+      } catch (error) {
+        console.error('Error saving extraction health:', error);
+        resolve();
+      }
+    });
+  },
+
+  async clear() {
+    return new Promise((resolve) => {
+      chrome.storage.local.remove([this.STORAGE_KEY], resolve);
+    });
+  },
+
+  // ============================================
+  // SUMMARY
+  // ============================================
+
+  /**
+   * Flatten the tallies into rows for the diagnostics view, worst first
+   * @param {Object} health - From getAll()
+   * @returns {Array<Object>} - [{ retailer, pageType, field, ok, failed, failureRate, lastFailureAt, strategies: [{ name, ok, failed }] }]
+   */
+  summarize(health) {
+    const rows = [];
+    Object.entries(health.retailers || {}).forEach(([retailer, pageTypes]) => {
+      Object.entries(pageTypes).forEach(([pageType, stats]) => {
+        Object.entries(stats.fields).forEach(([field, fieldStats]) => {
+          const total = fieldStats.ok + fieldStats.failed;
+          rows.push({
+            retailer,
+            pageType,
+            field,
+            ok: fieldStats.ok,
+            failed: fieldStats.failed,
+            failureRate: total > 0 ? fieldStats.failed / total : 0,
+            lastFailureAt: fieldStats.lastFailureAt,
+            strategies: Object.entries(fieldStats.strategies)
+              .map(([name, counts]) => ({ name, ...counts }))
+              .sort((a, b) => (b.ok + b.failed) - (a.ok + a.failed))
+          });
+        });
+      });
+    });
+    return rows.sort((a, b) => b.failureRate - a.failureRate || b.failed - a.failed);
+  }
+};
+
+// Export for use in content scripts and extension pages
+self.ExtractionHealth = ExtractionHealth;
@@ -0,0 +1,286 @@
+// ============================================
+// IMPORT AND SHARE CODES
+// ============================================
+// Rebuilds a comparison list from a JSON export (export.js) or from a
+// compact share code, so a teammate can hand over a shortlist without the
+// hosted site. Imported items are validated, collisions on product_id are
+// resolved per item (merge / replace / skip) and the list's item limit
+// still applies.
+
+const ComparisonImport = {
+  // "CMP1." + base64url(deflate(JSON))
+  SHARE_CODE_PREFIX: 'CMP1.',
+  MAX_ITEMS: 200,
+  MAX_ITEM_SIZE: 200000, // characters of JSON per item
+
+  // Per-list bookkeeping that must not travel with an item
+  BOOKKEEPING_FIELDS: ['status', 'addedAt', 'updatedAt', 'reactivatedAt', 'removedAt', 'listId', 'mergedInto', 'distinctFrom'],
+
+  // Fields the popup and the comparison page render as links or images
+  URL_FIELDS: ['url', 'propertyLink', 'image', 'reviewsUrl'],
+
+  // ============================================
+  // SHARE CODES
+  // ============================================
+
+  async compress(text, mode) {
+    const stream = new Blob([text]).stream().pipeThrough(
+      mode === 'decompress' ? new DecompressionStream('deflate') : new CompressionStream('deflate')
+    );
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  },
+
+  toBase64Url(bytes) {
+    let binary = '';
+    // Chunked - String.fromCharCode(...bytes) overflows the stack on big lists
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  },
+
+  fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+  },
+
+  /**
+   * Encode a list as a share code
+   * @param {Array<Object>} items - Active items of the list
+   * @param {Object} list - The list ({ name })
+   * @returns {Promise<string>}
+   */
+  async encodeShareCode(items, list) {
+    const payload = {
+      format: 'compareon',
+      version: 1,
+      lists: [{ name: list?.name || ComparisonLists.DEFAULT_LIST_NAME }],
+      items: items.map(item => this.stripBookkeeping(item))
+    };
+    const bytes = await this.compress(JSON.stringify(payload));
+    return this.SHARE_CODE_PREFIX + this.toBase64Url(bytes);
+  },
+
+  async decodeShareCode(code) {
+    const bytes = this.fromBase64Url(code.slice(this.SHARE_CODE_PREFIX.length).replace(/\s+/g, ''));
+    const text = new TextDecoder().decode(await this.compress(bytes, 'decompress'));
+    return JSON.parse(text);
+  },
+
+  // ============================================
+  // PARSING AND VALIDATION
+  // ============================================
+
+  /**
+   * Parse a JSON export or a share code
+   * @param {string} text - File contents or pasted code
+   * @returns {Promise<Object>} - Parsed data
+   * @throws {Error} - With a message fit for the user
+   */
+  async parse(text) {
+    const input = (text || '').trim();
+    if (!input) throw new Error('Nothing to import');
+
+    try {
+      if (input.startsWith(this.SHARE_CODE_PREFIX)) {
+        return await this.decodeShareCode(input);
+      }
+      return JSON.parse(input);
+    } catch (error) {
+      console.error('Import parse error:', error);
+      throw new Error(input.startsWith(this.SHARE_CODE_PREFIX) ? 'This share code is damaged or incomplete' : 'This is not a valid JSON export');
+    }
+  },
+
+  /**
+   * Check the parsed data against the comparison item shape
+   * Accepts an export ({ format, items, lists }) or a bare array of items
+   * @param {Object|Array} data - Parsed data
+   * @returns {Object} - { items, listName, errors }
+   */
+  validate(data) {
+    const rawItems = Array.isArray(data) ? data : data?.items;
+    if (!Array.isArray(rawItems)) {
+      return { items: [], listName: null, errors: ['No "items" array found'] };
+    }
+    if (data?.version && data.version > 1) {
+      return { items: [], listName: null, errors: [`Export version ${data.version} is newer than this extension supports`] };
+    }
+
+    const errors = [];
+    const items = [];
+    const seen = new Set();
+
+    rawItems.slice(0, this.MAX_ITEMS).forEach((raw, index) => {
+      const { item, error } = this.validateItem(raw);
+      if (error) {
+        errors.push(`Item ${index + 1}: ${error}`);
+        return;
+      }
+      if (seen.has(item.product_id)) {
+        errors.push(`Item ${index + 1}: duplicate product_id ${item.product_id}`);
+        return;
+      }
+      seen.add(item.product_id);
+      items.push(item);
+    });
+
+    if (rawItems.length > this.MAX_ITEMS) {
+      errors.push(`Only the first ${this.MAX_ITEMS} items are imported`);
+    }
+
+    const listName = Array.isArray(data?.lists) && typeof data.lists[0]?.name === 'string' ? data.lists[0].name : null;
+    return { items, listName, errors };
+  },
+
+  /**
+   * Validate one item and drop anything unsafe
+   * @param {Object} raw - Item from the import
+   * @returns {Object} - { item } or { error }
+   */
+  validateItem(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      return { error: 'not an object' };
+    }
+
+    const productId = typeof raw.product_id === 'number' ? String(raw.product_id) : raw.product_id;
+    if (typeof productId !== 'string' || !productId.trim()) {
+      return { error: 'missing product_id' };
+    }
+
+    for (const key of ['title', 'price', 'retailer', 'currency']) {
+      if (raw[key] !== undefined && raw[key] !== null && typeof raw[key] !== 'string') {
+        return { error: `"${key}" must be text` };
+      }
+    }
+    if (raw.priceValue !== undefined && raw.priceValue !== null && typeof raw.priceValue !== 'number') {
+      return { error: '"priceValue" must be a number' };
+    }
+    if (raw.images !== undefined && !Array.isArray(raw.images)) {
+      return { error: '"images" must be a list' };
+    }
+    if (JSON.stringify(raw).length > this.MAX_ITEM_SIZE) {
+      return { error: 'too large' };
+    }
+
+    const item = { ...this.stripBookkeeping(raw), product_id: productId.trim() };
+
+    // Only http(s) links - these end up in href and src attributes
+    this.URL_FIELDS.forEach(key => {
+      if (item[key] !== undefined && !this.isSafeUrl(item[key])) delete item[key];
+    });
+    if (Array.isArray(item.images)) {
+      item.images = item.images.filter(src => this.isSafeUrl(src));
+    }
+    if (Array.isArray(item.sources)) {
+      item.sources = item.sources.filter(source => source && typeof source === 'object')
+        .map(source => (this.isSafeUrl(source.url) ? source : { ...source, url: null }));
+    }
+
+    return { item };
+  },
+
+  isSafeUrl(value) {
+    if (typeof value !== 'string') return false;
+    try {
+      return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+      return false;
+    }
+  },
+
+  stripBookkeeping(item) {
+    const stripped = { ...item };
+    this.BOOKKEEPING_FIELDS.forEach(key => delete stripped[key]);
+    return stripped;
+  },
+
+  // ============================================
+  // APPLYING
+  // ============================================
+
+  /**
+   * Imported items whose product_id is already active in the list
+   * @param {string} listId - Target list
+   * @param {Array<Object>} items - Validated items
+   * @returns {Promise<Array<Object>>} - [{ imported, existing }]
+   */
+  async findCollisions(listId, items) {
+    const stored = await ComparisonStore.getItems();
+    const active = ComparisonLists.activeItemsIn(stored, listId);
+    return items
+      .map(imported => ({ imported, existing: active.find(item => item.product_id === imported.product_id) }))
+      .filter(collision => collision.existing);
+  },
+
+  /**
+   * Write the import into a list
+   * Collisions follow `resolutions` (merge keeps the list's values and fills gaps,
+   * replace takes the imported item, skip leaves it). New items stop at the list limit.
+   * @param {string} listId - Target list
+   * @param {Array<Object>} items - Validated items
+   * @param {Object} resolutions - { [product_id]: 'merge' | 'replace' | 'skip' }
+   * @returns {Promise<Object>} - { added, merged, replaced, skipped, overLimit, limit, error }
+   */
+  async apply(listId, items, resolutions = {}) {
+    const limit = await ComparisonLists.getLimit(listId);
+    const now = new Date().toISOString();
+    let summary;
+
+    // Runs again on fresh items if the list changed meanwhile
+    const result = await ComparisonStore.edit(storedItems => {
+      const stored = [...storedItems];
+      let activeCount = ComparisonLists.activeItemsIn(stored, listId).length;
+      summary = { added: 0, merged: 0, replaced: 0, skipped: 0, overLimit: [], limit };
+
+      items.forEach(imported => {
+        const index = stored.findIndex(item => ComparisonLists.matches(item, imported.product_id, listId));
+        const existing = index !== -1 ? stored[index] : null;
+
+        if (existing?.status === 'active') {
+          const resolution = resolutions[imported.product_id] || 'merge';
+          if (resolution === 'skip') {
+            summary.skipped++;
+          } else if (resolution === 'replace') {
+            stored[index] = { ...imported, status: 'active', listId, addedAt: existing.addedAt, updatedAt: now };
+            summary.replaced++;
+          } else {
+            const merged = { ...existing };
+            Object.entries(imported).forEach(([key, value]) => {
+              if (merged[key] === undefined || merged[key] === null || merged[key] === '') merged[key] = value;
+            });
+            stored[index] = { ...merged, updatedAt: now };
+            summary.merged++;
+          }
+          return;
+        }
+
+        // New or previously removed item - same limit the Compare button enforces
+        if (activeCount >= limit) {
+          summary.overLimit.push(imported);
+          return;
+        }
+
+        const item = { ...imported, status: 'active', listId, addedAt: now };
+        if (existing) {
+          stored[index] = { ...item, reactivatedAt: now };
+        } else {
+          stored.push(item);
+        }
+        activeCount++;
+        summary.added++;
+      });
+
+      return stored;
+    });
+
+    // Nothing was written
+    if (!result.success) {
+      return { added: 0, merged: 0, replaced: 0, skipped: 0, overLimit: [], limit, error: result.message };
+    }
+    return summary;
+  }
+};
+
+// Export for use in extension pages
+self.ComparisonImport = ComparisonImport;
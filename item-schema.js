@@ -0,0 +1,135 @@
+// ============================================
+// ITEM SCHEMA AND MIGRATIONS
+// ============================================
+// Stored items grew field by field per retailer: products link through
+// `url`, homes through `propertyLink`, and comparable facts sit in `specs`
+// on products but loose on homes. Every item is now written in one shape
+// with common `url`, `retailer`, `category` ('product' | 'property') and
+// `attributes` fields plus the `schemaVersion` it was written at. Older
+// fields stay in place for the readers that use them, except Best Buy's
+// `specifications`, which became `specs` like every other store's.
+//
+// ComparisonStore.commit normalizes every item it writes, so stored items
+// reach the current shape on the next write. MIGRATIONS is for upgrades
+// normalize() can't make on its own; schema_version in chrome.storage.local
+// records how far stored data has been migrated and background.js runs the
+// pending ones on install/update.
+
+const ItemSchema = {
+  VERSION_KEY: 'schema_version',
+  CURRENT_VERSION: 2,
+
+  // Comparable facts of a home, in display order
+  PROPERTY_ATTRIBUTES: [
+    'beds', 'baths', 'sqft', 'propertyType', 'yearBuilt', 'lotSize',
+    'parking', 'heating', 'cooling', 'estimatedMonthly', 'daysOnZillow'
+  ],
+
+  // Ordered upgrades of comparison_items; each takes and returns every stored item.
+  // Schemas 1 (common fields) and 2 (Best Buy specs) need none: normalize() covers them
+  MIGRATIONS: [],
+
+  // ============================================
+  // NORMALIZATION
+  // ============================================
+
+  /**
+   * Bring an item to the current shape. Safe to run on an item that already has it.
+   * @param {Object} storedItem - Stored or freshly extracted item
+   * @returns {Object} - Item with url, retailer, category, attributes and schemaVersion
+   */
+  normalize(storedItem) {
+    const item = this.renameLegacySpecs(storedItem);
+    const url = item.url || item.propertyLink || null;
+    const retailer = item.retailer || this.retailerFromUrl(url);
+    const category = Config.RETAILERS[retailer]?.category || item.category || 'product';
+
+    return {
+      ...item,
+      url,
+      retailer,
+      category,
+      attributes: this.attributesOf(item, category),
+      schemaVersion: this.CURRENT_VERSION
+    };
+  },
+
+  // Best Buy items written before schema 2 (and exports made then) carry `specifications`
+  renameLegacySpecs(item) {
+    if (!item.specifications) return item;
+    const { specifications, ...rest } = item;
+    const hostname = this.hostnameOf(item.url || item.propertyLink);
+    return { ...rest, specs: item.specs || SpecParser.normalize(specifications, hostname) };
+  },
+
+  hostnameOf(url) {
+    try {
+      return new URL(url).hostname;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  retailerFromUrl(url) {
+    return Config.getRetailerId(this.hostnameOf(url));
+  },
+
+  /**
+   * Key/value facts to compare items of one category side by side, rebuilt from
+   * the item's own fields every time so removed or renamed facts drop out.
+   * Products: their normalized specs (plus brand/model where a store reports them
+   * separately). Homes: beds, baths, sqft and the other PROPERTY_ATTRIBUTES.
+   * @param {Object} item - Item to read
+   * @param {string} category - 'product' | 'property'
+   * @returns {Object}
+   */
+  attributesOf(item, category) {
+    const isEmpty = (value) => value === undefined || value === null || value === '';
+    const attributes = {};
+
+    if (category === 'property') {
+      this.PROPERTY_ATTRIBUTES.forEach(key => {
+        if (!isEmpty(item[key])) attributes[key] = item[key];
+      });
+      return attributes;
+    }
+
+    Object.assign(attributes, item.specs || {});
+    if (!isEmpty(item.brand) && isEmpty(attributes.Brand)) attributes.Brand = item.brand;
+    if (!isEmpty(item.model) && isEmpty(attributes.Model)) attributes.Model = item.model;
+    return attributes;
+  },
+
+  // ============================================
+  // STORED VERSION
+  // ============================================
+
+  async getStoredVersion() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([this.VERSION_KEY], (result) => {
+        if (chrome.runtime.lastError) {
+          console.error('Extension context invalidated:', chrome.runtime.lastError);
+          resolve(0);
+          return;
+        }
+        resolve(result[this.VERSION_KEY] || 0);
+      });
+    });
+  },
+
+  async setStoredVersion(version) {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [this.VERSION_KEY]: version }, resolve);
+    });
+  },
+
+  // Migrations the stored data hasn't had yet, oldest first
+  pendingMigrations(storedVersion) {
+    return this.MIGRATIONS
+      .filter(migration => migration.version > storedVersion)
+      .sort((a, b) => a.version - b.version);
+  }
+};
+
+// Export for use in the background worker
+self.ItemSchema = ItemSchema;
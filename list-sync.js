@@ -0,0 +1,395 @@
+// ============================================
+// LIST SYNC (opt-in, settings.syncLists)
+// ============================================
+// Mirrors comparison lists and their items into chrome.storage.sync so a
+// list started on one computer shows up on the others signed in to the
+// same browser profile. chrome.storage.sync allows ~100 KB in total and
+// 8 KB per key, so items are trimmed to a compact form (no photo lists,
+// shortened long text) and spread over numbered chunk keys.
+//
+// Conflicts are resolved per item and per list by timestamp: the copy
+// changed last wins. Something only one side has is new if this browser
+// hasn't synced it before, and deleted (on the side that lacks it) if it
+// has. Runs in the background worker only.
+
+const ListSync = {
+  META_KEY: 'sync_meta',
+  CHUNK_PREFIX: 'sync_items_',
+  STATE_KEY: 'sync_state', // chrome.storage.local: { lastSyncAt, lastPushedHash, syncedKeys }
+  STATUS_KEY: 'sync_status', // chrome.storage.local: shown on the options page
+  FORMAT_VERSION: 1,
+
+  // chrome.storage.sync quotas, with room left for settings
+  MAX_TOTAL_BYTES: 90000,
+  MAX_CHUNK_BYTES: 8000,
+
+  // Fields that stay local: photo lists, full tables and review texts
+  LOCAL_ONLY_FIELDS: [
+    'images', 'productDetails', 'productImportantInformation', 'nearbySchools',
+    'topPositiveReviews', 'topCriticalReviews', 'attributes'
+  ],
+  MAX_TEXT_LENGTH: 300,
+  MAX_LIST_ENTRIES: 5,
+
+  DEBOUNCE_MS: 3000,
+  debounceTimer: null,
+  running: Promise.resolve(),
+
+  // ============================================
+  // TRIGGERS
+  // ============================================
+
+  // Sync a moment after the last change, so a burst of edits is one write
+  schedule() {
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = setTimeout(() => this.sync(), this.DEBOUNCE_MS);
+  },
+
+  // One sync at a time; a failed one doesn't block the next
+  sync() {
+    const run = this.running.then(() => this.syncNow());
+    this.running = run.catch(() => {});
+    return run;
+  },
+
+  async syncNow() {
+    const settings = await Config.loadSettings();
+    if (!settings.syncLists) return;
+
+    try {
+      const deviceId = await ComparisonSession.getBrowserUUID();
+      const state = await this.getLocal(this.STATE_KEY) || {};
+      const remote = await this.readRemote();
+
+      if (remote && remote.deviceId !== deviceId) {
+        await this.mergeRemote(remote, new Set(state.syncedKeys || []));
+      }
+
+      const pushed = await this.push(deviceId, state.lastPushedHash);
+      const now = new Date().toISOString();
+      await this.setLocal({
+        [this.STATE_KEY]: { lastSyncAt: now, lastPushedHash: pushed.hash, syncedKeys: pushed.keys },
+        [this.STATUS_KEY]: { lastSyncAt: now, error: null, itemCount: pushed.itemCount, bytes: pushed.bytes }
+      });
+    } catch (error) {
+      console.error('❌ [Sync] Failed:', error);
+      await this.setLocal({
+        [this.STATUS_KEY]: { ...(await this.getLocal(this.STATUS_KEY) || {}), error: error.message }
+      });
+    }
+  },
+
+  // ============================================
+  // COMPACT FORM
+  // ============================================
+
+  /**
+   * Trim an item for sync. Fields that were shortened or left out are listed
+   * in `syncTrimmed` so a merge doesn't overwrite the full local copy with them.
+   * @param {Object} item - Stored item
+   * @returns {Object}
+   */
+  compactItem(item) {
+    const compact = {};
+    const trimmed = [];
+
+    Object.entries(item).forEach(([key, value]) => {
+      if (this.LOCAL_ONLY_FIELDS.includes(key)) {
+        trimmed.push(key);
+        return;
+      }
+      if (typeof value === 'string' && value.length > this.MAX_TEXT_LENGTH) {
+        compact[key] = `${value.substring(0, this.MAX_TEXT_LENGTH)}…`;
+        trimmed.push(key);
+        return;
+      }
+      if (Array.isArray(value) && value.length > this.MAX_LIST_ENTRIES) {
+        compact[key] = value.slice(0, this.MAX_LIST_ENTRIES);
+        trimmed.push(key);
+        return;
+      }
+      compact[key] = value;
+    });
+
+    if (trimmed.length > 0) compact.syncTrimmed = trimmed;
+    return compact;
+  },
+
+  byteSize(key, value) {
+    return new TextEncoder().encode(key + JSON.stringify(value)).length;
+  },
+
+  /**
+   * Split compact items into chunks that each fit one sync key
+   * @param {Array<Object>} items - Compact items
+   * @returns {Array<Array<Object>>}
+   */
+  chunk(items) {
+    const chunks = [];
+    let current = [];
+
+    items.forEach(item => {
+      const key = `${this.CHUNK_PREFIX}${chunks.length}`;
+      if (this.byteSize(key, [item]) > this.MAX_CHUNK_BYTES) {
+        console.warn('⚠️ [Sync] Item too large to sync, skipped:', item.product_id);
+        return;
+      }
+      if (current.length > 0 && this.byteSize(key, [...current, item]) > this.MAX_CHUNK_BYTES) {
+        chunks.push(current);
+        current = [];
+      }
+      current.push(item);
+    });
+
+    if (current.length > 0) chunks.push(current);
+    return chunks;
+  },
+
+  // ============================================
+  // REMOTE
+  // ============================================
+
+  /**
+   * Read the synced snapshot
+   * @returns {Promise<Object|null>} - { deviceId, writtenAt, lists, items } or null if nothing is synced yet
+   */
+  async readRemote() {
+    const { [this.META_KEY]: meta } = await chrome.storage.sync.get([this.META_KEY]);
+    if (!meta || meta.version !== this.FORMAT_VERSION) return null;
+
+    const chunkKeys = Array.from({ length: meta.chunks }, (_, index) => `${this.CHUNK_PREFIX}${index}`);
+    const chunks = chunkKeys.length > 0 ? await chrome.storage.sync.get(chunkKeys) : {};
+
+    // A chunk missing means another browser is mid-write; the next change event syncs again
+    if (chunkKeys.some(key => !Array.isArray(chunks[key]))) {
+      console.warn('⚠️ [Sync] Incomplete snapshot, skipping');
+      return null;
+    }
+
+    return {
+      deviceId: meta.deviceId,
+      writtenAt: meta.writtenAt,
+      lists: meta.lists || [],
+      items: chunkKeys.flatMap(key => chunks[key])
+    };
+  },
+
+  /**
+   * Write this browser's lists and items as the synced snapshot (skipped if unchanged)
+   * @returns {Promise<Object>} - { hash, keys, itemCount, bytes }
+   */
+  async push(deviceId, lastPushedHash) {
+    const lists = await ComparisonLists.getLists();
+    let items = (await ComparisonStore.getItems()).map(item => this.compactItem(item));
+
+    let chunks = this.chunk(items);
+    let bytes = chunks.reduce((total, chunk, index) => total + this.byteSize(`${this.CHUNK_PREFIX}${index}`, chunk), 0);
+
+    // Over quota: removed items are the first to go
+    if (bytes > this.MAX_TOTAL_BYTES) {
+      items = items.filter(item => item.status !== 'removed');
+      chunks = this.chunk(items);
+      bytes = chunks.reduce((total, chunk, index) => total + this.byteSize(`${this.CHUNK_PREFIX}${index}`, chunk), 0);
+    }
+    if (bytes > this.MAX_TOTAL_BYTES) {
+      throw new Error(`Lists are too large to sync (${Math.round(bytes / 1024)} KB of ${Math.round(this.MAX_TOTAL_BYTES / 1024)} KB)`);
+    }
+
+    // Only what was written counts as synced: an item chunk() skipped as too
+    // large must not look "deleted elsewhere" to the next merge
+    const syncedItems = chunks.flat();
+    const hash = this.hashOf(JSON.stringify({ lists, chunks }));
+    const keys = [...lists.map(list => this.listKey(list)), ...syncedItems.map(item => this.itemKey(item))];
+    if (hash === lastPushedHash) {
+      return { hash, keys, itemCount: syncedItems.length, bytes };
+    }
+
+    const { [this.META_KEY]: previousMeta } = await chrome.storage.sync.get([this.META_KEY]);
+    const values = {
+      [this.META_KEY]: {
+        version: this.FORMAT_VERSION,
+        deviceId,
+        writtenAt: new Date().toISOString(),
+        chunks: chunks.length,
+        lists
+      }
+    };
+    chunks.forEach((chunk, index) => {
+      values[`${this.CHUNK_PREFIX}${index}`] = chunk;
+    });
+
+    await chrome.storage.sync.set(values);
+
+    // Drop chunks left over from a larger snapshot
+    const staleKeys = [];
+    for (let index = chunks.length; index < (previousMeta?.chunks || 0); index++) {
+      staleKeys.push(`${this.CHUNK_PREFIX}${index}`);
+    }
+    if (staleKeys.length > 0) await chrome.storage.sync.remove(staleKeys);
+
+    console.log(`☁️ [Sync] Pushed ${syncedItems.length} items in ${chunks.length} chunks (${bytes} bytes)`);
+    return { hash, keys, itemCount: syncedItems.length, bytes };
+  },
+
+  // Short fingerprint of a snapshot, to skip writing an unchanged one (djb2)
+  hashOf(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+      hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    return `${text.length}:${hash}`;
+  },
+
+  // ============================================
+  // MERGE
+  // ============================================
+
+  listKey(list) {
+    return `list:${list.id}`;
+  },
+
+  itemKey(item) {
+    return `item:${ComparisonLists.listIdOf(item)}:${item.product_id}`;
+  },
+
+  // Last time an item changed in any way
+  modifiedAt(entry) {
+    return Math.max(...[entry.updatedAt, entry.reactivatedAt, entry.removedAt, entry.addedAt, entry.createdAt]
+      .map(date => (date ? new Date(date).getTime() : 0)));
+  },
+
+  /**
+   * Merge two copies of the same collection by timestamp
+   * @param {Array<Object>} local - This browser's entries
+   * @param {Array<Object>} remote - Synced entries
+   * @param {Function} keyOf - Identity of an entry
+   * @param {Set<string>} syncedKeys - Keys this browser pushed last time (empty = never synced)
+   * @param {Function} combine - (local, remote) => entry, when the remote copy is newer
+   * @returns {Array<Object>}
+   */
+  mergeEntries(local, remote, keyOf, syncedKeys, combine) {
+    const remoteByKey = new Map(remote.map(entry => [keyOf(entry), entry]));
+    const localKeys = new Set(local.map(keyOf));
+    const merged = [];
+
+    local.forEach(entry => {
+      const remoteEntry = remoteByKey.get(keyOf(entry));
+      if (remoteEntry) {
+        merged.push(this.modifiedAt(remoteEntry) > this.modifiedAt(entry) ? combine(entry, remoteEntry) : entry);
+      } else if (!syncedKeys.has(keyOf(entry))) {
+        merged.push(entry); // Added here since the last sync
+      }
+      // Otherwise it was synced before and deleted elsewhere
+    });
+
+    remote.forEach(entry => {
+      if (localKeys.has(keyOf(entry))) return;
+      if (!syncedKeys.has(keyOf(entry))) {
+        merged.push(combine(null, entry)); // Added elsewhere
+      }
+      // Otherwise it was synced before and deleted here
+    });
+
+    return merged;
+  },
+
+  // Remote item over the local one, keeping local values of trimmed fields
+  combineItems(local, remote) {
+    const { syncTrimmed = [], ...remoteItem } = remote;
+    if (!local) return remoteItem;
+
+    const combined = { ...local, ...remoteItem };
+    syncTrimmed.forEach(key => {
+      if (local[key] !== undefined) combined[key] = local[key];
+    });
+    return combined;
+  },
+
+  /**
+   * Keep every list within its item limit. Each browser can fill a list on its
+   * own, so a merge can bring more active items than the limit allows; the
+   * oldest extra ones are marked removed, as "Replace oldest" would.
+   * @param {Array<Object>} items - Merged items
+   * @param {Array<Object>} lists - Merged lists
+   * @returns {Array<Object>}
+   */
+  enforceLimits(items, lists) {
+    const result = [...items];
+    lists.forEach(list => {
+      const activeItems = ComparisonLists.activeItemsIn(result, list.id);
+      const limit = ComparisonLists.limitOf(list);
+      while (activeItems.length > limit) {
+        const oldest = ComparisonStore.findOldestItem(activeItems);
+        activeItems.splice(activeItems.indexOf(oldest), 1);
+        result[result.indexOf(oldest)] = ComparisonStore.markRemoved(oldest);
+      }
+    });
+    return result;
+  },
+
+  /**
+   * Put the items whose remote copy won in the remote snapshot's order, in the
+   * slots they already use, so a reorder made elsewhere (move() stamps every
+   * item of the list) shows up here too
+   * @param {Array<Object>} items - Merged items
+   * @param {Array<Object>} remoteItems - Synced items, in their order
+   * @param {Set<string>} remoteWins - Keys of items taken from the remote copy
+   * @returns {Array<Object>}
+   */
+  followRemoteOrder(items, remoteItems, remoteWins) {
+    const remoteIndex = new Map(remoteItems.map((item, index) => [this.itemKey(item), index]));
+    const slots = [];
+    items.forEach((item, slot) => {
+      if (remoteWins.has(this.itemKey(item))) slots.push(slot);
+    });
+
+    const ordered = slots.map(slot => items[slot])
+      .sort((a, b) => remoteIndex.get(this.itemKey(a)) - remoteIndex.get(this.itemKey(b)));
+    const result = [...items];
+    slots.forEach((slot, index) => {
+      result[slot] = ordered[index];
+    });
+    return result;
+  },
+
+  async mergeRemote(remote, syncedKeys) {
+    const localLists = await ComparisonLists.getLists();
+    const lists = ComparisonLists.withDefault(this.mergeEntries(localLists, remote.lists, list => this.listKey(list), syncedKeys,
+      (local, remoteList) => ({ ...(local || {}), ...remoteList })));
+    await ComparisonLists.saveLists(lists);
+
+    // Items of a list deleted elsewhere go with it
+    const listIds = new Set(lists.map(list => list.id));
+    const result = await ComparisonStore.edit(items => {
+      const remoteWins = new Set();
+      const merged = this.mergeEntries(items, remote.items, item => this.itemKey(item), syncedKeys, (local, remoteItem) => {
+        remoteWins.add(this.itemKey(remoteItem));
+        return this.combineItems(local, remoteItem);
+      });
+      const kept = this.followRemoteOrder(merged, remote.items, remoteWins)
+        .filter(item => listIds.has(ComparisonLists.listIdOf(item)));
+      return this.enforceLimits(kept, lists);
+    });
+    if (!result.success) {
+      throw new Error(result.message);
+    }
+
+    console.log(`☁️ [Sync] Merged snapshot from another browser (${remote.items.length} items, written ${remote.writtenAt})`);
+  },
+
+  // ============================================
+  // LOCAL STATE
+  // ============================================
+
+  async getLocal(key) {
+    const result = await chrome.storage.local.get([key]);
+    return result[key] || null;
+  },
+
+  async setLocal(values) {
+    await chrome.storage.local.set(values);
+  }
+};
+
+// Export for use in the background worker
+self.ListSync = ListSync;
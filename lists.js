@@ -0,0 +1,162 @@
+// ============================================
+// NAMED COMPARISON LISTS
+// ============================================
+// Items in comparison_items carry a listId so a laptop comparison and a
+// house hunt don't share one list. Items saved before lists existed have
+// no listId and belong to the default list.
+
+const ComparisonLists = {
+  STORAGE_KEY: 'comparison_lists',
+  ACTIVE_KEY: 'active_list_id',
+  DEFAULT_LIST_ID: 'default',
+  DEFAULT_LIST_NAME: 'My List',
+
+  async getLists() {
+    return new Promise((resolve) => {
+      try {
+        chrome.storage.local.get([this.STORAGE_KEY], (result) => {
+          if (chrome.runtime.lastError) {
+            console.error('Extension context invalidated:', chrome.runtime.lastError);
+            resolve([this.defaultList()]);
+            return;
+          }
+          resolve(this.withDefault(result[this.STORAGE_KEY]));
+        });
+      } catch (error) {
+        console.error('Error getting lists:', error);
+        resolve([this.defaultList()]);
+      }
+    });
+  },
+
+  defaultList() {
+    return { id: this.DEFAULT_LIST_ID, name: this.DEFAULT_LIST_NAME, createdAt: null };
+  },
+
+  // The default list always exists, even before anything was saved
+  withDefault(lists) {
+    const stored = Array.isArray(lists) ? lists : [];
+    if (stored.some(list => list.id === this.DEFAULT_LIST_ID)) return stored;
+    return [this.defaultList(), ...stored];
+  },
+
+  async getActiveListId() {
+    return new Promise((resolve) => {
+      try {
+        chrome.storage.local.get([this.ACTIVE_KEY, this.STORAGE_KEY], (result) => {
+          if (chrome.runtime.lastError) {
+            resolve(this.DEFAULT_LIST_ID);
+            return;
+          }
+          const lists = this.withDefault(result[this.STORAGE_KEY]);
+          const activeId = result[this.ACTIVE_KEY];
+          // Fall back to the default list if the active one was deleted
+          resolve(lists.some(list => list.id === activeId) ? activeId : this.DEFAULT_LIST_ID);
+        });
+      } catch (error) {
+        console.error('Error getting active list:', error);
+        resolve(this.DEFAULT_LIST_ID);
+      }
+    });
+  },
+
+  async setActiveList(listId) {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [this.ACTIVE_KEY]: listId }, () => resolve(listId));
+    });
+  },
+
+  async saveLists(lists) {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [this.STORAGE_KEY]: lists }, () => resolve(lists));
+    });
+  },
+
+  /**
+   * Create a new named list and make it the active one
+   * @param {string} name - Display name, e.g. "Homes in Austin"
+   * @returns {Promise<Object>} - The created list
+   */
+  async createList(name) {
+    const lists = await this.getLists();
+    const list = {
+      id: `list-${Date.now().toString(36)}`,
+      name: name.trim(),
+      createdAt: new Date().toISOString()
+    };
+    lists.push(list);
+    await this.saveLists(lists);
+    await this.setActiveList(list.id);
+    return list;
+  },
+
+  async renameList(listId, name) {
+    const lists = await this.getLists();
+    const updated = lists.map(list => list.id === listId ? { ...list, name: name.trim(), updatedAt: new Date().toISOString() } : list);
+    return this.saveLists(updated);
+  },
+
+  /**
+   * Delete a list together with its items. The default list cannot be deleted.
+   * @param {string} listId - List to delete
+   */
+  async deleteList(listId) {
+    if (listId === this.DEFAULT_LIST_ID) return;
+
+    const lists = (await this.getLists()).filter(list => list.id !== listId);
+    await this.saveLists(lists);
+
+    await ComparisonStore.edit(items => items.filter(item => !this.belongsTo(item, listId)));
+
+    // getActiveListId() already falls back to the default list; store that explicitly
+    const result = await new Promise((resolve) => chrome.storage.local.get([this.ACTIVE_KEY], resolve));
+    if (result[this.ACTIVE_KEY] === listId) {
+      await this.setActiveList(this.DEFAULT_LIST_ID);
+    }
+  },
+
+  /**
+   * Get the item limit of a list - the single setting every add path reads
+   * @param {string} listId - List to check
+   * @returns {Promise<number>}
+   */
+  async getLimit(listId) {
+    const lists = await this.getLists();
+    return this.limitOf(lists.find(list => list.id === listId));
+  },
+
+  limitOf(list) {
+    return list?.limit || Config.MAX_COMPARISON_ITEMS;
+  },
+
+  async setLimit(listId, limit) {
+    const { min, max } = Config.LIMIT_RANGE;
+    const clamped = Math.min(max, Math.max(min, parseInt(limit, 10) || Config.MAX_COMPARISON_ITEMS));
+    const lists = await this.getLists();
+    const updated = lists.map(list => list.id === listId ? { ...list, limit: clamped, updatedAt: new Date().toISOString() } : list);
+    await this.saveLists(updated);
+    return clamped;
+  },
+
+  // Get the list an item belongs to (legacy items belong to the default list)
+  listIdOf(item) {
+    return item.listId || this.DEFAULT_LIST_ID;
+  },
+
+  belongsTo(item, listId) {
+    return this.listIdOf(item) === listId;
+  },
+
+  // Check if an item is the given product in the given list
+  matches(item, productId, listId) {
+    return item.product_id === productId && this.belongsTo(item, listId);
+  },
+
+  // Active (not removed) items of a list
+  activeItemsIn(items, listId) {
+    return items.filter(item => item.status === 'active' && this.belongsTo(item, listId));
+  }
+};
+
+// Export for use in content scripts, extension pages and the service worker
+self.ComparisonLists = ComparisonLists;
@@ -0,0 +1,376 @@
+// ============================================
+// DUPLICATE DETECTION AND MERGING
+// ============================================
+// addItem only dedupes on exact product_id and storefront, so the same product
+// added from amazon.com and amazon.co.uk, or from Amazon and Best Buy, ends up
+// compared against itself. ProductMatcher spots likely duplicates from the
+// retailer id, normalized title, brand and model number (homes: the normalized
+// address) and merges them into one entry that keeps a price per source.
+
+const ProductMatcher = {
+  // Minimum score for two items to be offered as duplicates
+  MATCH_THRESHOLD: 0.8,
+
+  // Words that say nothing about which product it is
+  STOP_WORDS: new Set([
+    'the', 'a', 'an', 'and', 'or', 'with', 'for', 'of', 'in', 'to', 'by', 'on',
+    'new', 'latest', 'model', 'edition', 'version', 'pack', 'black', 'white'
+  ]),
+
+  // Street suffixes as USPS abbreviates them, so "123 Main Street" == "123 Main St"
+  ADDRESS_ABBREVIATIONS: {
+    street: 'st', avenue: 'ave', road: 'rd', drive: 'dr', boulevard: 'blvd',
+    lane: 'ln', court: 'ct', place: 'pl', terrace: 'ter', circle: 'cir',
+    highway: 'hwy', parkway: 'pkwy', square: 'sq', trail: 'trl', way: 'way',
+    north: 'n', south: 's', east: 'e', west: 'w',
+    northeast: 'ne', northwest: 'nw', southeast: 'se', southwest: 'sw',
+    apartment: 'apt', suite: 'ste', unit: 'unit'
+  },
+
+  // ============================================
+  // NORMALIZATION
+  // ============================================
+
+  // Lowercase, strip accents and punctuation, collapse whitespace
+  normalizeText(text) {
+    if (!text) return '';
+    return String(text)
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  },
+
+  titleTokens(title) {
+    return new Set(this.normalizeText(title).split(' ').filter(token => token && !this.STOP_WORDS.has(token)));
+  },
+
+  // Look up a key in specs/productDetails, either as a map or as Amazon's flat details text
+  findDetail(item, labels) {
+    const sources = [item.specs, item.productDetails].filter(Boolean);
+
+    for (const details of sources) {
+      for (const [key, value] of Object.entries(details)) {
+        if (labels.some(label => this.normalizeText(key) === this.normalizeText(label))) {
+          return value;
+        }
+      }
+
+      // Amazon detail bullets come through as one text blob: "Brand ‏ : ‎ Sony ..."
+      if (typeof details.details === 'string') {
+        for (const label of labels) {
+          const match = details.details.match(new RegExp(`${label}[^A-Za-z0-9]*([A-Za-z0-9][\\w\\-./]*)`, 'i'));
+          if (match) return match[1];
+        }
+      }
+    }
+    return null;
+  },
+
+  getBrand(item) {
+    return this.normalizeText(item.brand || this.findDetail(item, ['Brand', 'Manufacturer', 'Brand Name']));
+  },
+
+  // Model numbers compare without case, spaces or dashes ("WH-1000XM5" == "wh1000xm5")
+  getModel(item) {
+    const model = item.model || this.findDetail(item, ['Item model number', 'Model Number', 'Model']);
+    return model ? String(model).toUpperCase().replace(/[^A-Z0-9]/g, '') : '';
+  },
+
+  /**
+   * Normalize a street address for comparison
+   * @param {string} address - e.g. "123 Main Street, Apt. 4, Austin, TX 78701"
+   * @returns {Object} - { street, zip, full }
+   */
+  normalizeAddress(address) {
+    const parts = String(address || '').split(',');
+    const normalizeWords = (text) => this.normalizeText(text)
+      .split(' ')
+      .map(word => this.ADDRESS_ABBREVIATIONS[word] || word)
+      .join(' ');
+
+    const zipMatch = String(address || '').match(/\b(\d{5})(?:-\d{4})?\b(?!.*\b\d{5}\b)/);
+    return {
+      street: normalizeWords(parts[0]),
+      zip: zipMatch ? zipMatch[1] : '',
+      full: normalizeWords(address)
+    };
+  },
+
+  isProperty(item) {
+    return Boolean(item.address);
+  },
+
+  // ============================================
+  // STOREFRONTS
+  // ============================================
+  // Retailers reuse one id across their country sites (an ASIN on amazon.com and
+  // on amazon.co.uk), so a stored item is only the product on a page when it
+  // comes from the same storefront. A copy from another storefront is stored as
+  // "<id>@<storefront>" and keeps its own price and price history.
+
+  // "amazon.co.uk" for any amazon.co.uk URL; null when the item has no usable URL
+  storefrontOf(item) {
+    let hostname;
+    try {
+      hostname = new URL(item.url || item.propertyLink).hostname;
+    } catch (error) {
+      return null;
+    }
+    const domains = Object.values(Config.RETAILERS).flatMap(retailer => retailer.domains);
+    return domains.find(domain => hostname === domain || hostname.endsWith(`.${domain}`)) ||
+      hostname.replace(/^www\./, '');
+  },
+
+  // Items without a URL can't tell their storefront and match any of the retailer's
+  sameStorefront(a, b) {
+    const storefrontA = this.storefrontOf(a);
+    const storefrontB = this.storefrontOf(b);
+    if (storefrontA && storefrontB) return storefrontA === storefrontB;
+    return a.retailer === b.retailer;
+  },
+
+  // The id the retailer uses, without the storefront suffix
+  retailerIdOf(item) {
+    return item.retailerProductId || item.product_id;
+  },
+
+  /**
+   * Stored copy of a product from the same retailer and storefront
+   * @param {Array<Object>} items - Items to search
+   * @param {Object} product - { product_id, retailer, url or propertyLink }
+   * @returns {Object|null}
+   */
+  findStored(items, product) {
+    const retailerId = this.retailerIdOf(product);
+    return items.find(item =>
+      item.retailer === product.retailer &&
+      this.retailerIdOf(item) === retailerId &&
+      this.sameStorefront(item, product)
+    ) || null;
+  },
+
+  /**
+   * Give a product being added the id its storefront's copy is stored under:
+   * the stored copy's id, the retailer id, or "<id>@<storefront>" when another
+   * storefront's copy already holds the retailer id
+   * @param {Object} product - Product being added; updated in place
+   * @param {Array<Object>} items - Items of the target list
+   */
+  assignStoredId(product, items) {
+    const retailerId = this.retailerIdOf(product);
+    const stored = this.findStored(items, product);
+    let productId = retailerId;
+    if (stored) {
+      productId = stored.product_id;
+    } else if (items.some(item => item.product_id === retailerId)) {
+      productId = `${retailerId}@${this.storefrontOf(product)}`;
+    }
+
+    if (productId !== retailerId) product.retailerProductId = retailerId;
+    product.product_id = productId;
+  },
+
+  // ============================================
+  // MATCHING
+  // ============================================
+
+  /**
+   * Score how likely two items are the same product
+   * @param {Object} a - Comparison item
+   * @param {Object} b - Comparison item
+   * @returns {Object} - { score: 0..1, reason }
+   */
+  compare(a, b) {
+    const noMatch = { score: 0, reason: null };
+
+    // One retailer id on two storefronts
+    if (a.retailer && a.retailer === b.retailer && this.retailerIdOf(a) === this.retailerIdOf(b)) {
+      return { score: 1, reason: 'Same product on another storefront' };
+    }
+
+    if (this.isProperty(a) || this.isProperty(b)) {
+      if (!this.isProperty(a) || !this.isProperty(b)) return noMatch;
+
+      const addressA = this.normalizeAddress(a.address);
+      const addressB = this.normalizeAddress(b.address);
+      const sameZip = !addressA.zip || !addressB.zip || addressA.zip === addressB.zip;
+      if (addressA.street && addressA.street === addressB.street && sameZip) {
+        return { score: 1, reason: 'Same address' };
+      }
+      return noMatch;
+    }
+
+    // Different brands or model numbers are different products, however similar the titles
+    const brandA = this.getBrand(a);
+    const brandB = this.getBrand(b);
+    if (brandA && brandB && brandA !== brandB) return noMatch;
+
+    const modelA = this.getModel(a);
+    const modelB = this.getModel(b);
+    if (modelA && modelB) {
+      // Stores append colour/region suffixes ("WH1000XM5/B") - a long enough shared prefix counts
+      const [shorter, longer] = modelA.length <= modelB.length ? [modelA, modelB] : [modelB, modelA];
+      const sameModel = shorter === longer || (shorter.length >= 5 && longer.startsWith(shorter));
+      return sameModel ? { score: 0.95, reason: 'Same model number' } : noMatch;
+    }
+
+    // Dice coefficient of the title words, nudged up when the brand is known to match
+    const tokensA = this.titleTokens(a.title);
+    const tokensB = this.titleTokens(b.title);
+    if (tokensA.size === 0 || tokensB.size === 0) return noMatch;
+
+    const shared = [...tokensA].filter(token => tokensB.has(token)).length;
+    const dice = (2 * shared) / (tokensA.size + tokensB.size);
+    const score = Math.min(1, brandA && brandA === brandB ? dice + 0.15 : dice);
+    return { score, reason: 'Similar title' };
+  },
+
+  // Two items the user already said are different products
+  isMarkedDistinct(a, b) {
+    return (a.distinctFrom || []).includes(b.product_id) || (b.distinctFrom || []).includes(a.product_id);
+  },
+
+  /**
+   * Group likely duplicates among a list's active items
+   * @param {Array<Object>} items - Active items of one list
+   * @returns {Array<Object>} - [{ items: [primary, ...duplicates], reason, score }]
+   */
+  findDuplicates(items) {
+    const grouped = new Set();
+    const groups = [];
+
+    items.forEach((item, index) => {
+      if (grouped.has(item)) return;
+
+      const group = { items: [item], reason: null, score: 0 };
+      items.slice(index + 1).forEach(other => {
+        if (grouped.has(other) || this.isMarkedDistinct(item, other)) return;
+
+        const { score, reason } = this.compare(item, other);
+        if (score >= this.MATCH_THRESHOLD) {
+          group.items.push(other);
+          group.reason = group.reason || reason;
+          group.score = Math.max(group.score, score);
+          grouped.add(other);
+        }
+      });
+
+      if (group.items.length > 1) {
+        grouped.add(item);
+        groups.push(group);
+      }
+    });
+
+    return groups;
+  },
+
+  /**
+   * Find an item in the list that the given product likely duplicates
+   * @param {Object} product - Product being added
+   * @param {Array<Object>} items - Active items of the list
+   * @returns {Object|null} - The matching item
+   */
+  findMatchFor(product, items) {
+    return items.find(item =>
+      item.product_id !== product.product_id &&
+      !this.isMarkedDistinct(item, product) &&
+      this.compare(item, product).score >= this.MATCH_THRESHOLD
+    ) || null;
+  },
+
+  // ============================================
+  // MERGING
+  // ============================================
+
+  // One price entry per store the product was seen at
+  sourceOf(item) {
+    let site = item.retailer || null;
+    try {
+      site = new URL(item.url || item.propertyLink).hostname.replace(/^www\./, '');
+    } catch (error) {
+      // Keep the retailer id when the item has no usable URL
+    }
+
+    return {
+      retailer: item.retailer || null,
+      site: site,
+      product_id: this.retailerIdOf(item),
+      url: item.url || item.propertyLink || null,
+      price: item.price || null,
+      priceValue: item.priceValue ?? null,
+      currency: item.currency || null,
+      addedAt: item.addedAt || null
+    };
+  },
+
+  mergeSources(items) {
+    const sources = [];
+    items.forEach(item => {
+      [...(item.sources || []), this.sourceOf(item)].forEach(source => {
+        const exists = sources.some(entry => entry.product_id === source.product_id && entry.site === source.site);
+        if (!exists) sources.push(source);
+      });
+    });
+    return sources;
+  },
+
+  /**
+   * Merge duplicates into the first item: it keeps its own fields, fills gaps from
+   * the others and gets a `sources` price list. The others are soft-removed.
+   * @param {string} listId - List the items belong to
+   * @param {Array<string>} productIds - Primary item first
+   * @returns {Promise<Object>} - The merged item
+   */
+  async merge(listId, productIds) {
+    let merged = null;
+
+    // Runs again on fresh items if the list changed meanwhile
+    const result = await ComparisonStore.edit(items => {
+      merged = null;
+      const group = productIds
+        .map(productId => items.find(item => item.status === 'active' && ComparisonLists.matches(item, productId, listId)))
+        .filter(Boolean);
+      if (group.length < 2) return items;
+
+      const [primary, ...duplicates] = group;
+      merged = { ...primary };
+      duplicates.forEach(duplicate => {
+        Object.entries(duplicate).forEach(([key, value]) => {
+          const missing = merged[key] === undefined || merged[key] === null || merged[key] === '';
+          if (missing) merged[key] = value;
+        });
+      });
+      merged.sources = this.mergeSources(group);
+      merged.updatedAt = new Date().toISOString();
+
+      const now = new Date().toISOString();
+      return items.map(item => {
+        if (item === primary) return merged;
+        if (duplicates.includes(item)) {
+          return { ...item, status: 'removed', removedAt: now, mergedInto: primary.product_id };
+        }
+        return item;
+      });
+    });
+
+    return result.success ? merged : null;
+  },
+
+  /**
+   * Remember that the items are different products so they aren't offered again
+   * @param {string} listId - List the items belong to
+   * @param {Array<string>} productIds - Items to keep separate
+   */
+  async keepSeparate(listId, productIds) {
+    await ComparisonStore.edit(items => items.map(item => {
+      if (!productIds.some(productId => ComparisonLists.matches(item, productId, listId))) return item;
+      const others = productIds.filter(productId => productId !== item.product_id);
+      return { ...item, distinctFrom: [...new Set([...(item.distinctFrom || []), ...others])] };
+    }));
+  }
+};
+
+// Export for use in content scripts and extension pages
+self.ProductMatcher = ProductMatcher;
@@ -0,0 +1,235 @@
+// Options page script - extension settings
+
+let statusTimeout;
+
+// Briefly confirm that a setting was saved
+function showStatus(message) {
+  const status = document.getElementById('status');
+  status.textContent = message;
+  clearTimeout(statusTimeout);
+  statusTimeout = setTimeout(() => {
+    status.textContent = '';
+  }, 2000);
+}
+
+// Render the retailer on/off toggles
+function renderRetailerSettings() {
+  const container = document.getElementById('retailerSettings');
+  container.innerHTML = '';
+
+  Object.entries(Config.RETAILERS).forEach(([retailerId, retailer]) => {
+    const row = document.createElement('label');
+    row.className = 'setting-row';
+
+    const name = document.createElement('span');
+    name.textContent = `${retailer.name} (${retailer.domains.join(', ')})`;
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = Config.isRetailerEnabled(retailerId);
+
+    checkbox.addEventListener('change', async () => {
+      const disabled = Config.settings.disabledRetailers.filter(id => id !== retailerId);
+      if (!checkbox.checked) disabled.push(retailerId);
+      await Config.saveSettings({ disabledRetailers: disabled });
+      showStatus(`${retailer.name} ${checkbox.checked ? 'enabled' : 'disabled'}`);
+    });
+
+    row.appendChild(name);
+    row.appendChild(checkbox);
+    container.appendChild(row);
+  });
+}
+
+// Render the general settings and wire them to chrome.storage.sync
+function renderGeneralSettings() {
+  const { min, max } = Config.LIMIT_RANGE;
+  const itemLimit = document.getElementById('itemLimit');
+  const zillowEnrichment = document.getElementById('zillowEnrichment');
+  const reviewsEnrichment = document.getElementById('reviewsEnrichment');
+  const removedRetentionDays = document.getElementById('removedRetentionDays');
+  const comparisonEnvironment = document.getElementById('comparisonEnvironment');
+  const debugMode = document.getElementById('debugMode');
+
+  itemLimit.min = min;
+  itemLimit.max = max;
+  itemLimit.value = Config.settings.itemLimit;
+  zillowEnrichment.checked = Config.settings.zillowEnrichment;
+  reviewsEnrichment.checked = Config.settings.reviewsEnrichment;
+  removedRetentionDays.min = Config.RETENTION_RANGE.min;
+  removedRetentionDays.max = Config.RETENTION_RANGE.max;
+  removedRetentionDays.value = Config.settings.removedRetentionDays;
+  comparisonEnvironment.value = Config.settings.comparisonEnvironment;
+  debugMode.checked = Config.settings.debugMode;
+
+  itemLimit.onchange = async () => {
+    const limit = Math.min(max, Math.max(min, parseInt(itemLimit.value, 10) || Config.DEFAULT_SETTINGS.itemLimit));
+    itemLimit.value = limit;
+    await Config.saveSettings({ itemLimit: limit });
+    showStatus(`Lists without their own limit now hold ${limit} items`);
+    renderListLimits();
+  };
+  zillowEnrichment.onchange = async () => {
+    await Config.saveSettings({ zillowEnrichment: zillowEnrichment.checked });
+    showStatus('Property enrichment setting saved');
+  };
+  reviewsEnrichment.onchange = async () => {
+    await Config.saveSettings({ reviewsEnrichment: reviewsEnrichment.checked });
+    showStatus('Review enrichment setting saved');
+  };
+  removedRetentionDays.onchange = async () => {
+    const { min: minDays, max: maxDays } = Config.RETENTION_RANGE;
+    const days = Math.min(maxDays, Math.max(minDays, parseInt(removedRetentionDays.value, 10) || Config.DEFAULT_SETTINGS.removedRetentionDays));
+    removedRetentionDays.value = days;
+    await Config.saveSettings({ removedRetentionDays: days });
+    showStatus(`Removed products are deleted for good after ${days} days`);
+  };
+  comparisonEnvironment.onchange = async () => {
+    await Config.saveSettings({ comparisonEnvironment: comparisonEnvironment.value });
+    showStatus('Comparison site saved');
+  };
+  debugMode.onchange = async () => {
+    await Config.saveSettings({ debugMode: debugMode.checked });
+    showStatus(`Debug logging ${debugMode.checked ? 'on' : 'off'}`);
+  };
+}
+
+// Toggle list sync; the background worker does the syncing
+function renderSyncSettings() {
+  const syncLists = document.getElementById('syncLists');
+  syncLists.checked = Config.settings.syncLists;
+
+  syncLists.onchange = async () => {
+    await Config.saveSettings({ syncLists: syncLists.checked });
+    showStatus(`List sync ${syncLists.checked ? 'on' : 'off'}`);
+    renderSyncStatus();
+  };
+  renderSyncStatus();
+}
+
+// Last sync result, written by the background worker to chrome.storage.local
+function renderSyncStatus() {
+  chrome.storage.local.get(['sync_status'], (result) => {
+    const status = result.sync_status;
+    const line = document.getElementById('syncStatus');
+
+    if (!Config.settings.syncLists) {
+      line.textContent = '';
+    } else if (status?.error) {
+      line.textContent = `Last sync failed: ${status.error}`;
+    } else if (status?.lastSyncAt) {
+      line.textContent = `Last synced ${new Date(status.lastSyncAt).toLocaleString()} - ${status.itemCount} items, ${Math.round(status.bytes / 1024)} KB of sync storage`;
+    } else {
+      line.textContent = 'Waiting for the first sync...';
+    }
+  });
+}
+
+// Render one limit input per comparison list
+async function renderListLimits() {
+  const container = document.getElementById('listLimits');
+  const lists = await ComparisonLists.getLists();
+  const { min, max } = Config.LIMIT_RANGE;
+
+  document.getElementById('limitHint').textContent =
+    `How many products each list can hold (${min}–${max}). When a list is full you can replace its oldest item.`;
+
+  container.innerHTML = '';
+
+  lists.forEach(list => {
+    const row = document.createElement('label');
+    row.className = 'setting-row';
+
+    const name = document.createElement('span');
+    name.textContent = list.name;
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = min;
+    input.max = max;
+    input.value = ComparisonLists.limitOf(list);
+
+    input.addEventListener('change', async () => {
+      const limit = await ComparisonLists.setLimit(list.id, input.value);
+      input.value = limit;
+      Logger.log('List limit updated:', list.id, limit);
+      showStatus(`"${list.name}" can now hold ${limit} items`);
+    });
+
+    row.appendChild(name);
+    row.appendChild(input);
+    container.appendChild(row);
+  });
+}
+
+// Show which selector rules are in use and why an override was ignored
+async function renderSelectorRules(errors = []) {
+  await SelectorRules.load();
+
+  const override = await SelectorRules.getOverride();
+  const state = document.getElementById('selectorRulesState');
+  if (SelectorRules.source === 'override') {
+    state.textContent = `Using an override (revision ${override.revision || 'not set'}) on top of the built-in rules (revision ${SelectorRules.bundled.revision}).`;
+  } else if (override) {
+    state.textContent = 'The stored override has problems, so the built-in rules are in use.';
+  } else {
+    state.textContent = `Using the built-in rules (revision ${SelectorRules.bundled.revision}).`;
+  }
+  document.getElementById('resetSelectorRulesBtn').disabled = !override;
+
+  const list = document.getElementById('selectorRulesErrors');
+  list.innerHTML = '';
+  [...errors, ...SelectorRules.overrideErrors].forEach(error => {
+    const item = document.createElement('li');
+    item.textContent = error;
+    list.appendChild(item);
+  });
+}
+
+// Validate a picked rules file and store it as the override
+async function loadSelectorRulesFile(file) {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (error) {
+    await renderSelectorRules(['This file is not valid JSON']);
+    return;
+  }
+
+  const errors = await SelectorRules.saveOverride(data);
+  await renderSelectorRules(errors);
+  if (errors.length === 0) {
+    showStatus('Selector rules saved - reload store pages to use them');
+  }
+}
+
+// Initialize options page
+document.addEventListener('DOMContentLoaded', async () => {
+  await Config.loadSettings();
+  renderRetailerSettings();
+  renderGeneralSettings();
+  renderSyncSettings();
+  renderListLimits();
+  renderSelectorRules();
+
+  const rulesFile = document.getElementById('selectorRulesFile');
+  rulesFile.addEventListener('change', async () => {
+    if (rulesFile.files[0]) await loadSelectorRulesFile(rulesFile.files[0]);
+    rulesFile.value = '';
+  });
+  document.getElementById('resetSelectorRulesBtn').addEventListener('click', async () => {
+    await SelectorRules.clearOverride();
+    await renderSelectorRules();
+    showStatus('Built-in selector rules restored');
+  });
+});
+
+// Lists can be created or deleted from the popup while this page is open
+chrome.storage.onChanged.addListener((changes, namespace) => {
+  if (namespace === 'local' && changes[ComparisonLists.STORAGE_KEY]) {
+    renderListLimits();
+  }
+  if (namespace === 'local' && changes.sync_status) {
+    renderSyncStatus();
+  }
+});
@@ -1,32 +1,26 @@
 // Popup script to display and manage comparison list
 
 let comparisonItems = [];
-
-// Generate a unique browser UUID (persists across sessions)
-async function getBrowserUUID() {
-  return new Promise((resolve) => {
-    chrome.storage.local.get(['browser_uuid'], (result) => {
-      if (result.browser_uuid) {
-        resolve(result.browser_uuid);
-      } else {
-        // Generate new UUID using crypto API
-        const uuid = crypto.randomUUID();
-        chrome.storage.local.set({ browser_uuid: uuid }, () => {
-          resolve(uuid);
-        });
-      }
-    });
-  });
-}
+let storedItems = [];
+let priceHistory = {};
+let watchSettings = { ...PriceWatch.DEFAULTS };
+let comparisonLists = [];
+let activeListId = ComparisonLists.DEFAULT_LIST_ID;
 
 // Load products from local storage only (read-only, no modifications)
 async function loadProductsFromStorage() {
   const items = await loadComparisonItems();
+  storedItems = items;
+  priceHistory = await PriceHistory.getAll();
+  watchSettings = await PriceWatch.getSettings();
+  comparisonLists = await ComparisonLists.getLists();
+  activeListId = await ComparisonLists.getActiveListId();
   
-  // Filter to show only active products (don't modify storage)
-  comparisonItems = items.filter(item => item.status === 'active');
+  // Filter to show only active products of the selected list (don't modify storage)
+  comparisonItems = ComparisonLists.activeItemsIn(items, activeListId);
   
   Logger.log('Total items in storage:', items.length);
+  Logger.log('Selected list:', activeListId);
   Logger.log('Active products to display:', comparisonItems.length);
   Logger.log('Removed products (hidden):', items.filter(item => item.status === 'removed').length);
   
@@ -36,57 +30,329 @@ async function loadProductsFromStorage() {
     count: comparisonItems.length 
   });
   
+  renderListSwitcher();
+  renderDuplicateNotices();
   renderProductList();
+  renderRemovedItems();
+  document.getElementById('exportBar').style.display = storedItems.length > 0 ? 'flex' : 'none';
+}
+
+// Offer to merge items that look like the same product from different stores
+function renderDuplicateNotices() {
+  const container = document.getElementById('duplicateNotices');
+  container.innerHTML = '';
+  
+  ProductMatcher.findDuplicates(comparisonItems).forEach(group => {
+    const productIds = group.items.map(item => item.product_id);
+    const notice = document.createElement('div');
+    notice.className = 'duplicate-notice';
+    
+    const text = document.createElement('p');
+    const names = group.items.map(item => `"${(item.title || item.product_id).substring(0, 30)}"`).join(' and ');
+    text.textContent = `${group.reason}: ${names} look like the same product.`;
+    
+    const actions = document.createElement('div');
+    actions.className = 'duplicate-actions';
+    
+    const mergeBtn = document.createElement('button');
+    mergeBtn.className = 'list-btn';
+    mergeBtn.textContent = 'Merge';
+    mergeBtn.title = 'Keep one entry with the price from each store';
+    mergeBtn.onclick = async () => {
+      const merged = await ProductMatcher.merge(activeListId, productIds);
+      Logger.log('Merged duplicates:', productIds, merged?.sources);
+      loadProductsFromStorage();
+    };
+    
+    const keepBtn = document.createElement('button');
+    keepBtn.className = 'list-btn';
+    keepBtn.textContent = 'Keep both';
+    keepBtn.onclick = async () => {
+      await ProductMatcher.keepSeparate(activeListId, productIds);
+      loadProductsFromStorage();
+    };
+    
+    actions.appendChild(mergeBtn);
+    actions.appendChild(keepBtn);
+    notice.appendChild(text);
+    notice.appendChild(actions);
+    container.appendChild(notice);
+  });
+}
+
+// Render the list switcher dropdown
+function renderListSwitcher() {
+  const listSelect = document.getElementById('listSelect');
+  listSelect.innerHTML = '';
+  
+  comparisonLists.forEach(list => {
+    const option = document.createElement('option');
+    option.value = list.id;
+    option.textContent = list.name;
+    listSelect.appendChild(option);
+  });
+  
+  listSelect.value = activeListId;
+  document.getElementById('deleteListBtn').disabled = activeListId === ComparisonLists.DEFAULT_LIST_ID;
+}
+
+// Switch the list that Compare buttons add to and the popup shows
+async function switchList(listId) {
+  await ComparisonLists.setActiveList(listId);
+  Logger.log('Switched to list:', listId);
+  await loadProductsFromStorage();
+}
+
+// Create a new named list from the inline form
+async function createListFromForm() {
+  const input = document.getElementById('newListName');
+  const name = input.value.trim();
+  if (!name) return;
+  
+  const list = await ComparisonLists.createList(name);
+  Logger.log('Created list:', list);
+  
+  input.value = '';
+  document.getElementById('newListForm').style.display = 'none';
+  await loadProductsFromStorage();
+}
+
+// Delete the selected list and its items
+async function deleteActiveList() {
+  const list = comparisonLists.find(entry => entry.id === activeListId);
+  if (!list || list.id === ComparisonLists.DEFAULT_LIST_ID) return;
+  
+  if (!confirm(`Delete "${list.name}" and its products?`)) return;
+  
+  await ComparisonLists.deleteList(list.id);
+  Logger.log('Deleted list:', list.id);
+  await loadProductsFromStorage();
 }
 
 // Open comparison page
 async function openComparisonPage() {
+  try {
+    const result = await ComparisonSession.launch();
+    if (!result.success) {
+      Logger.warn(`⚠️ ${result.message}`);
+    }
+  } catch (error) {
+    console.error('❌ Failed to open comparison page:', error);
+  }
+}
+
+// Open the bundled comparison page (works without network access)
+function openOfflineComparisonPage() {
   if (comparisonItems.length < 2) {
     Logger.warn('⚠️ Please add at least 2 products to compare');
     return;
   }
 
+  Logger.log('✅ Opening offline comparison page');
+  chrome.tabs.create({ url: chrome.runtime.getURL('compare.html') });
+}
+
+// Build the export for the selected format and scope
+function buildExport() {
+  const format = document.getElementById('exportFormat').value;
+  const scope = document.getElementById('exportScope').value;
+  const activeList = comparisonLists.find(list => list.id === activeListId);
+  
+  // "all" = every list, including items marked status: 'removed'
+  const items = scope === 'all' ? storedItems : comparisonItems;
+  const lists = scope === 'all' ? comparisonLists : [activeList].filter(Boolean);
+  const name = scope === 'all' ? 'all-lists' : activeList?.name;
+  
+  return {
+    format,
+    items,
+    fileName: ComparisonExport.fileName(name, format),
+    contents: ComparisonExport.build(format, items, {
+      lists,
+      title: scope === 'all' ? 'Compareon - all lists' : `Compareon - ${activeList?.name || 'comparison'}`
+    })
+  };
+}
+
+// Download the export as a file
+function exportComparison() {
+  const { format, items, fileName, contents } = buildExport();
+  if (items.length === 0) return;
+  
+  ComparisonExport.download(contents, fileName, format);
+  Logger.log(`Exported ${items.length} items as ${format}:`, fileName);
+}
+
+// Copy the export to the clipboard (for pasting into tickets)
+async function copyExportToClipboard() {
+  const { format, items, contents } = buildExport();
+  if (items.length === 0) return;
+  
+  const copyBtn = document.getElementById('copyExportBtn');
+  try {
+    await navigator.clipboard.writeText(contents.replace(/^\uFEFF/, ''));
+    copyBtn.textContent = 'Copied';
+    Logger.log(`Copied ${items.length} items as ${format}`);
+  } catch (error) {
+    console.error('❌ Failed to copy export:', error);
+    copyBtn.textContent = 'Failed';
+  }
+  setTimeout(() => {
+    copyBtn.textContent = 'Copy';
+  }, 1500);
+}
+
+// Copy a compact share code for the selected list
+async function copyShareCode() {
+  if (comparisonItems.length === 0) return;
+  
+  const shareBtn = document.getElementById('shareCodeBtn');
   try {
-    // Get or create browser UUID
-    const browserUUID = await getBrowserUUID();
+    const list = comparisonLists.find(entry => entry.id === activeListId);
+    const code = await ComparisonImport.encodeShareCode(comparisonItems, list);
+    await navigator.clipboard.writeText(code);
+    shareBtn.textContent = 'Copied';
+    Logger.log(`Share code copied (${code.length} characters)`);
+  } catch (error) {
+    console.error('❌ Failed to create share code:', error);
+    shareBtn.textContent = 'Failed';
+  }
+  setTimeout(() => {
+    shareBtn.textContent = 'Share';
+  }, 1500);
+}
+
+// Fill the export format dropdown
+function renderExportFormats() {
+  const formatSelect = document.getElementById('exportFormat');
+  Object.entries(ComparisonExport.FORMATS).forEach(([format, { label }]) => {
+    const option = document.createElement('option');
+    option.value = format;
+    option.textContent = label;
+    formatSelect.appendChild(option);
+  });
+}
+
+// ============ IMPORT ============
+
+function showImportStatus(message, isError = false) {
+  const status = document.getElementById('importStatus');
+  status.textContent = message;
+  status.className = isError ? 'import-status error' : 'import-status';
+}
+
+// Read the picked file, or fall back to the pasted share code / JSON
+async function readImportInput() {
+  const file = document.getElementById('importFile').files[0];
+  if (file) return file.text();
+  return document.getElementById('importCode').value;
+}
+
+// Validate the input, pick the target list and resolve product_id collisions
+async function startImport() {
+  const collisionsContainer = document.getElementById('importCollisions');
+  collisionsContainer.innerHTML = '';
+  
+  let validation;
+  try {
+    validation = ComparisonImport.validate(await ComparisonImport.parse(await readImportInput()));
+  } catch (error) {
+    showImportStatus(error.message, true);
+    return;
+  }
+  
+  const { items, listName, errors } = validation;
+  errors.forEach(error => Logger.warn('⚠️ Import:', error));
+  if (items.length === 0) {
+    showImportStatus(errors[0] || 'No items to import', true);
+    return;
+  }
+  
+  // A new list has nothing to collide with; it's only created once the import runs
+  if (document.getElementById('importTarget').value === 'new') {
+    await finishImport({ newListName: listName || 'Imported list' }, items, {}, errors);
+    return;
+  }
+  
+  const listId = activeListId;
+  const collisions = await ComparisonImport.findCollisions(listId, items);
+  if (collisions.length === 0) {
+    await finishImport({ listId }, items, {}, errors);
+    return;
+  }
+  
+  // Ask per product whether to merge, replace or skip
+  showImportStatus(`${collisions.length} item${collisions.length === 1 ? ' is' : 's are'} already in the list:`);
+  const selects = collisions.map(({ imported, existing }) => {
+    const row = document.createElement('div');
+    row.className = 'import-collision';
     
-    // Detect retailer from products (use first product's retailer)
-    const retailer = comparisonItems[0]?.retailer || 'unknown';
+    const name = document.createElement('span');
+    name.textContent = existing.title || imported.title || imported.product_id;
     
-    // Store session data locally
-    const sessionData = {
-      sessionId: browserUUID,
-      products: comparisonItems,
-      createdAt: new Date().toISOString()
-    };
-
-    chrome.storage.local.set({ 
-      current_session: sessionData,
-      last_comparison_time: Date.now()
-    }, () => {
-      Logger.log('Session created and stored locally:', sessionData);
-      Logger.log(`✅ Opening comparison page`);
-      Logger.log(`📋 Session ID: ${browserUUID}`);
-      Logger.log(`🏪 Retailer: ${retailer}`);
-      
-      // Open comparison page with session ID and ref parameter
-      const comparisonUrl = `${Config.getComparisonUrl(browserUUID)}?ref=${retailer}`;
-      chrome.tabs.create({ url: comparisonUrl });
+    const select = document.createElement('select');
+    select.dataset.productId = imported.product_id;
+    [['merge', 'Merge'], ['replace', 'Replace'], ['skip', 'Skip']].forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    
+    row.appendChild(name);
+    row.appendChild(select);
+    collisionsContainer.appendChild(row);
+    return select;
+  });
+  
+  const continueBtn = document.createElement('button');
+  continueBtn.className = 'list-btn';
+  continueBtn.textContent = 'Finish import';
+  continueBtn.onclick = () => {
+    const resolutions = {};
+    selects.forEach(select => {
+      resolutions[select.dataset.productId] = select.value;
     });
+    collisionsContainer.innerHTML = '';
+    finishImport({ listId }, items, resolutions, errors);
+  };
+  collisionsContainer.appendChild(continueBtn);
+}
 
-  } catch (error) {
-    console.error('❌ Failed to open comparison page:', error);
+// target: { listId } of an existing list, or { newListName } to import into a new one
+async function finishImport(target, items, resolutions, errors) {
+  const newList = target.newListName ? await ComparisonLists.createList(target.newListName) : null;
+  const listId = newList ? newList.id : target.listId;
+  
+  const summary = await ComparisonImport.apply(listId, items, resolutions);
+  Logger.log('Import finished:', summary);
+  if (summary.error) {
+    // Don't leave an empty list selected behind a failed import
+    if (newList) {
+      await ComparisonLists.deleteList(newList.id);
+      await ComparisonLists.setActiveList(activeListId);
+    }
+    showImportStatus(`Import failed: ${summary.error}`, true);
+    return;
   }
+  
+  const parts = [`${summary.added} added`];
+  if (summary.merged) parts.push(`${summary.merged} merged`);
+  if (summary.replaced) parts.push(`${summary.replaced} replaced`);
+  if (summary.skipped) parts.push(`${summary.skipped} skipped`);
+  if (summary.overLimit.length) parts.push(`${summary.overLimit.length} left out - the list holds ${summary.limit} items`);
+  if (errors.length) parts.push(`${errors.length} invalid`);
+  showImportStatus(`Imported: ${parts.join(', ')}.`);
+  
+  document.getElementById('importCode').value = '';
+  document.getElementById('importFile').value = '';
+  await loadProductsFromStorage();
 }
 
 // Load comparison items
 async function loadComparisonItems() {
-  return new Promise((resolve) => {
-    chrome.storage.local.get(['comparison_items'], (result) => {
-      comparisonItems = result.comparison_items || [];
-      resolve(comparisonItems);
-    });
-  });
+  comparisonItems = await ComparisonStore.getItems();
+  return comparisonItems;
 }
 
 // Render the product list
@@ -109,7 +375,10 @@ function renderProductList() {
   compareContainer.style.display = 'block';
   
   itemCount.textContent = comparisonItems.length;
+  document.getElementById('itemLimit').textContent =
+    ComparisonLists.limitOf(comparisonLists.find(list => list.id === activeListId));
   compareBtn.disabled = comparisonItems.length < 2;
+  document.getElementById('offlineCompareBtn').disabled = comparisonItems.length < 2;
   
   productList.innerHTML = '';
   
@@ -165,6 +434,22 @@ function renderProductList() {
       details.appendChild(meta);
     }
     
+    // Price history: lowest / highest / current plus a sparkline
+    const trend = renderPriceTrend(priceHistory[product.product_id] || []);
+    if (trend) {
+      details.appendChild(trend);
+    }
+    
+    // Merged items keep the price from every store they were seen at
+    if (product.sources?.length > 1) {
+      details.appendChild(renderPriceSources(product.sources));
+    }
+    
+    // Per-item target price for the background watcher
+    if (watchSettings.enabled) {
+      details.appendChild(renderTargetInput(product));
+    }
+    
     const price = document.createElement('p');
     price.className = 'product-price';
     price.textContent = product.price || 'Price N/A';
@@ -179,35 +464,339 @@ function renderProductList() {
   });
 }
 
-// Remove product from comparison (soft delete)
-async function removeProduct(product_id) {
-  // Get all items from storage
-  chrome.storage.local.get(['comparison_items'], (result) => {
-    const items = result.comparison_items || [];
-    
-    // Mark product as removed
-    const updatedItems = items.map(item => {
-      if (item.product_id === product_id) {
-        return { ...item, status: 'removed', removedAt: new Date().toISOString() };
-      }
-      return item;
+// One line per store for merged items: "amazon.com $279.99 · bestbuy.com $299.99"
+function renderPriceSources(sources) {
+  const container = document.createElement('div');
+  container.className = 'price-sources';
+  
+  sources.forEach((source, index) => {
+    if (index > 0) container.appendChild(document.createTextNode(' · '));
+    
+    const link = document.createElement('a');
+    link.href = source.url || '#';
+    link.target = '_blank';
+    link.textContent = source.site || source.retailer || 'store';
+    container.appendChild(link);
+    container.appendChild(document.createTextNode(` ${source.price || 'N/A'}`));
+  });
+  
+  return container;
+}
+
+// Build an inline SVG sparkline for a series of prices
+function createSparkline(values) {
+  const width = 80;
+  const height = 18;
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min || 1;
+  const step = width / (values.length - 1);
+  
+  const points = values.map((value, index) => {
+    const x = (index * step).toFixed(1);
+    const y = (height - 2 - ((value - min) / range) * (height - 4)).toFixed(1);
+    return `${x},${y}`;
+  }).join(' ');
+  
+  const svgNS = 'http://www.w3.org/2000/svg';
+  const svg = document.createElementNS(svgNS, 'svg');
+  svg.setAttribute('class', 'sparkline');
+  svg.setAttribute('width', width);
+  svg.setAttribute('height', height);
+  svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  
+  const line = document.createElementNS(svgNS, 'polyline');
+  line.setAttribute('points', points);
+  line.setAttribute('fill', 'none');
+  line.setAttribute('stroke', '#4A90E2');
+  line.setAttribute('stroke-width', '1.5');
+  svg.appendChild(line);
+  
+  return svg;
+}
+
+// Render lowest / highest / current price for a product's history
+function renderPriceTrend(points) {
+  const summary = PriceHistory.summarize(points);
+  if (!summary || summary.count < 2) return null;
+  
+  const trend = document.createElement('div');
+  trend.className = 'price-trend';
+  
+  const text = document.createElement('span');
+  const format = (value) => PriceParser.format(value, summary.currency);
+  text.textContent = `Low ${format(summary.lowest)} • High ${format(summary.highest)} • Now ${format(summary.current)}`;
+  if (summary.current === summary.lowest) {
+    text.className = 'price-trend-low';
+    text.title = 'Currently at the lowest price seen';
+  }
+  
+  const values = points
+    .filter(point => point.currency === summary.currency)
+    .map(point => point.priceValue);
+  
+  trend.appendChild(createSparkline(values));
+  trend.appendChild(text);
+  
+  return trend;
+}
+
+// Input for the price-drop alert target of a product
+function renderTargetInput(product) {
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.min = '0';
+  input.step = 'any';
+  input.className = 'target-input';
+  input.placeholder = 'Alert below…';
+  input.title = `Notify when the price drops to or below this value${product.currency ? ` (${product.currency})` : ''}`;
+  
+  const target = watchSettings.targets[product.product_id];
+  if (target) {
+    input.value = target;
+  }
+  
+  input.addEventListener('change', async () => {
+    const value = input.value === '' ? null : parseFloat(input.value);
+    watchSettings = await PriceWatch.setTarget(product.product_id, value);
+    Logger.log('Price target updated:', product.product_id, value);
+  });
+  
+  return input;
+}
+
+// Render the global watch toggle and interval selector
+function renderWatchSettings() {
+  const enabled = document.getElementById('watchEnabled');
+  const interval = document.getElementById('watchInterval');
+  
+  enabled.checked = watchSettings.enabled;
+  interval.disabled = !watchSettings.enabled;
+  
+  if (interval.options.length === 0) {
+    PriceWatch.INTERVAL_OPTIONS.forEach(minutes => {
+      const option = document.createElement('option');
+      option.value = minutes;
+      option.textContent = minutes < 60 ? `every ${minutes} min` : `every ${minutes / 60} h`;
+      interval.appendChild(option);
     });
+  }
+  interval.value = watchSettings.intervalMinutes;
+}
+
+// Show which fields each retailer's extractor is failing on, worst first
+async function renderDiagnostics() {
+  const container = document.getElementById('diagnosticsContent');
+  const health = await ExtractionHealth.getAll();
+  const rows = ExtractionHealth.summarize(health);
+  container.innerHTML = '';
+  
+  if (rows.length === 0) {
+    const empty = document.createElement('p');
+    empty.textContent = 'No extractions recorded yet. Stats are collected each time you click Compare.';
+    container.appendChild(empty);
+    return;
+  }
+  
+  const table = document.createElement('table');
+  const header = document.createElement('tr');
+  ['Site', 'Field', 'Failed', 'Strategies'].forEach(label => {
+    const th = document.createElement('th');
+    th.textContent = label;
+    header.appendChild(th);
+  });
+  table.appendChild(header);
+  
+  rows.forEach(row => {
+    const tr = document.createElement('tr');
+    const retailerName = Config.RETAILERS[row.retailer]?.name || row.retailer;
+    const cells = [
+      `${retailerName} (${row.pageType})`,
+      row.field,
+      `${row.failed}/${row.ok + row.failed}`,
+      row.strategies.map(strategy => `${strategy.name}: ${strategy.ok}✓ ${strategy.failed}✗`).join(', ')
+    ];
+    cells.forEach((text, index) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      if (index === 2 && row.failureRate >= 0.5) td.className = 'failing';
+      if (index === 3) td.className = 'strategies';
+      tr.appendChild(td);
+    });
+    table.appendChild(tr);
+  });
+  container.appendChild(table);
+  
+  if (health.recentFailures.length > 0) {
+    const heading = document.createElement('div');
+    heading.textContent = 'Recent failures';
+    container.appendChild(heading);
     
-    // Update storage
-    chrome.storage.local.set({ comparison_items: updatedItems }, () => {
-      Logger.log('Product marked as removed:', product_id);
-      // Reload to show only active products
-      loadProductsFromStorage();
+    const list = document.createElement('ul');
+    health.recentFailures.forEach(failure => {
+      const li = document.createElement('li');
+      const what = failure.extracted ? `missing ${failure.missing.join(', ')}` : 'nothing extracted';
+      li.textContent = `${new Date(failure.at).toLocaleString()} - ${failure.url} - ${what}`;
+      list.appendChild(li);
     });
+    container.appendChild(list);
+  }
+}
+
+// Remove product from comparison (soft delete)
+async function removeProduct(product_id) {
+  // Soft delete in the selected list only
+  const result = await ComparisonStore.remove(product_id, { listId: activeListId });
+  if (result.success) {
+    Logger.log('Product marked as removed:', product_id);
+  }
+  // Reload to show only active products
+  loadProductsFromStorage();
+}
+
+// ============================================
+// RECENTLY REMOVED
+// ============================================
+
+// "3 days ago" for the removed-items list
+function formatRemovedAge(removedAt) {
+  if (!removedAt) return '';
+  const days = Math.floor((Date.now() - new Date(removedAt).getTime()) / (24 * 60 * 60 * 1000));
+  if (days <= 0) return 'today';
+  return days === 1 ? 'yesterday' : `${days} days ago`;
+}
+
+// Removed items of the selected list, newest removal first, with restore and permanent delete
+function renderRemovedItems() {
+  const panel = document.getElementById('removedPanel');
+  const container = document.getElementById('removedList');
+  const removedItems = storedItems
+    .filter(item => item.status === 'removed' && ComparisonLists.belongsTo(item, activeListId))
+    .sort((a, b) => new Date(b.removedAt || 0) - new Date(a.removedAt || 0));
+  
+  panel.style.display = removedItems.length > 0 ? 'block' : 'none';
+  document.getElementById('removedCount').textContent = removedItems.length;
+  container.innerHTML = '';
+  
+  removedItems.forEach(item => {
+    const row = document.createElement('div');
+    row.className = 'removed-item';
+    
+    const title = document.createElement('span');
+    title.className = 'removed-title';
+    title.textContent = item.title || item.product_id;
+    title.title = title.textContent;
+    
+    const meta = document.createElement('span');
+    meta.className = 'removed-meta';
+    meta.textContent = item.mergedInto ? 'merged' : formatRemovedAge(item.removedAt);
+    
+    const restoreBtn = document.createElement('button');
+    restoreBtn.className = 'list-btn';
+    restoreBtn.textContent = 'Restore';
+    restoreBtn.onclick = () => restoreRemovedItem(item.product_id);
+    
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'list-btn';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.title = 'Delete permanently';
+    deleteBtn.onclick = () => deleteRemovedItem(item);
+    
+    row.appendChild(title);
+    row.appendChild(meta);
+    row.appendChild(restoreBtn);
+    row.appendChild(deleteBtn);
+    container.appendChild(row);
   });
+  
+  document.getElementById('removedStatus').textContent =
+    `Removed products are deleted for good after ${Config.settings.removedRetentionDays} days.`;
+}
+
+async function restoreRemovedItem(productId) {
+  const result = await ComparisonStore.reactivate(productId, { listId: activeListId });
+  if (!result.success) {
+    document.getElementById('removedStatus').textContent = result.isLimitReached
+      ? `This list is full (${result.limit} items). Remove a product first.`
+      : result.message;
+    return;
+  }
+  Logger.log('Product restored:', productId);
+  await loadProductsFromStorage();
+}
+
+async function deleteRemovedItem(item) {
+  if (!confirm(`Delete "${(item.title || item.product_id).substring(0, 60)}" permanently?`)) return;
+  
+  await ComparisonStore.hardDelete(item.product_id, { listId: activeListId });
+  Logger.log('Product deleted permanently:', item.product_id);
+  await loadProductsFromStorage();
 }
 
 // Initialize popup
 document.addEventListener('DOMContentLoaded', async () => {
+  await Config.loadSettings();
   await loadProductsFromStorage();
+  renderWatchSettings();
   
   document.getElementById('compareBtn').addEventListener('click', openComparisonPage);
   
+  // List switcher
+  document.getElementById('listSelect').addEventListener('change', (e) => switchList(e.target.value));
+  document.getElementById('newListBtn').addEventListener('click', () => {
+    const form = document.getElementById('newListForm');
+    form.style.display = form.style.display === 'none' ? 'flex' : 'none';
+    document.getElementById('newListName').focus();
+  });
+  document.getElementById('createListBtn').addEventListener('click', createListFromForm);
+  document.getElementById('newListName').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') createListFromForm();
+  });
+  document.getElementById('deleteListBtn').addEventListener('click', deleteActiveList);
+  
+  // Price watch settings
+  document.getElementById('watchEnabled').addEventListener('change', async (e) => {
+    watchSettings = await PriceWatch.saveSettings({ enabled: e.target.checked });
+    renderWatchSettings();
+    renderProductList();
+  });
+  document.getElementById('watchInterval').addEventListener('change', async (e) => {
+    watchSettings = await PriceWatch.saveSettings({ intervalMinutes: parseInt(e.target.value, 10) });
+  });
+  document.getElementById('offlineCompareBtn').addEventListener('click', openOfflineComparisonPage);
+  
+  // Export
+  renderExportFormats();
+  document.getElementById('exportBtn').addEventListener('click', exportComparison);
+  document.getElementById('copyExportBtn').addEventListener('click', copyExportToClipboard);
+  document.getElementById('shareCodeBtn').addEventListener('click', copyShareCode);
+  
+  // Import
+  document.getElementById('importToggleBtn').addEventListener('click', () => {
+    const form = document.getElementById('importForm');
+    form.style.display = form.style.display === 'none' ? 'block' : 'none';
+    showImportStatus('');
+  });
+  document.getElementById('importBtn').addEventListener('click', startImport);
+  
+  // Extraction health diagnostics (rendered when opened)
+  document.getElementById('diagnosticsPanel').addEventListener('toggle', (e) => {
+    if (e.target.open) renderDiagnostics();
+  });
+  document.getElementById('resetDiagnosticsBtn').addEventListener('click', async () => {
+    await ExtractionHealth.clear();
+    renderDiagnostics();
+  });
+  
+  // Side panel - opened from the click itself, so the window is looked up beforehand
+  const currentWindow = await chrome.windows.getCurrent();
+  document.getElementById('sidePanelBtn').addEventListener('click', async () => {
+    await chrome.sidePanel.open({ windowId: currentWindow.id });
+    window.close();
+  });
+  
+  // Settings (per-list item limits)
+  document.getElementById('optionsBtn').addEventListener('click', () => chrome.runtime.openOptionsPage());
+  
   // Add refresh button handler
   const refreshBtn = document.getElementById('refreshBtn');
   refreshBtn.addEventListener('click', async () => {
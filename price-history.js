@@ -0,0 +1,233 @@
+// ============================================
+// PRICE HISTORY
+// ============================================
+// Keeps every observed price per product_id as a time series so the popup
+// can show the lowest, highest and current price of a comparison item.
+//
+// Like comparison_items, price_history is rewritten whole on every change
+// and prices are observed from every open store tab, so writes only run in
+// the background worker, one at a time. Other contexts send them there.
+
+const PriceHistory = {
+  STORAGE_KEY: 'price_history',
+  MESSAGE_ACTION: 'priceHistory',
+  REMOTE_METHODS: ['recordMany', 'forget'],
+  MAX_POINTS: 200, // Per product, oldest points are dropped first
+  REPEAT_INTERVAL_MS: 6 * 60 * 60 * 1000, // Same price is only re-recorded after 6 hours
+
+  isBackground: typeof ServiceWorkerGlobalScope !== 'undefined' && self instanceof ServiceWorkerGlobalScope,
+
+  // Tail of the background worker's write queue
+  queue: Promise.resolve(),
+
+  async getAll() {
+    return new Promise((resolve) => {
+      try {
+        chrome.storage.local.get([this.STORAGE_KEY], (result) => {
+          if (chrome.runtime.lastError) {
+            console.error('Extension context invalidated:', chrome.runtime.lastError);
+            resolve({});
+            return;
+          }
+          resolve(result[this.STORAGE_KEY] || {});
+        });
+      } catch (error) {
+        console.error('Error getting price history:', error);
+        resolve({});
+      }
+    });
+  },
+
+  async getHistory(productId) {
+    const history = await this.getAll();
+    return history[productId] || [];
+  },
+
+  /**
+   * Append a price point unless it repeats the last one too soon
+   * @param {Array<Object>} points - Existing points for the product (mutated)
+   * @param {Object} product - Product with price/priceValue/currency
+   * @param {string} source - Where the price was seen ("listing", "detail", "added")
+   * @returns {boolean} - True if a point was appended
+   */
+  appendPoint(points, product, source) {
+    if (product.priceValue === null || product.priceValue === undefined) return false;
+
+    const now = new Date();
+    const last = points[points.length - 1];
+    if (last && last.priceValue === product.priceValue && last.currency === product.currency &&
+        now - new Date(last.observedAt) < this.REPEAT_INTERVAL_MS) {
+      return false;
+    }
+
+    points.push({
+      price: product.price,
+      priceValue: product.priceValue,
+      currency: product.currency,
+      observedAt: now.toISOString(),
+      source: source
+    });
+
+    if (points.length > this.MAX_POINTS) {
+      points.splice(0, points.length - this.MAX_POINTS);
+    }
+    return true;
+  },
+
+  /**
+   * Record observed prices for one or more products in a single write
+   * @param {Array<Object>} products - Products with product_id and priceValue
+   * @param {string} source - Where the prices were seen
+   * @returns {Promise<number>} - Number of points appended
+   */
+  async recordMany(products, source) {
+    // Only the priced fields travel to the worker
+    const observations = products
+      .filter(product => product?.product_id)
+      .map(({ product_id, price, priceValue, currency }) => ({ product_id, price, priceValue, currency }));
+    if (observations.length === 0) return 0;
+
+    const result = await this.write('recordMany', [observations, source]);
+    return result.appended || 0;
+  },
+
+  /**
+   * Drop the whole series of products that are no longer stored anywhere
+   * @param {Array<string>} productIds - Products to forget
+   * @returns {Promise<Object>} - { success, removed }
+   */
+  async forget(productIds) {
+    if (productIds.length === 0) return { success: true, removed: 0 };
+    return this.write('forget', [productIds]);
+  },
+
+  // ============================================
+  // DISPATCH
+  // ============================================
+
+  // Run a write in the background queue, or send it there
+  write(method, args) {
+    if (this.isBackground) {
+      const run = this.queue.then(() => this[this.operationName(method)](...args));
+      this.queue = run.catch(() => {});
+      return run;
+    }
+
+    return new Promise((resolve) => {
+      try {
+        chrome.runtime.sendMessage({ action: this.MESSAGE_ACTION, method, args }, (response) => {
+          if (chrome.runtime.lastError || !response) {
+            console.error('Extension context invalidated:', chrome.runtime.lastError);
+            resolve({ success: false });
+            return;
+          }
+          resolve(response);
+        });
+      } catch (error) {
+        console.error('Error sending price history write:', error);
+        resolve({ success: false });
+      }
+    });
+  },
+
+  /**
+   * Answer a write message in the background worker
+   * @param {Object} request - { action, method, args }
+   * @returns {Promise<Object>} - The write's result
+   */
+  async handleMessage(request) {
+    if (!this.REMOTE_METHODS.includes(request.method)) {
+      return { success: false, message: `Unknown price history method ${request.method}` };
+    }
+    try {
+      return await this.write(request.method, request.args || []);
+    } catch (error) {
+      console.error(`❌ Price history ${request.method} failed:`, error);
+      return { success: false };
+    }
+  },
+
+  // 'recordMany' -> 'applyRecordMany'
+  operationName(method) {
+    return `apply${method.charAt(0).toUpperCase()}${method.slice(1)}`;
+  },
+
+  // ============================================
+  // OPERATIONS (background worker, inside the queue)
+  // ============================================
+
+  async applyRecordMany(observations, source) {
+    const history = await this.getAll();
+    let appended = 0;
+
+    observations.forEach(product => {
+      const points = history[product.product_id] || [];
+      if (this.appendPoint(points, product, source)) {
+        history[product.product_id] = points;
+        appended++;
+      }
+    });
+
+    if (appended === 0) return { success: true, appended };
+    const success = await this.save(history);
+    return { success, appended: success ? appended : 0 };
+  },
+
+  async applyForget(productIds) {
+    const history = await this.getAll();
+    const removed = productIds.filter(productId => productId in history);
+    if (removed.length === 0) return { success: true, removed: 0 };
+
+    removed.forEach(productId => delete history[productId]);
+    const success = await this.save(history);
+    return { success, removed: success ? removed.length : 0 };
+  },
+
+  async save(history) {
+    return new Promise((resolve) => {
+      try {
+        chrome.storage.local.set({ [this.STORAGE_KEY]: history }, () => {
+          if (chrome.runtime.lastError) {
+            console.error('Extension context invalidated:', chrome.runtime.lastError);
+            resolve(false);
+            return;
+          }
+          resolve(true);
+        });
+      } catch (error) {
+        console.error('Error saving price history:', error);
+        resolve(false);
+      }
+    });
+  },
+
+  async record(product, source) {
+    return this.recordMany([product], source);
+  },
+
+  /**
+   * Summarize a product's price series
+   * @param {Array<Object>} points - Price points in chronological order
+   * @returns {Object|null} - { lowest, highest, current, currency, count }
+   */
+  summarize(points) {
+    // Only compare points in the currency of the latest observation
+    const current = points[points.length - 1];
+    if (!current) return null;
+
+    const values = points
+      .filter(point => point.currency === current.currency)
+      .map(point => point.priceValue);
+
+    return {
+      lowest: Math.min(...values),
+      highest: Math.max(...values),
+      current: current.priceValue,
+      currency: current.currency,
+      count: values.length
+    };
+  }
+};
+
+// Export for use in content scripts, extension pages and the service worker
+self.PriceHistory = PriceHistory;
@@ -0,0 +1,73 @@
+// ============================================
+// PRICE WATCH SETTINGS
+// ============================================
+// Settings for the background price-drop watcher (see background.js).
+// Shared by the popup, which edits them, and the service worker, which acts on them.
+
+const PriceWatch = {
+  STORAGE_KEY: 'watch_settings',
+  INTERVAL_OPTIONS: [30, 60, 180, 360, 720, 1440], // Minutes
+
+  DEFAULTS: {
+    enabled: false,
+    intervalMinutes: 360,
+    targets: {} // product_id → target price (number, in the item's currency)
+  },
+
+  async getSettings() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([this.STORAGE_KEY], (result) => {
+        if (chrome.runtime.lastError) {
+          console.error('Error loading watch settings:', chrome.runtime.lastError);
+          resolve({ ...this.DEFAULTS, targets: {} });
+          return;
+        }
+        const stored = result[this.STORAGE_KEY] || {};
+        resolve({ ...this.DEFAULTS, ...stored, targets: { ...(stored.targets || {}) } });
+      });
+    });
+  },
+
+  async saveSettings(changes) {
+    const settings = { ...(await this.getSettings()), ...changes };
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [this.STORAGE_KEY]: settings }, () => {
+        if (chrome.runtime.lastError) {
+          console.error('Error saving watch settings:', chrome.runtime.lastError);
+        }
+        resolve(settings);
+      });
+    });
+  },
+
+  /**
+   * Set or clear the target price for a product
+   * @param {string} productId - Product to watch
+   * @param {number|null} target - Alert when the price drops to or below this value
+   */
+  async setTarget(productId, target) {
+    const settings = await this.getSettings();
+    if (target === null || target === undefined || isNaN(target) || target <= 0) {
+      delete settings.targets[productId];
+    } else {
+      settings.targets[productId] = target;
+    }
+    return this.saveSettings({ targets: settings.targets });
+  },
+
+  /**
+   * Drop the targets of products that are no longer stored anywhere
+   * @param {Array<string>} productIds - Products to forget
+   */
+  async clearTargets(productIds) {
+    const settings = await this.getSettings();
+    const watched = productIds.filter(productId => productId in settings.targets);
+    if (watched.length === 0) return settings;
+
+    watched.forEach(productId => delete settings.targets[productId]);
+    return this.saveSettings({ targets: settings.targets });
+  }
+};
+
+// Export for use in extension pages and the service worker
+self.PriceWatch = PriceWatch;
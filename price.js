@@ -0,0 +1,220 @@
+// ============================================
+// PRICE NORMALIZATION
+// ============================================
+// Turns display prices like "$50.28", "₹1,299", "$1.2M" or "$2,100/mo"
+// into a numeric value plus an ISO 4217 currency code
+
+const PriceParser = {
+  // Symbols checked in order, so multi-character prefixes must come before "$"
+  SYMBOL_CURRENCIES: [
+    ['CA$', 'CAD'],
+    ['C$', 'CAD'],
+    ['US$', 'USD'],
+    ['A$', 'AUD'],
+    ['£', 'GBP'],
+    ['€', 'EUR'],
+    ['₹', 'INR'],
+    ['Rs.', 'INR'],
+    ['¥', 'JPY'],
+    ['$', null] // Ambiguous - resolved from the storefront
+  ],
+
+  // Storefront currency, used when the symbol alone is ambiguous or missing
+  DOMAIN_CURRENCIES: [
+    ['amazon.co.uk', 'GBP'],
+    ['amazon.in', 'INR'],
+    ['amazon.ca', 'CAD'],
+    ['amazon.com', 'USD'],
+    ['zillow.com', 'USD'],
+    ['walmart.com', 'USD'],
+    ['bestbuy.com', 'USD'],
+    ['redfin.com', 'USD'],
+    ['realtor.com', 'USD']
+  ],
+
+  // Storefront locale, for how it writes numbers ("1,299.99" vs "1.299,99")
+  DOMAIN_LOCALES: [
+    ['amazon.co.uk', 'en-GB'],
+    ['amazon.in', 'en-IN'],
+    ['amazon.ca', 'en-CA'],
+    ['amazon.com', 'en-US'],
+    ['zillow.com', 'en-US'],
+    ['walmart.com', 'en-US'],
+    ['bestbuy.com', 'en-US'],
+    ['redfin.com', 'en-US'],
+    ['realtor.com', 'en-US']
+  ],
+
+  // Matches a price with any supported currency prefix, e.g. "$4,655.99" or "₹1,299"
+  PRICE_PATTERN: /(?:CA\$|C\$|US\$|A\$|Rs\.?\s?|[\$£€¥₹])\s?[\d,]+(?:\.\d{1,2})?/,
+
+  // Abbreviated amounts used on real-estate sites ("$450K", "$1.2M")
+  MULTIPLIERS: { K: 1e3, M: 1e6, B: 1e9 },
+
+  /**
+   * Get the default currency for a storefront hostname
+   * @param {string} hostname - e.g. "www.amazon.co.uk"
+   * @returns {string|null} - ISO currency code
+   */
+  currencyForHostname(hostname) {
+    if (!hostname) return null;
+    const match = this.DOMAIN_CURRENCIES.find(([domain]) => hostname.includes(domain));
+    return match ? match[1] : null;
+  },
+
+  /**
+   * Detect the currency of a price string
+   * @param {string} text - Display price
+   * @param {string} hostname - Storefront hostname used to resolve "$"
+   * @returns {string|null} - ISO currency code
+   */
+  detectCurrency(text, hostname) {
+    const storefrontCurrency = this.currencyForHostname(hostname);
+    if (!text) return storefrontCurrency;
+
+    const match = this.SYMBOL_CURRENCIES.find(([symbol]) => text.includes(symbol));
+    if (!match) return storefrontCurrency;
+
+    // "$" alone is shared by USD and CAD - trust the storefront
+    return match[1] || storefrontCurrency || 'USD';
+  },
+
+  /**
+   * Get the decimal separator a storefront writes numbers with
+   * @param {string} hostname - e.g. "www.amazon.co.uk"
+   * @returns {string|null} - "." or ",", null for an unknown storefront
+   */
+  decimalSeparatorForHostname(hostname) {
+    if (!hostname) return null;
+    const match = this.DOMAIN_LOCALES.find(([domain]) => hostname.includes(domain));
+    if (!match) return null;
+    return new Intl.NumberFormat(match[1]).formatToParts(1.5).find(part => part.type === 'decimal').value;
+  },
+
+  /**
+   * Read a number written with grouping and decimal separators
+   * @param {string} digits - e.g. "1,299.99", "1.299,99", "1,5"
+   * @param {string} hostname - Storefront hostname; its locale settles "1,500" and "1.500"
+   * @returns {number} - NaN when there is no number
+   */
+  parseNumber(digits, hostname) {
+    let text = String(digits).replace(/[.,]$/, '');
+    const lastComma = text.lastIndexOf(',');
+    const lastDot = text.lastIndexOf('.');
+
+    if (lastComma !== -1 && lastDot !== -1) {
+      // Both separators: whichever comes last is the decimal separator
+      text = lastComma > lastDot
+        ? text.replace(/\./g, '').replace(',', '.')
+        : text.replace(/,/g, '');
+    } else if (lastComma !== -1 || lastDot !== -1) {
+      // One kind: "12,99" and "1,5" can only be decimals, "1,00,000" and "1.299.000" only
+      // grouping. Three digits after a single separator read the storefront's way
+      // (unknown storefronts write decimal points).
+      const separator = lastComma !== -1 ? ',' : '.';
+      const last = Math.max(lastComma, lastDot);
+      const isSingle = text.indexOf(separator) === last;
+      const isAmbiguous = text.length - last - 1 === 3;
+      const decimalSeparator = this.decimalSeparatorForHostname(hostname) || '.';
+      text = isSingle && (!isAmbiguous || separator === decimalSeparator)
+        ? text.replace(separator, '.')
+        : text.split(separator).join('');
+    }
+
+    return parseFloat(text);
+  },
+
+  /**
+   * Parse the numeric amount out of a price string
+   * @param {string} text - Display price
+   * @param {string} hostname - Storefront hostname, for its number format
+   * @returns {number|null}
+   */
+  parseAmount(text, hostname) {
+    if (!text) return null;
+
+    const match = text.match(/(\d[\d,.]*)\s*([KMB])?\b/i);
+    if (!match) return null;
+
+    let value = this.parseNumber(match[1], hostname);
+    if (isNaN(value)) return null;
+
+    const suffix = match[2]?.toUpperCase();
+    if (suffix) {
+      value *= this.MULTIPLIERS[suffix];
+    }
+
+    return Math.round(value * 100) / 100;
+  },
+
+  /**
+   * Parse a display price into normalized fields
+   * @param {string} text - Display price
+   * @param {string} hostname - Storefront hostname
+   * @returns {Object} - { priceValue, currency, pricePeriod }
+   */
+  parse(text, hostname) {
+    const result = {
+      priceValue: this.parseAmount(text, hostname),
+      currency: this.detectCurrency(text, hostname)
+    };
+
+    // Rentals are quoted per month ("$2,100/mo", "$1,850+ per month")
+    if (text && /\/\s*mo\b|per\s+month|\/\s*month/i.test(text)) {
+      result.pricePeriod = 'month';
+    }
+
+    return result;
+  },
+
+  /**
+   * Format a normalized price for display
+   * @param {number} value - Numeric price
+   * @param {string} currency - ISO currency code
+   * @returns {string}
+   */
+  format(value, currency) {
+    if (value === null || value === undefined) return '';
+    try {
+      return new Intl.NumberFormat(undefined, {
+        style: 'currency',
+        currency: currency || 'USD',
+        minimumFractionDigits: value >= 1000 ? 0 : 2,
+        maximumFractionDigits: value >= 1000 ? 0 : 2
+      }).format(value);
+    } catch (error) {
+      return String(value);
+    }
+  },
+
+  /**
+   * Add priceValue/currency to a product in place, based on its display price
+   * @param {Object} product - Extracted product
+   * @param {string} hostname - Storefront hostname (defaults to the product URL host)
+   * @returns {Object} - The same product
+   */
+  normalizeProduct(product, hostname) {
+    if (!product) return product;
+
+    let host = hostname;
+    if (!host) {
+      try {
+        host = new URL(product.url || product.propertyLink).hostname;
+      } catch (error) {
+        host = '';
+      }
+    }
+
+    const normalized = this.parse(product.price, host);
+    product.priceValue = normalized.priceValue;
+    product.currency = normalized.currency;
+    if (normalized.pricePeriod) {
+      product.pricePeriod = normalized.pricePeriod;
+    }
+
+    return product;
+  }
+};
+
+// Export for use in content scripts, extension pages and the service worker
+self.PriceParser = PriceParser;
@@ -0,0 +1,397 @@
+// ============================================
+// REALTOR.COM PROPERTY EXTRACTOR
+// ============================================
+// This module handles property extraction from Realtor.com pages
+// Supports search result cards and listing detail (/realestateandhomes-detail/) pages
+
+/**
+ * Implements the same contract as ZillowExtractor and produces the same
+ * property schema (address, beds, baths, sqft, yearBuilt, lotSize,
+ * estimatedMonthly, nearbySchools, images, propertyLink).
+ *
+ * product_id is the Realtor.com property ID at the end of the detail URL
+ * (".../123-Main-St_Austin_TX_78701_M12345-67890" -> "M12345-67890").
+ */
+
+const RealtorExtractor = {
+  // Fields extraction health tracks (properties have no rating)
+  healthFields: ['title', 'price', 'image', 'product_id'],
+
+  // ============================================
+  // PAGE TYPE DETECTION
+  // ============================================
+
+  /**
+   * Check if current page is a listing detail page
+   */
+  isProductDetailPage() {
+    return window.location.pathname.includes('/realestateandhomes-detail/');
+  },
+
+  /**
+   * Check if current page shows property cards (search results)
+   */
+  isProductListPage() {
+    return !this.isProductDetailPage() && this.findPropertyCards().length > 0;
+  },
+
+  // ============================================
+  // UTILITY METHODS
+  // ============================================
+
+  /**
+   * Extract the Realtor.com property ID from a detail URL
+   * @param {string} url - Realtor.com detail URL
+   * @returns {string|null} - Property ID (e.g. "M12345-67890") or null
+   */
+  extractPropertyIdFromUrl(url) {
+    if (!url) return null;
+    const match = url.match(/_(M\d+-\d+)/);
+    return match ? match[1] : null;
+  },
+
+  /**
+   * Clean and normalize text content
+   * @param {string} text - Raw text
+   * @returns {string} - Cleaned text ('' when missing, matching the Zillow schema)
+   */
+  cleanText(text) {
+    if (!text) return '';
+    return text.replace(/\s+/g, ' ').trim();
+  },
+
+  /**
+   * Absolute URL for a possibly relative Realtor.com href
+   * @param {string} href - Link href
+   * @returns {string}
+   */
+  toAbsoluteUrl(href) {
+    if (!href) return '';
+    return href.startsWith('http') ? href : `https://www.realtor.com${href}`;
+  },
+
+  /**
+   * Read a property meta value (beds, baths, sqft, lot size)
+   * Realtor.com renders "3bed" as <li data-testid="property-meta-beds"><span data-testid="meta-value">3</span>bed</li>
+   * @param {Element|Document} root - Card or page
+   * @param {string} field - beds | baths | sqft | lot-size
+   * @returns {string}
+   */
+  metaValue(root, field) {
+    const metaElement = root.querySelector(`[data-testid="property-meta-${field}"]`);
+    if (!metaElement) return '';
+    const valueElement = metaElement.querySelector('[data-testid="meta-value"]');
+    return this.cleanText((valueElement || metaElement).textContent).replace(/,/g, '');
+  },
+
+  /**
+   * Property cards on search pages
+   * @returns {Array<Element>}
+   */
+  findPropertyCards() {
+    return Array.from(document.querySelectorAll('[data-testid="property-card"], [data-testid="result-card"]'))
+      .filter(card => card.querySelector('a[href*="/realestateandhomes-detail/"]'));
+  },
+
+  /**
+   * Collect image URLs below a root element
+   * @param {Element|Document} root - Element to search
+   * @param {string} selector - Image selector
+   * @returns {Array<string>}
+   */
+  collectImages(root, selector) {
+    const images = [];
+    root.querySelectorAll(selector).forEach(img => {
+      const src = img.getAttribute('src') || img.getAttribute('data-src');
+      if (src && !src.includes('data:image') && !images.includes(src)) {
+        images.push(src);
+      }
+    });
+    return images;
+  },
+
+  // ============================================
+  // PRODUCT LISTING PAGE EXTRACTION
+  // ============================================
+
+  /**
+   * Extract property information from a search result card
+   * @param {Element} propertyCard - Card element
+   * @returns {Object|null} - Property object in the shared property schema
+   */
+  extractFromListingPage(propertyCard) {
+    Logger.log('📦 Extracting Realtor.com property from card');
+
+    if (!propertyCard) {
+      Logger.error('❌ Property card not provided');
+      return null;
+    }
+
+    const linkElement = propertyCard.querySelector('a[href*="/realestateandhomes-detail/"]');
+    const propertyUrl = this.toAbsoluteUrl(linkElement?.getAttribute('href')).split('?')[0];
+    const propertyId = this.extractPropertyIdFromUrl(propertyUrl);
+    if (!propertyId) {
+      Logger.error('Cannot extract property: No property ID found');
+      return null;
+    }
+    ExtractionHealth.hit('product_id', 'url');
+
+    // Address is split over two lines on the card
+    let address = [
+      this.cleanText(propertyCard.querySelector('[data-testid="card-address-1"]')?.textContent),
+      this.cleanText(propertyCard.querySelector('[data-testid="card-address-2"]')?.textContent)
+    ].filter(Boolean).join(', ');
+    if (address) {
+      ExtractionHealth.hit('title', 'selector:[data-testid="card-address-1"]');
+    } else {
+      address = this.cleanText(SelectorRules.firstMatch(['[data-testid="card-address"]'], propertyCard, 'title')?.textContent);
+    }
+
+    const price = this.cleanText(SelectorRules.firstMatch(['[data-testid="card-price"]'], propertyCard, 'price')?.textContent);
+    const propertyType = this.cleanText(propertyCard.querySelector('[data-testid="card-description"]')?.textContent);
+
+    // Badges like "New", "Price reduced", "Open house"
+    const quickInfo = [];
+    propertyCard.querySelectorAll('[data-testid="card-flag"], [data-testid*="badge"]').forEach(badge => {
+      const text = this.cleanText(badge.textContent);
+      if (text && !quickInfo.includes(text)) quickInfo.push(text);
+    });
+
+    const images = this.collectImages(propertyCard, 'img');
+
+    const product = {
+      product_id: propertyId,
+      title: address,
+      price: price,
+      image: images[0] || '',
+      propertyLink: propertyUrl,
+      retailer: 'realtor',
+      address: address,
+      beds: this.metaValue(propertyCard, 'beds'),
+      baths: this.metaValue(propertyCard, 'baths'),
+      sqft: this.metaValue(propertyCard, 'sqft'),
+      lotSize: this.cleanText(propertyCard.querySelector('[data-testid="property-meta-lot-size"]')?.textContent),
+      propertyType: propertyType,
+      images: images,
+      quickInfo: quickInfo,
+      extractedAt: new Date().toISOString()
+    };
+
+    // Normalize "$450K", "$1.2M" and "$2,100/mo" into priceValue/currency
+    PriceParser.normalizeProduct(product, window.location.hostname);
+
+    Logger.log('✅ Realtor.com property extracted:', propertyId, address.substring(0, 50));
+
+    return product;
+  },
+
+  // ============================================
+  // PRODUCT DETAIL PAGE EXTRACTION
+  // ============================================
+
+  /**
+   * Extract property information from a listing detail page
+   * @returns {Object|null} - Property object in the shared property schema
+   */
+  extractFromDetailPage() {
+    Logger.log('📦 Extracting property from Realtor.com detail page');
+
+    const propertyUrl = window.location.href.split('?')[0];
+    const propertyId = this.extractPropertyIdFromUrl(propertyUrl);
+    if (!propertyId) {
+      Logger.error('Could not extract property ID from URL');
+      return null;
+    }
+    ExtractionHealth.hit('product_id', 'url');
+
+    const address = this.cleanText(
+      SelectorRules.firstMatch(['[data-testid="address-line-1"]', '[data-testid="address"]', 'h1'], document, 'title')?.textContent
+    );
+    const price = this.cleanText(
+      SelectorRules.firstMatch(['[data-testid="list-price"]', '[data-testid="ldp-list-price"]'], document, 'price')?.textContent
+    );
+
+    // Key facts ("Built in 1995", "Property type Single Family", "Lot size 0.25 acres")
+    let yearBuilt = '';
+    let lotSize = this.cleanText(document.querySelector('[data-testid="property-meta-lot-size"]')?.textContent);
+    let propertyType = '';
+    const factsText = this.cleanText(
+      document.querySelector('[data-testid="key-facts"], [data-testid="property-details"]')?.textContent
+    );
+    const yearMatch = factsText.match(/(?:Year built|Built in)\s*(\d{4})/i);
+    const lotMatch = factsText.match(/Lot size\s*([\d,.]+\s*(?:acres?|sq\.?\s*ft|sqft))/i);
+    const typeMatch = factsText.match(/Property type\s*([A-Za-z -]+?)(?=\s*(?:Year built|Built in|Lot size|HOA|Price per|$))/i);
+    if (yearMatch) yearBuilt = yearMatch[1];
+    if (lotMatch && !lotSize) lotSize = lotMatch[1];
+    if (typeMatch) propertyType = typeMatch[1].trim();
+
+    // Estimated monthly payment ("Est. payment $3,120/mo")
+    let estimatedMonthly = '';
+    const paymentText = this.cleanText(
+      document.querySelector('[data-testid="monthly-payment"], [data-testid="est-payment"]')?.textContent
+    );
+    const paymentMatch = paymentText.match(/\$[\d,]+/);
+    if (paymentMatch) estimatedMonthly = paymentMatch[0];
+
+    // Nearby schools - top 3 with their rating
+    const schools = [];
+    document.querySelectorAll('[data-testid="schools-section"] tbody tr, [data-testid="school-item"]').forEach(row => {
+      if (schools.length >= 3) return;
+      const name = this.cleanText(row.querySelector('a, [data-testid="school-name"]')?.textContent);
+      const ratingMatch = this.cleanText(row.querySelector('[data-testid="school-rating"], [class*="rating"]')?.textContent).match(/(\d+)/);
+      if (name) {
+        schools.push(ratingMatch ? `${name} (${ratingMatch[1]}/10)` : name);
+      }
+    });
+    const nearbySchools = schools.join(', ');
+
+    // Description
+    const fullDesc = this.cleanText(document.querySelector('[data-testid="property-description"], #ldp-detail-overview')?.textContent);
+    const description = fullDesc.length > 200 ? fullDesc.substring(0, 200) + '...' : fullDesc;
+
+    const images = this.collectImages(document, '[data-testid="hero-carousel"] img, [data-testid="ldp-hero"] img, .ldp-hero-container img');
+
+    const product = {
+      product_id: propertyId,
+      title: address,
+      price: price,
+      image: images[0] || '',
+      propertyLink: propertyUrl,
+      retailer: 'realtor',
+      address: address,
+      beds: this.metaValue(document, 'beds'),
+      baths: this.metaValue(document, 'baths'),
+      sqft: this.metaValue(document, 'sqft'),
+      images: images,
+      extractedAt: new Date().toISOString(),
+      extractedFrom: 'detail-page',
+      description: description,
+      propertyType: propertyType,
+      yearBuilt: yearBuilt,
+      lotSize: lotSize,
+      estimatedMonthly: estimatedMonthly,
+      nearbySchools: nearbySchools
+    };
+
+    // Normalize "$450K", "$1.2M" and "$2,100/mo" into priceValue/currency
+    PriceParser.normalizeProduct(product, window.location.hostname);
+
+    Logger.log('✅ Realtor.com property extracted from detail page:', {
+      id: propertyId,
+      address: address.substring(0, 50),
+      price: price,
+      beds: product.beds,
+      baths: product.baths,
+      sqft: product.sqft,
+      yearBuilt: yearBuilt,
+      schools: nearbySchools ? 'Yes' : 'No'
+    });
+
+    return product;
+  },
+
+  // ============================================
+  // BACKGROUND ENRICHMENT
+  // ============================================
+
+  // Called by content.js once a property is stored - fetch detail-page data in a hidden tab
+  onProductAdded(product, propertyCard) {
+    if (!propertyCard) return; // Already extracted from the detail page
+
+    // Background enrichment can be switched off on the options page
+    if (!Config.settings.zillowEnrichment) {
+      Logger.log('⏭️ Property background enrichment disabled in settings');
+      return;
+    }
+
+    Logger.log('🔄 Fetching additional details in background:', product.propertyLink);
+
+    chrome.runtime.sendMessage({
+      action: 'fetchPropertyDetails',
+      url: product.propertyLink,
+      productId: product.product_id
+    });
+  },
+
+  // ============================================
+  // BUTTON INSERTION
+  // ============================================
+
+  /**
+   * Find all insertion points for Compare buttons on the current page
+   * @returns {Array<Object>} - Insertion data (insertionPoint, productContainer, asin, uuid, id)
+   */
+  findInsertionPoints() {
+    if (this.isProductDetailPage()) {
+      const addressElement = document.querySelector('[data-testid="address-line-1"], [data-testid="address"], h1');
+      const propertyId = this.extractPropertyIdFromUrl(window.location.href);
+      if (!addressElement || !propertyId) return [];
+
+      return [{
+        insertionPoint: addressElement,
+        productContainer: null, // Main property doesn't have a container
+        asin: propertyId, // Using asin field for consistency with content.js
+        uuid: null,
+        id: 'main-product'
+      }];
+    }
+
+    const insertionData = [];
+    const cards = this.findPropertyCards();
+    Logger.log(`🔍 Realtor.com listing: Found ${cards.length} property cards`);
+
+    cards.forEach((card) => {
+      const propertyId = this.extractPropertyIdFromUrl(
+        card.querySelector('a[href*="/realestateandhomes-detail/"]')?.getAttribute('href')
+      );
+      const insertionPoint = card.querySelector('[data-testid="card-price"]') ||
+                             card.querySelector('[data-testid="card-address-1"]');
+      if (!propertyId || !insertionPoint) return;
+
+      insertionData.push({
+        insertionPoint: insertionPoint,
+        productContainer: card,
+        asin: propertyId,
+        uuid: null,
+        id: propertyId
+      });
+    });
+
+    return insertionData;
+  },
+
+  /**
+   * Create a compare button element
+   * @param {Element} insertionPoint - The element where button is inserted
+   * @param {Element} productContainer - The property card (null for the main property)
+   * @param {Object} metadata - Product metadata (asin, uuid, id)
+   * @param {Function} onClickHandler - Click handler function
+   * @returns {Element} - Button element
+   */
+  createCompareButton(insertionPoint, productContainer, metadata, onClickHandler) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = '+ Compare';
+    button.className = 'smart-compare-btn realtor-compare-btn';
+    button.setAttribute('data-compare-button', 'true');
+    button.setAttribute('data-smart-product-id', metadata.asin || metadata.id);
+
+    // Store metadata on button for click handler
+    button._productContainer = productContainer;
+    button._productMetadata = metadata;
+
+    // Property cards are links - keep the click on the button
+    button.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      onClickHandler(button);
+    }, true);
+
+    return button;
+  }
+};
+
+// Export for use in content.js
+window.RealtorExtractor = RealtorExtractor;
+
+Logger.log('✅ Realtor.com Extractor loaded');
@@ -0,0 +1,413 @@
+// ============================================
+// REDFIN PROPERTY EXTRACTOR
+// ============================================
+// This module handles property extraction from Redfin pages
+// Supports search result home cards and home (/home/) pages
+
+/**
+ * Implements the same contract as ZillowExtractor and produces the same
+ * property schema (address, beds, baths, sqft, yearBuilt, lotSize,
+ * estimatedMonthly, nearbySchools, images, propertyLink), so homes from
+ * Zillow, Redfin and Realtor.com can sit in one comparison.
+ *
+ * product_id is the Redfin home ID from the /home/<id> URL.
+ */
+
+const RedfinExtractor = {
+  // Fields extraction health tracks (properties have no rating)
+  healthFields: ['title', 'price', 'image', 'product_id'],
+
+  // ============================================
+  // PAGE TYPE DETECTION
+  // ============================================
+
+  /**
+   * Check if current page is a home page (/CA/City/123-Main-St-94000/home/12345678)
+   */
+  isProductDetailPage() {
+    return /\/home\/\d+/.test(window.location.pathname);
+  },
+
+  /**
+   * Check if current page shows home cards (search results, map view)
+   */
+  isProductListPage() {
+    return !this.isProductDetailPage() && this.findHomeCards().length > 0;
+  },
+
+  // ============================================
+  // UTILITY METHODS
+  // ============================================
+
+  /**
+   * Extract the Redfin home ID from a home URL
+   * @param {string} url - Redfin home URL
+   * @returns {string|null} - Home ID or null
+   */
+  extractHomeIdFromUrl(url) {
+    if (!url) return null;
+    const match = url.match(/\/home\/(\d+)/);
+    return match ? match[1] : null;
+  },
+
+  /**
+   * Clean and normalize text content
+   * @param {string} text - Raw text
+   * @returns {string} - Cleaned text ('' when missing, matching the Zillow schema)
+   */
+  cleanText(text) {
+    if (!text) return '';
+    return text.replace(/\s+/g, ' ').trim();
+  },
+
+  /**
+   * Absolute URL for a possibly relative Redfin href
+   * @param {string} href - Link href
+   * @returns {string}
+   */
+  toAbsoluteUrl(href) {
+    if (!href) return '';
+    return href.startsWith('http') ? href : `https://www.redfin.com${href}`;
+  },
+
+  /**
+   * Parse "3 beds 2 baths 1,206 sq ft" style text
+   * @param {string} text - Stats text
+   * @returns {Object} - { beds, baths, sqft }
+   */
+  parseStats(text) {
+    const bedsMatch = text?.match(/(\d+)\s*(?:bds?|beds?|bedrooms?)/i);
+    const bathsMatch = text?.match(/(\d+(?:\.\d+)?)\s*(?:ba|baths?|bathrooms?)/i);
+    const sqftMatch = text?.match(/([\d,]+)\s*(?:sq\.?\s*ft|sqft)/i);
+    return {
+      beds: bedsMatch ? bedsMatch[1] : '',
+      baths: bathsMatch ? bathsMatch[1] : '',
+      sqft: sqftMatch ? sqftMatch[1].replace(/,/g, '') : ''
+    };
+  },
+
+  /**
+   * Home cards on search pages (current and older card markup)
+   * @returns {Array<Element>}
+   */
+  findHomeCards() {
+    const cards = document.querySelectorAll('.bp-Homecard, .HomeCardContainer .HomeCard, .homecard');
+    // Cards can be nested in their wrappers - keep the outermost match only
+    return Array.from(cards).filter(card => !card.parentElement?.closest('.bp-Homecard, .HomeCard, .homecard'));
+  },
+
+  /**
+   * Collect image URLs below a root element
+   * @param {Element|Document} root - Element to search
+   * @param {string} selector - Image selector
+   * @returns {Array<string>}
+   */
+  collectImages(root, selector) {
+    const images = [];
+    root.querySelectorAll(selector).forEach(img => {
+      const src = img.getAttribute('src') || img.getAttribute('data-src');
+      if (src && !src.includes('data:image') && !images.includes(src)) {
+        images.push(src);
+      }
+    });
+    return images;
+  },
+
+  // ============================================
+  // PRODUCT LISTING PAGE EXTRACTION
+  // ============================================
+
+  /**
+   * Extract property information from a home card
+   * @param {Element} homeCard - Home card element
+   * @returns {Object|null} - Property object in the shared property schema
+   */
+  extractFromListingPage(homeCard) {
+    Logger.log('📦 Extracting Redfin property from home card');
+
+    if (!homeCard) {
+      Logger.error('❌ Home card not provided');
+      return null;
+    }
+
+    const linkElement = homeCard.querySelector('a[href*="/home/"]');
+    const propertyUrl = this.toAbsoluteUrl(linkElement?.getAttribute('href'));
+    const propertyId = this.extractHomeIdFromUrl(propertyUrl);
+    if (!propertyId) {
+      Logger.error('Cannot extract property: No home ID found');
+      return null;
+    }
+    ExtractionHealth.hit('product_id', 'url');
+
+    const address = this.cleanText(
+      SelectorRules.firstMatch(['.bp-Homecard__Address', '.homeAddressV2', '.link-and-anchor'], homeCard, 'title')?.textContent
+    );
+    const price = this.cleanText(
+      SelectorRules.firstMatch(['.bp-Homecard__Price--value', '.homecardV2Price', '[class*="Price--value"]'], homeCard, 'price')?.textContent
+    );
+    const { beds, baths, sqft } = this.parseStats(
+      this.cleanText(homeCard.querySelector('.bp-Homecard__Stats, .HomeStatsV2, .stats')?.textContent)
+    );
+
+    // Badges like "Price drop", "Open house"
+    const quickInfo = [];
+    homeCard.querySelectorAll('.bp-Homecard__Sash, .Sash, [class*="KeyFacts"] span').forEach(badge => {
+      const text = this.cleanText(badge.textContent);
+      if (text && !quickInfo.includes(text)) quickInfo.push(text);
+    });
+
+    const images = this.collectImages(homeCard, 'img');
+
+    const product = {
+      product_id: propertyId,
+      title: address,
+      price: price,
+      image: images[0] || '',
+      propertyLink: propertyUrl,
+      retailer: 'redfin',
+      address: address,
+      beds: beds,
+      baths: baths,
+      sqft: sqft,
+      images: images,
+      quickInfo: quickInfo,
+      extractedAt: new Date().toISOString()
+    };
+
+    // Normalize "$450K", "$1.2M" and "$2,100/mo" into priceValue/currency
+    PriceParser.normalizeProduct(product, window.location.hostname);
+
+    Logger.log('✅ Redfin property extracted:', propertyId, address.substring(0, 50));
+
+    return product;
+  },
+
+  // ============================================
+  // PRODUCT DETAIL PAGE EXTRACTION
+  // ============================================
+
+  /**
+   * Extract property information from a home page
+   * @returns {Object|null} - Property object in the shared property schema
+   */
+  extractFromDetailPage() {
+    Logger.log('📦 Extracting property from Redfin home page');
+
+    const propertyUrl = window.location.href.split('?')[0];
+    const propertyId = this.extractHomeIdFromUrl(propertyUrl);
+    if (!propertyId) {
+      Logger.error('Could not extract home ID from URL');
+      return null;
+    }
+    ExtractionHealth.hit('product_id', 'url');
+
+    // Address: street line + city/state/zip, then the page heading
+    const street = this.cleanText(SelectorRules.firstMatch(['[data-rf-test-id="abp-streetLine"]', '.street-address'], document, 'title')?.textContent);
+    const cityStateZip = this.cleanText(document.querySelector('[data-rf-test-id="abp-cityStateZip"], .bp-cityStateZip')?.textContent);
+    let address = [street.replace(/,$/, ''), cityStateZip].filter(Boolean).join(', ');
+    if (!address) {
+      address = this.cleanText(document.querySelector('h1')?.textContent);
+      if (address) ExtractionHealth.hit('title', 'selector:h1');
+    }
+
+    const price = this.cleanText(
+      SelectorRules.firstMatch(['[data-rf-test-id="abp-price"] .statsValue', '.price-section .statsValue'], document, 'price')?.textContent
+    );
+
+    // Beds, baths and sqft each have their own stat block
+    const statValue = (testId) => this.cleanText(
+      document.querySelector(`[data-rf-test-id="${testId}"] .statsValue`)?.textContent
+    );
+    let beds = statValue('abp-beds');
+    let baths = statValue('abp-baths');
+    let sqft = statValue('abp-sqFt').replace(/,/g, '');
+    if (!beds || !baths || !sqft) {
+      const parsed = this.parseStats(this.cleanText(document.querySelector('.home-main-stats-variant, .HomeMainStats')?.textContent));
+      beds = beds || parsed.beds;
+      baths = baths || parsed.baths;
+      sqft = sqft || parsed.sqft;
+    }
+
+    // Key details ("Built in 1995", "0.25 acre lot", "Single-family")
+    let yearBuilt = '';
+    let lotSize = '';
+    let propertyType = '';
+    document.querySelectorAll('.keyDetails-row, .keyDetail, .KeyDetailsTable .keyDetails-value').forEach(row => {
+      const text = this.cleanText(row.textContent);
+      const yearMatch = text.match(/(?:Built in|Year Built)\s*(\d{4})/i);
+      const lotMatch = text.match(/([\d,.]+\s*(?:acres?|sq\.?\s*ft))\s*lot/i) ||
+                       text.match(/Lot Size\s*([\d,.]+\s*(?:acres?|sq\.?\s*ft))/i);
+      const typeMatch = text.match(/^Property Type\s*(.+)$/i);
+      if (yearMatch && !yearBuilt) yearBuilt = yearMatch[1];
+      if (lotMatch && !lotSize) lotSize = lotMatch[1];
+      if (typeMatch && !propertyType) propertyType = typeMatch[1];
+    });
+
+    // Estimated monthly payment ("Est. $3,120/mo")
+    let estimatedMonthly = '';
+    const paymentText = this.cleanText(
+      document.querySelector('.est-monthly-payment, [data-rf-test-id="abp-monthlyPayment"], #mortgage-calculator-scroll')?.textContent
+    );
+    const paymentMatch = paymentText.match(/\$[\d,]+/);
+    if (paymentMatch) estimatedMonthly = paymentMatch[0];
+
+    // Nearby schools - top 3 with their GreatSchools rating
+    const schools = [];
+    document.querySelectorAll('.schools-content .SchoolsListItem, #schools-scroll .school-row').forEach(row => {
+      if (schools.length >= 3) return;
+      const name = this.cleanText(row.querySelector('.school-name, a')?.textContent);
+      const ratingMatch = this.cleanText(row.querySelector('.rating, [class*="Rating"]')?.textContent).match(/(\d+)/);
+      if (name) {
+        schools.push(ratingMatch ? `${name} (${ratingMatch[1]}/10)` : name);
+      }
+    });
+    const nearbySchools = schools.join(', ');
+
+    // Description
+    const fullDesc = this.cleanText(document.querySelector('#marketing-remarks-scroll, .remarks')?.textContent);
+    const description = fullDesc.length > 200 ? fullDesc.substring(0, 200) + '...' : fullDesc;
+
+    const images = this.collectImages(document, '#MBImage img, .InlinePhotoPreview img, .media-stats img, img.landscape');
+
+    const product = {
+      product_id: propertyId,
+      title: address,
+      price: price,
+      image: images[0] || '',
+      propertyLink: propertyUrl,
+      retailer: 'redfin',
+      address: address,
+      beds: beds,
+      baths: baths,
+      sqft: sqft,
+      images: images,
+      extractedAt: new Date().toISOString(),
+      extractedFrom: 'detail-page',
+      description: description,
+      propertyType: propertyType,
+      yearBuilt: yearBuilt,
+      lotSize: lotSize,
+      estimatedMonthly: estimatedMonthly,
+      nearbySchools: nearbySchools
+    };
+
+    // Normalize "$450K", "$1.2M" and "$2,100/mo" into priceValue/currency
+    PriceParser.normalizeProduct(product, window.location.hostname);
+
+    Logger.log('✅ Redfin property extracted from home page:', {
+      id: propertyId,
+      address: address.substring(0, 50),
+      price: price,
+      beds: beds,
+      baths: baths,
+      sqft: sqft,
+      yearBuilt: yearBuilt,
+      schools: nearbySchools ? 'Yes' : 'No'
+    });
+
+    return product;
+  },
+
+  // ============================================
+  // BACKGROUND ENRICHMENT
+  // ============================================
+
+  // Called by content.js once a property is stored - fetch home-page data in a hidden tab
+  onProductAdded(product, homeCard) {
+    if (!homeCard) return; // Already extracted from the home page
+
+    // Background enrichment can be switched off on the options page
+    if (!Config.settings.zillowEnrichment) {
+      Logger.log('⏭️ Property background enrichment disabled in settings');
+      return;
+    }
+
+    Logger.log('🔄 Fetching additional details in background:', product.propertyLink);
+
+    chrome.runtime.sendMessage({
+      action: 'fetchPropertyDetails',
+      url: product.propertyLink,
+      productId: product.product_id
+    });
+  },
+
+  // ============================================
+  // BUTTON INSERTION
+  // ============================================
+
+  /**
+   * Find all insertion points for Compare buttons on the current page
+   * @returns {Array<Object>} - Insertion data (insertionPoint, productContainer, asin, uuid, id)
+   */
+  findInsertionPoints() {
+    if (this.isProductDetailPage()) {
+      const addressElement = document.querySelector('[data-rf-test-id="abp-streetLine"], .street-address') ||
+                             document.querySelector('h1');
+      const homeId = this.extractHomeIdFromUrl(window.location.href);
+      if (!addressElement || !homeId) return [];
+
+      return [{
+        insertionPoint: addressElement,
+        productContainer: null, // Main property doesn't have a container
+        asin: homeId, // Using asin field for consistency with content.js
+        uuid: null,
+        id: 'main-product'
+      }];
+    }
+
+    const insertionData = [];
+    const cards = this.findHomeCards();
+    Logger.log(`🔍 Redfin listing: Found ${cards.length} home cards`);
+
+    cards.forEach((card) => {
+      const homeId = this.extractHomeIdFromUrl(card.querySelector('a[href*="/home/"]')?.getAttribute('href'));
+      const addressElement = card.querySelector('.bp-Homecard__Address, .homeAddressV2, .link-and-anchor');
+      if (!homeId || !addressElement) return;
+
+      insertionData.push({
+        insertionPoint: addressElement,
+        productContainer: card,
+        asin: homeId,
+        uuid: null,
+        id: homeId
+      });
+    });
+
+    return insertionData;
+  },
+
+  /**
+   * Create a compare button element
+   * @param {Element} insertionPoint - The element where button is inserted
+   * @param {Element} productContainer - The home card (null for the main property)
+   * @param {Object} metadata - Product metadata (asin, uuid, id)
+   * @param {Function} onClickHandler - Click handler function
+   * @returns {Element} - Button element
+   */
+  createCompareButton(insertionPoint, productContainer, metadata, onClickHandler) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = '+ Compare';
+    button.className = 'smart-compare-btn redfin-compare-btn';
+    button.setAttribute('data-compare-button', 'true');
+    button.setAttribute('data-smart-product-id', metadata.asin || metadata.id);
+
+    // Store metadata on button for click handler
+    button._productContainer = productContainer;
+    button._productMetadata = metadata;
+
+    // Home cards are links - keep the click on the button
+    button.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      onClickHandler(button);
+    }, true);
+
+    return button;
+  }
+};
+
+// Export for use in content.js
+window.RedfinExtractor = RedfinExtractor;
+
+Logger.log('✅ Redfin Extractor loaded');
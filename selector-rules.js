@@ -0,0 +1,268 @@
+// ============================================
+// SELECTOR RULES
+// ============================================
+// The CSS selectors extractors rely on live in selector-rules.json, not in
+// code, so a retailer markup change can be fixed by updating rules instead
+// of shipping a new release. Each rule is a list of selectors tried in
+// order. A rules override (loaded from the options page) replaces
+// individual rules; it is validated against the bundled rules and ignored
+// as a whole if anything in it is wrong, so the built-ins always apply.
+
+const SelectorRules = {
+  BUNDLED_PATH: 'selector-rules.json',
+  OVERRIDE_KEY: 'selector_rules_override',
+  SCHEMA_VERSION: 1,
+  MAX_SELECTOR_LENGTH: 500,
+
+  bundled: null,
+  rules: null,
+  source: 'bundled', // 'bundled' | 'override'
+  overrideErrors: [],
+  loading: null,
+
+  // ============================================
+  // LOADING
+  // ============================================
+
+  /**
+   * Load the bundled rules and apply a valid override. Safe to call repeatedly;
+   * every caller waits on the same load.
+   * @returns {Promise<Object>} - Effective rules by retailer
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.loadRules();
+    }
+    return this.loading;
+  },
+
+  async loadRules() {
+    this.bundled = await this.loadBundled();
+    this.rules = this.bundled.retailers;
+    this.source = 'bundled';
+    this.overrideErrors = [];
+
+    const override = await this.getOverride();
+    if (override) {
+      const errors = this.validate(override, this.bundled);
+      if (errors.length === 0) {
+        this.rules = this.merge(this.bundled, override);
+        this.source = 'override';
+        Logger.log(`🧩 Selector rules override applied (${override.revision || 'no revision'})`);
+      } else {
+        this.overrideErrors = errors;
+        console.warn('Ignoring selector rules override, using built-in rules:', errors);
+      }
+    }
+    return this.rules;
+  },
+
+  async loadBundled() {
+    try {
+      const response = await fetch(chrome.runtime.getURL(this.BUNDLED_PATH));
+      return await response.json();
+    } catch (error) {
+      console.error('Error loading bundled selector rules:', error);
+      return { version: this.SCHEMA_VERSION, retailers: {} };
+    }
+  },
+
+  async getOverride() {
+    return new Promise((resolve) => {
+      try {
+        chrome.storage.local.get([this.OVERRIDE_KEY], (result) => {
+          if (chrome.runtime.lastError) {
+            console.error('Extension context invalidated:', chrome.runtime.lastError);
+            resolve(null);
+            return;
+          }
+          resolve(result[this.OVERRIDE_KEY] || null);
+        });
+      } catch (error) {
+        console.error('Error getting selector rules override:', error);
+        resolve(null);
+      }
+    });
+  },
+
+  // Override rules replace bundled rules one by one; everything else stays built-in
+  merge(bundled, override) {
+    const rules = {};
+    Object.entries(bundled.retailers).forEach(([retailer, retailerRules]) => {
+      rules[retailer] = { ...retailerRules, ...(override.retailers[retailer] || {}) };
+    });
+    return rules;
+  },
+
+  // ============================================
+  // VALIDATION
+  // ============================================
+
+  /**
+   * Check an override against the bundled rules
+   * Only retailers and rule names the bundled file knows are accepted, so a
+   * typo can't silently disable a rule.
+   * @param {Object} data - Parsed override
+   * @param {Object} bundled - Bundled rules file
+   * @returns {Array<string>} - Problems, empty when the override is usable
+   */
+  validate(data, bundled) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return ['Rules must be a JSON object'];
+    }
+    if (data.version !== this.SCHEMA_VERSION) {
+      return [`Unsupported rules version ${data.version} (expected ${this.SCHEMA_VERSION})`];
+    }
+    if (!data.retailers || typeof data.retailers !== 'object' || Array.isArray(data.retailers)) {
+      return ['Missing "retailers" object'];
+    }
+
+    const errors = [];
+    Object.entries(data.retailers).forEach(([retailer, retailerRules]) => {
+      const known = bundled.retailers[retailer];
+      if (!known) {
+        errors.push(`Unknown retailer "${retailer}"`);
+        return;
+      }
+      if (!retailerRules || typeof retailerRules !== 'object' || Array.isArray(retailerRules)) {
+        errors.push(`${retailer}: rules must be an object`);
+        return;
+      }
+
+      Object.entries(retailerRules).forEach(([name, selectors]) => {
+        if (!known[name]) {
+          errors.push(`${retailer}.${name}: unknown rule`);
+          return;
+        }
+        if (!Array.isArray(selectors) || selectors.length === 0) {
+          errors.push(`${retailer}.${name}: must be a non-empty list of selectors`);
+          return;
+        }
+        selectors.forEach(selector => {
+          const problem = this.checkSelector(selector);
+          if (problem) errors.push(`${retailer}.${name}: ${problem}`);
+        });
+      });
+    });
+    return errors;
+  },
+
+  checkSelector(selector) {
+    if (typeof selector !== 'string' || !selector.trim()) return 'selectors must be non-empty text';
+    if (selector.length > this.MAX_SELECTOR_LENGTH) return 'selector is too long';
+
+    // Syntax can only be checked where there is a DOM (not in the service worker)
+    if (typeof document !== 'undefined') {
+      try {
+        document.createDocumentFragment().querySelector(selector);
+      } catch (error) {
+        return `invalid selector "${selector}"`;
+      }
+    }
+    return null;
+  },
+
+  // ============================================
+  // OVERRIDE
+  // ============================================
+
+  /**
+   * Validate and store a rules override. Pages pick it up the next time they load.
+   * @param {Object} data - Parsed override file
+   * @returns {Promise<Array<string>>} - Problems; nothing is stored unless empty
+   */
+  async saveOverride(data) {
+    const bundled = this.bundled || await this.loadBundled();
+    const errors = this.validate(data, bundled);
+    if (errors.length > 0) return errors;
+
+    await new Promise((resolve) => {
+      chrome.storage.local.set({ [this.OVERRIDE_KEY]: data }, resolve);
+    });
+    this.loading = null;
+    return [];
+  },
+
+  async clearOverride() {
+    await new Promise((resolve) => {
+      chrome.storage.local.remove([this.OVERRIDE_KEY], resolve);
+    });
+    this.loading = null;
+  },
+
+  // ============================================
+  // QUERYING (rules must be loaded)
+  // ============================================
+
+  // Selectors of one rule, best first
+  list(retailer, name) {
+    const selectors = this.rules?.[retailer]?.[name];
+    if (!selectors) {
+      Logger.warn(`⚠️ No selector rule ${retailer}.${name}`);
+      return [];
+    }
+    return selectors;
+  },
+
+  /**
+   * First element matched by a rule, trying its selectors in order
+   * @param {string} retailer - Retailer id
+   * @param {string} name - Rule name
+   * @param {Element} context - Context element (default: document)
+   * @param {string} field - Field to report the matching selector for (extraction health)
+   * @returns {Element|null}
+   */
+  first(retailer, name, context = document, field = null) {
+    return this.firstMatch(this.list(retailer, name), context, field);
+  },
+
+  /**
+   * First element matched by a list of selectors, best first. For extractors
+   * whose selectors aren't in the rules file yet.
+   * @param {Array<string>} selectors - CSS selectors, best first
+   * @param {Element} context - Context element (default: document)
+   * @param {string} field - Field to report the matching selector for (extraction health)
+   * @returns {Element|null}
+   */
+  firstMatch(selectors, context = document, field = null) {
+    for (const selector of selectors) {
+      const element = context.querySelector(selector);
+      if (element) {
+        if (field) ExtractionHealth.hit(field, `selector:${selector}`);
+        return element;
+      }
+    }
+    return null;
+  },
+
+  /**
+   * All elements matched by any selector of a rule, in document order
+   * @returns {NodeList|Array<Element>}
+   */
+  all(retailer, name, context = document) {
+    const selector = this.selector(retailer, name);
+    return selector ? context.querySelectorAll(selector) : [];
+  },
+
+  // The rule as one selector list ("a, b"), for querySelectorAll/matches
+  selector(retailer, name) {
+    return this.list(retailer, name).join(', ');
+  },
+
+  /**
+   * Bind the query methods to one retailer
+   * @param {string} retailer - Retailer id
+   * @returns {Object} - { first, all, selector, list }
+   */
+  for(retailer) {
+    return {
+      first: (name, context, field) => this.first(retailer, name, context, field),
+      all: (name, context) => this.all(retailer, name, context),
+      selector: (name) => this.selector(retailer, name),
+      list: (name) => this.list(retailer, name)
+    };
+  }
+};
+
+// Export for use in content scripts, extension pages and the background worker
+self.SelectorRules = SelectorRules;
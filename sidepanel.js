@@ -0,0 +1,273 @@
+// Side panel script - the selected comparison list next to the store page.
+// Unlike the popup it stays open while browsing, so it follows storage
+// changes as they happen and the tab the user is looking at.
+
+let panelItems = [];
+let panelLists = [];
+let panelListId = ComparisonLists.DEFAULT_LIST_ID;
+let currentTabUrl = null;
+let draggedProductId = null;
+let statusTimeout;
+
+// Re-read the selected list and redraw
+async function loadPanel() {
+  const [items, lists, listId] = await Promise.all([
+    ComparisonStore.getItems(),
+    ComparisonLists.getLists(),
+    ComparisonLists.getActiveListId()
+  ]);
+  panelLists = lists;
+  panelListId = listId;
+  panelItems = ComparisonLists.activeItemsIn(items, listId);
+
+  renderListSelect();
+  renderItems();
+}
+
+function renderListSelect() {
+  const listSelect = document.getElementById('listSelect');
+  listSelect.innerHTML = '';
+
+  panelLists.forEach(list => {
+    const option = document.createElement('option');
+    option.value = list.id;
+    option.textContent = list.name;
+    listSelect.appendChild(option);
+  });
+  listSelect.value = panelListId;
+}
+
+// Brief message under the Compare button
+function showPanelStatus(message) {
+  const status = document.getElementById('panelStatus');
+  status.textContent = message;
+  clearTimeout(statusTimeout);
+  statusTimeout = setTimeout(() => {
+    status.textContent = '';
+  }, 3000);
+}
+
+// ============================================
+// ITEMS
+// ============================================
+
+function renderItems() {
+  const productList = document.getElementById('productList');
+  const currentItem = findCurrentItem(panelItems, currentTabUrl);
+
+  document.getElementById('emptyState').style.display = panelItems.length === 0 ? 'block' : 'none';
+  document.getElementById('compareContainer').style.display = panelItems.length === 0 ? 'none' : 'block';
+  document.getElementById('itemCount').textContent = panelItems.length;
+  document.getElementById('itemLimit').textContent =
+    ComparisonLists.limitOf(panelLists.find(list => list.id === panelListId));
+  document.getElementById('compareBtn').disabled = panelItems.length < ComparisonSession.MIN_ITEMS;
+
+  productList.innerHTML = '';
+  panelItems.forEach((product, index) => {
+    const row = renderItem(product, index, product === currentItem);
+    productList.appendChild(row);
+    if (product === currentItem) {
+      row.scrollIntoView({ block: 'nearest' });
+    }
+  });
+}
+
+function renderItem(product, index, isCurrent) {
+  const row = document.createElement('div');
+  row.className = isCurrent ? 'product-item current' : 'product-item';
+  row.draggable = true;
+  addDragHandlers(row, product, index);
+
+  const img = document.createElement('img');
+  img.className = 'product-image';
+  img.src = product.image || 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" width="48" height="48"%3E%3Crect fill="%23ddd" width="48" height="48"/%3E%3C/svg%3E';
+  img.alt = product.title || '';
+
+  const details = document.createElement('div');
+  details.className = 'product-details';
+
+  if (isCurrent) {
+    const badge = document.createElement('span');
+    badge.className = 'current-badge';
+    badge.textContent = 'On this page';
+    details.appendChild(badge);
+  }
+
+  const title = document.createElement('p');
+  title.className = 'product-title';
+  title.textContent = product.title || 'Unknown Product';
+  title.title = 'Open product page';
+  title.onclick = () => {
+    if (product.url) chrome.tabs.update({ url: product.url });
+  };
+  details.appendChild(title);
+
+  const meta = document.createElement('p');
+  meta.className = 'product-meta';
+  meta.textContent = [product.price || 'Price N/A', product.rating ? `⭐ ${product.rating}` : null, product.retailer]
+    .filter(Boolean)
+    .join(' • ');
+  details.appendChild(meta);
+
+  // Buttons next to drag and drop, for keyboard users
+  const actions = document.createElement('div');
+  actions.className = 'item-actions';
+
+  const upBtn = document.createElement('button');
+  upBtn.textContent = '▲';
+  upBtn.title = 'Move up';
+  upBtn.disabled = index === 0;
+  upBtn.onclick = () => moveItem(product.product_id, index - 1);
+
+  const downBtn = document.createElement('button');
+  downBtn.textContent = '▼';
+  downBtn.title = 'Move down';
+  downBtn.disabled = index === panelItems.length - 1;
+  downBtn.onclick = () => moveItem(product.product_id, index + 1);
+
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'remove-btn';
+  removeBtn.textContent = 'Remove';
+  removeBtn.onclick = () => removeItem(product.product_id);
+
+  actions.appendChild(upBtn);
+  actions.appendChild(removeBtn);
+  actions.appendChild(downBtn);
+
+  row.appendChild(img);
+  row.appendChild(details);
+  row.appendChild(actions);
+  return row;
+}
+
+function addDragHandlers(row, product, index) {
+  row.addEventListener('dragstart', (e) => {
+    draggedProductId = product.product_id;
+    e.dataTransfer.effectAllowed = 'move';
+    row.classList.add('dragging');
+  });
+  row.addEventListener('dragend', () => {
+    draggedProductId = null;
+    row.classList.remove('dragging');
+  });
+  row.addEventListener('dragover', (e) => {
+    if (!draggedProductId || draggedProductId === product.product_id) return;
+    e.preventDefault();
+    row.classList.add('drop-target');
+  });
+  row.addEventListener('dragleave', () => row.classList.remove('drop-target'));
+  row.addEventListener('drop', (e) => {
+    e.preventDefault();
+    row.classList.remove('drop-target');
+    if (draggedProductId) moveItem(draggedProductId, index);
+  });
+}
+
+// The storage change redraws the list, so these only report failures
+async function moveItem(productId, toIndex) {
+  const result = await ComparisonStore.move(productId, toIndex, { listId: panelListId });
+  if (!result.success) {
+    showPanelStatus(result.message || 'Couldn\'t move the product');
+  }
+}
+
+async function removeItem(productId) {
+  const result = await ComparisonStore.remove(productId, { listId: panelListId });
+  if (result.success) {
+    Logger.log('Product marked as removed:', productId);
+  } else {
+    showPanelStatus(result.message || 'Couldn\'t remove the product');
+  }
+}
+
+async function launchComparison() {
+  try {
+    const result = await ComparisonSession.launch();
+    if (!result.success) {
+      showPanelStatus(result.message);
+    }
+  } catch (error) {
+    console.error('❌ Failed to open comparison page:', error);
+    showPanelStatus('Couldn\'t open the comparison page');
+  }
+}
+
+// ============================================
+// CURRENT TAB
+// ============================================
+
+/**
+ * The item for the product open in the current tab
+ * Same page path first; otherwise the item's product id in the URL of a page
+ * on the same store (/dp/<ASIN>, /ip/<name>/<id>, <zpid>_zpid, ...).
+ * @param {Array<Object>} items - Items shown in the panel
+ * @param {string|null} tabUrl - URL of the active tab
+ * @returns {Object|null}
+ */
+function findCurrentItem(items, tabUrl) {
+  if (!tabUrl) return null;
+
+  let tab;
+  try {
+    tab = new URL(tabUrl);
+  } catch (error) {
+    return null;
+  }
+  const retailer = Config.getRetailerId(tab.hostname);
+  if (!retailer) return null;
+
+  const samePath = items.find(item => {
+    try {
+      const url = new URL(item.url);
+      return url.hostname === tab.hostname && url.pathname === tab.pathname;
+    } catch (error) {
+      return false;
+    }
+  });
+  if (samePath) return samePath;
+
+  const tokens = `${tab.pathname}${tab.search}`.split(/[/_.?=&]/);
+  // Items from a second storefront are stored as "<id>@<storefront>"; the URL holds the plain id
+  return items.find(item => {
+    const productId = item.retailerProductId || item.product_id;
+    return item.retailer === retailer && productId && tokens.includes(String(productId));
+  }) || null;
+}
+
+async function refreshCurrentTab() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  // The URL is only visible on the stores in host_permissions, which is all the panel matches against
+  const url = tab?.url || null;
+  if (url === currentTabUrl) return;
+
+  currentTabUrl = url;
+  renderItems();
+}
+
+// ============================================
+// INIT
+// ============================================
+
+document.addEventListener('DOMContentLoaded', async () => {
+  await Config.loadSettings();
+  await loadPanel();
+  await refreshCurrentTab();
+
+  document.getElementById('listSelect').addEventListener('change', (e) => ComparisonLists.setActiveList(e.target.value));
+  document.getElementById('compareBtn').addEventListener('click', launchComparison);
+  document.getElementById('optionsBtn').addEventListener('click', () => chrome.runtime.openOptionsPage());
+});
+
+// Items, lists and the selected list can change from any store page, the popup or another browser
+chrome.storage.onChanged.addListener((changes, namespace) => {
+  if (namespace !== 'local') return;
+  if (changes[ComparisonStore.STORAGE_KEY] || changes[ComparisonLists.STORAGE_KEY] || changes[ComparisonLists.ACTIVE_KEY]) {
+    loadPanel();
+  }
+});
+
+// Follow the tab the user is looking at
+chrome.tabs.onActivated.addListener(() => refreshCurrentTab());
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.url && tab.active) refreshCurrentTab();
+});
@@ -0,0 +1,225 @@
+// ============================================
+// SPECIFICATION PARSING
+// ============================================
+// Turns the specification layouts retailers serve (label/value pairs or one
+// long detail-bullet string) into one normalized `specs` object. Common keys
+// get one name (Brand, Model, Item Weight, Dimensions, Batteries), weights
+// are converted to grams/kilograms and dimensions to centimetres, so two
+// products line up row by row in a comparison.
+
+const SpecParser = {
+  // Amazon writes "Brand ‏ : ‎ Sony" - a colon wrapped in direction marks
+  BULLET_SEPARATOR: /\s*[\u200e\u200f]*\s*:\s*[\u200e\u200f]+\s*/,
+
+  // Labels Amazon writes with a plain colon inside the same block
+  PLAIN_COLON_LABELS: /(Best Sellers Rank|Customer Reviews)\s*:\s*/g,
+
+  // Labels Amazon uses in detail bullets, longest first so "Item model number" wins over "Model"
+  KNOWN_LABELS: [
+    'Is Discontinued By Manufacturer', 'Item Dimensions LxWxH', 'Date First Available',
+    'Product Dimensions', 'Package Dimensions', 'Item model number', 'Country of Origin',
+    'Best Sellers Rank', 'Customer Reviews', 'Batteries Required', 'Batteries Included',
+    'Item Weight', 'Manufacturer', 'Model Name', 'Department', 'Batteries', 'Publisher',
+    'Language', 'Brand', 'Color', 'ASIN', 'UPC', 'ISBN-10', 'ISBN-13'
+  ],
+
+  // Lowercased source label -> normalized key
+  KEY_ALIASES: {
+    'brand': 'Brand',
+    'brand name': 'Brand',
+    'item model number': 'Model',
+    'model number': 'Model',
+    'model': 'Model',
+    'item weight': 'Item Weight',
+    'product weight': 'Item Weight',
+    'weight': 'Item Weight',
+    'product dimensions': 'Dimensions',
+    'item dimensions lxwxh': 'Dimensions',
+    'item dimensions': 'Dimensions',
+    'dimensions': 'Dimensions',
+    'batteries': 'Batteries',
+    'batteries required': 'Batteries Required',
+    'batteries included': 'Batteries Included'
+  },
+
+  GRAMS_PER_UNIT: { lb: 453.592, oz: 28.3495, kg: 1000, g: 1 },
+  CM_PER_UNIT: { in: 2.54, ft: 30.48, mm: 0.1, cm: 1, m: 100 },
+
+  // ============================================
+  // PARSING
+  // ============================================
+
+  /**
+   * Split Amazon's one-line detail-bullet text into key/value pairs
+   * "Product details Item Weight ‏ : ‎ 8.8 ounces Manufacturer ‏ : ‎ Sony" ->
+   * { "Item Weight": "8.8 ounces", "Manufacturer": "Sony" }
+   * @param {string} text - Detail bullets as one string
+   * @returns {Object}
+   */
+  parseBulletText(text) {
+    const pairs = {};
+    if (!text) return pairs;
+
+    // Each segment between separators ends with the next label
+    const marked = text.replace(this.PLAIN_COLON_LABELS, '$1 \u200f : \u200e ');
+    const segments = marked.split(new RegExp(this.BULLET_SEPARATOR.source, 'g'));
+    if (segments.length < 2) return pairs;
+
+    let key = this.splitTrailingLabel(segments[0]).label;
+    segments.slice(1).forEach((segment, index) => {
+      const isLast = index === segments.length - 2;
+      const { value, label } = isLast ? { value: segment, label: null } : this.splitTrailingLabel(segment);
+      if (key && value) pairs[key] = value.trim();
+      key = label;
+    });
+
+    return pairs;
+  },
+
+  /**
+   * Separate "<value> <Next Label>" into its parts
+   * @param {string} segment - Text between two separators
+   * @returns {Object} - { value, label }
+   */
+  splitTrailingLabel(segment) {
+    const text = segment.trim();
+
+    const known = this.KNOWN_LABELS.find(label => text.toLowerCase().endsWith(label.toLowerCase()));
+    if (known) {
+      return { value: text.slice(0, text.length - known.length).trim(), label: known };
+    }
+
+    // Unknown label: the trailing run of capitalized words (at most 4)
+    const words = text.split(' ');
+    let start = words.length;
+    while (start > 1 && words.length - start < 4 && /^[A-Z][A-Za-z&/()-]*\??$/.test(words[start - 1])) {
+      start--;
+    }
+    return { value: words.slice(0, start).join(' '), label: words.slice(start).join(' ') || null };
+  },
+
+  // Strip direction marks, trailing "?" / ":" and extra whitespace from a label
+  cleanKey(key) {
+    return String(key || '')
+      .replace(/[\u200e\u200f]/g, '')
+      .replace(/\s+/g, ' ')
+      .replace(/[\s:?]+$/, '')
+      .trim();
+  },
+
+  cleanValue(value) {
+    return String(value ?? '')
+      .replace(/[\u200e\u200f]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  },
+
+  // ============================================
+  // UNIT CONVERSION
+  // ============================================
+
+  weightUnit(unit) {
+    const lower = unit.toLowerCase();
+    if (/^(pounds?|lbs?)$/.test(lower)) return 'lb';
+    if (/^(ounces?|oz)$/.test(lower)) return 'oz';
+    if (/^(kilograms?|kg)$/.test(lower)) return 'kg';
+    if (/^(grams?|g)$/.test(lower)) return 'g';
+    return null;
+  },
+
+  /**
+   * "1.5 Pounds" -> "680 g (1.5 Pounds)", "2.2 kg" -> "2.2 kg", "1,5 kg" -> "1.5 kg"
+   * @param {string} text - Weight as written by the retailer
+   * @param {string} hostname - Storefront hostname, for its number format
+   * @returns {string|null} - Metric weight, or null if no weight was found
+   */
+  convertWeight(text, hostname) {
+    const match = String(text).match(/(\d[\d.,]*)\s*(pounds?|lbs?|ounces?|oz|kilograms?|kg|grams?|g)\b/i);
+    const unit = match && this.weightUnit(match[2]);
+    if (!unit) return null;
+
+    const grams = PriceParser.parseNumber(match[1], hostname) * this.GRAMS_PER_UNIT[unit];
+    if (!isFinite(grams)) return null;
+
+    const metric = grams >= 1000 ? `${+(grams / 1000).toFixed(2)} kg` : `${Math.round(grams)} g`;
+    return unit === 'kg' || unit === 'g' ? metric : `${metric} (${match[0]})`;
+  },
+
+  /**
+   * '10 x 8 x 3 inches' / '10"L x 8"W x 3"H' -> "25.4 x 20.3 x 7.6 cm (10 x 8 x 3 inches)"
+   * @param {string} text - Dimensions as written by the retailer
+   * @param {string} hostname - Storefront hostname, for its number format
+   * @returns {string|null} - Dimensions in centimetres, or null if none were found
+   */
+  convertDimensions(text, hostname) {
+    const source = String(text);
+    const numbers = source.match(/\d[\d.,]*/g);
+    if (!numbers || numbers.length < 2) return null;
+
+    let unit = 'in'; // Amazon's default when only '"' marks are used
+    if (/\b(centimet(?:er|re)s?|cm)\b/i.test(source)) unit = 'cm';
+    else if (/\b(millimet(?:er|re)s?|mm)\b/i.test(source)) unit = 'mm';
+    else if (/\b(feet|foot|ft)\b/i.test(source)) unit = 'ft';
+    else if (/\b(met(?:er|re)s?|m)\b/i.test(source)) unit = 'm';
+
+    const centimetres = numbers.slice(0, 3).map(number => +(PriceParser.parseNumber(number, hostname) * this.CM_PER_UNIT[unit]).toFixed(1));
+    const metric = `${centimetres.join(' x ')} cm`;
+    return unit === 'cm' ? metric : `${metric} (${source.trim()})`;
+  },
+
+  // ============================================
+  // NORMALIZATION
+  // ============================================
+
+  /**
+   * Build the normalized specs object from raw key/value pairs
+   * @param {Object} pairs - Raw label -> value
+   * @param {string} hostname - Storefront hostname, for its number format
+   * @returns {Object} - specs with normalized keys and converted units
+   */
+  normalize(pairs, hostname) {
+    const specs = {};
+
+    Object.entries(pairs || {}).forEach(([rawKey, rawValue]) => {
+      const key = this.cleanKey(rawKey);
+      const value = this.cleanValue(rawValue);
+      if (!key || !value) return;
+
+      const normalizedKey = this.KEY_ALIASES[key.toLowerCase()] || key;
+      // First occurrence wins ("Item model number" before "Model Name" style duplicates)
+      if (!(normalizedKey in specs)) specs[normalizedKey] = value;
+    });
+
+    // "6.7 x 3.15 x 9.94 inches; 8.8 ounces" carries both dimensions and weight
+    ['Dimensions', 'Package Dimensions'].forEach(key => {
+      if (!specs[key] || !specs[key].includes(';')) return;
+      const [dimensions, weight] = specs[key].split(';');
+      specs[key] = dimensions.trim();
+      if (!specs['Item Weight']) specs['Item Weight'] = weight.trim();
+    });
+    // Brand falls back to the manufacturer
+    if (!specs.Brand && specs.Manufacturer) {
+      specs.Brand = specs.Manufacturer;
+    }
+
+    // One Batteries row, even when the page only says "Batteries Required? No"
+    if (!specs.Batteries && specs['Batteries Required']) {
+      specs.Batteries = /^no$/i.test(specs['Batteries Required']) ? 'Not required' : 'Required';
+      if (specs['Batteries Included']) {
+        specs.Batteries += /^yes$/i.test(specs['Batteries Included']) ? ' (included)' : ' (not included)';
+      }
+    }
+
+    if (specs['Item Weight']) {
+      specs['Item Weight'] = this.convertWeight(specs['Item Weight'], hostname) || specs['Item Weight'];
+    }
+    if (specs.Dimensions) {
+      specs.Dimensions = this.convertDimensions(specs.Dimensions, hostname) || specs.Dimensions;
+    }
+
+    return specs;
+  }
+};
+
+// Export for use in content scripts and extension pages
+self.SpecParser = SpecParser;
@@ -0,0 +1,171 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, plain } = require('./helpers/extension');
+
+const SEARCH_URL = 'https://www.amazon.com/s?k=noise+cancelling+headphones';
+
+test('search page: extracts every result card', async () => {
+  const window = await loadPage('amazon-search.html', SEARCH_URL, 'amazon.js');
+  const extractor = window.AmazonExtractor;
+  assert.equal(extractor.isProductListPage(), true);
+  assert.equal(extractor.isProductDetailPage(), false);
+
+  const cards = window.document.querySelectorAll('[data-asin]');
+  const products = Array.from(cards, card => plain(extractor.extractFromListingPage(card)));
+
+  assert.deepEqual(products, [
+    {
+      title: 'Sony WH-1000XM5 The Best Wireless Noise Canceling Headphones, Black',
+      price: '$328.00',
+      rating: '4.4',
+      totalReviews: '12345',
+      reviewsUrl: 'https://www.amazon.com/Sony-WH-1000XM5-Canceling-Headphones-Hands-Free/dp/B09XS7JWHH/ref=sr_1_1#customerReviews',
+      image: 'https://m.media-amazon.com/images/I/61vJtKbAssL._AC_UY218_.jpg',
+      url: 'https://www.amazon.com/Sony-WH-1000XM5-Canceling-Headphones-Hands-Free/dp/B09XS7JWHH/ref=sr_1_1?keywords=noise+cancelling+headphones&qid=1729300000&sr=8-1',
+      product_id: 'B09XS7JWHH',
+      retailer: 'amazon',
+      priceValue: 328,
+      currency: 'USD'
+    },
+    {
+      // Sponsored: the link is an /sspa/click redirect, so the ASIN comes from data-asin
+      title: 'Soundcore by Anker Q20i Hybrid Active Noise Cancelling Headphones',
+      price: '$39.99',
+      rating: '4.5',
+      totalReviews: '48,210',
+      reviewsUrl: 'https://www.amazon.com/Soundcore-Cancelling-Headphones-Wireless-Bluetooth/dp/B08HMWZBXC/ref=sr_1_2_sspa#customerReviews',
+      image: 'https://m.media-amazon.com/images/I/61+WYAjltpL._AC_UY218_.jpg',
+      url: 'https://www.amazon.com/sspa/click?ie=UTF8&spc=MToxMjM0&url=%2FSoundcore-Cancelling-Headphones-Wireless-Bluetooth%2Fdp%2FB08HMWZBXC%2Fref%3Dsr_1_2_sspa&sp_csd=d2lkZ2V0TmFtZT1zcF9hdGY',
+      product_id: 'B08HMWZBXC',
+      retailer: 'amazon',
+      priceValue: 39.99,
+      currency: 'USD'
+    },
+    {
+      // Currently unavailable: no price, currency still comes from the storefront
+      title: 'Sony WH-1000XM4 Wireless Premium Noise Canceling Overhead Headphones',
+      price: null,
+      rating: '4.6',
+      totalReviews: null,
+      reviewsUrl: null,
+      image: 'https://m.media-amazon.com/images/I/71o8Q5XJS5L._AC_UY218_.jpg',
+      url: 'https://www.amazon.com/Sony-WH-1000XM4-Canceling-Headphones-phone-call/dp/B0863TXGM3/ref=sr_1_3',
+      product_id: 'B0863TXGM3',
+      retailer: 'amazon',
+      priceValue: null,
+      currency: 'USD'
+    }
+  ]);
+});
+
+test('search page: reports the strategy behind each core field', async () => {
+  const window = await loadPage('amazon-search.html', SEARCH_URL, 'amazon.js');
+  const { AmazonExtractor, ExtractionHealth } = window;
+  const sponsored = window.document.querySelector('[data-asin="B08HMWZBXC"]');
+
+  ExtractionHealth.begin('amazon', 'listing');
+  const report = ExtractionHealth.finish(AmazonExtractor.extractFromListingPage(sponsored));
+
+  assert.deepEqual(plain(report), {
+    retailer: 'amazon',
+    pageType: 'listing',
+    ok: true,
+    fields: {
+      title: { ok: true, strategy: 'rule:listingTitle' },
+      price: { ok: true, strategy: 'rule:listingPrice' },
+      rating: { ok: true, strategy: 'rule:listingReviewsBlock' },
+      image: { ok: true, strategy: 'selector:[data-cy="image-container"] img' },
+      product_id: { ok: true, strategy: 'attribute:data-asin' }
+    }
+  });
+});
+
+test('detail page with detail bullets: specs prefer the overview table', async () => {
+  const window = await loadPage(
+    'amazon-detail-bullets.html',
+    'https://www.amazon.com/Sony-WH-1000XM5-Canceling-Headphones-Hands-Free/dp/B09XS7JWHH/ref=sr_1_1?keywords=headphones',
+    'amazon.js'
+  );
+  const extractor = window.AmazonExtractor;
+  assert.equal(extractor.isProductDetailPage(), true);
+
+  assert.deepEqual(plain(extractor.extractFromDetailPage()), {
+    title: 'Sony WH-1000XM5 The Best Wireless Noise Canceling Headphones with Auto Noise Canceling Optimizer, Black',
+    price: '$328.00',
+    rating: '4.4 out of 5',
+    totalReviews: '12,345 global ratings',
+    image: 'https://m.media-amazon.com/images/I/51aXvjzcukL._AC_SX679_.jpg',
+    url: 'https://www.amazon.com/Sony-WH-1000XM5-Canceling-Headphones-Hands-Free/dp/B09XS7JWHH/ref=sr_1_1?keywords=headphones',
+    product_id: 'B09XS7JWHH',
+    retailer: 'amazon',
+    featureBullets: [
+      'About this item Industry-leading noise cancellation with two processors and eight microphones. Up to 30-hour battery life with quick charging.'
+    ],
+    description: 'Product Description From airport PA announcements to co-worker phone calls, Auto NC Optimizer keeps the world out.',
+    productDetails: {
+      details: 'Product details Package Dimensions ‏ : ‎ 10.35 x 8.5 x 3.42 inches; 1.1 Pounds ' +
+        'Item model number ‏ : ‎ WH1000XM5/B Batteries ‏ : ‎ 1 Lithium Ion batteries required. (included) ' +
+        'Date First Available ‏ : ‎ May 12, 2022 Manufacturer ‏ : ‎ Sony Corporation Brand ‏ : ‎ SONY'
+    },
+    specs: {
+      Brand: 'Sony',
+      'Model Name': 'WH-1000XM5',
+      Color: 'Black',
+      'Package Dimensions': '10.35 x 8.5 x 3.42 inches',
+      Model: 'WH1000XM5/B',
+      Batteries: '1 Lithium Ion batteries required. (included)',
+      'Date First Available': 'May 12, 2022',
+      Manufacturer: 'Sony Corporation',
+      'Item Weight': '499 g (1.1 Pounds)'
+    },
+    productImportantInformation: 'Important information Safety Information Keep away from fire.',
+    productHighlights: null,
+    priceValue: 328,
+    currency: 'USD'
+  });
+});
+
+test('detail page with #prodDetails tables: falls back to the older layout', async () => {
+  const window = await loadPage(
+    'amazon-detail-prod-details.html',
+    'https://www.amazon.com/Anker-Portable-PowerCore-Ultra-Compact/dp/B07QXV6N1B?th=1',
+    'amazon.js'
+  );
+
+  assert.deepEqual(plain(window.AmazonExtractor.extractFromDetailPage()), {
+    title: 'Anker Portable Charger, 313 Power Bank (PowerCore Slim 10K)',
+    price: '$21.99',
+    rating: '4.5 out of 5',
+    totalReviews: '98,765 global ratings',
+    image: 'https://m.media-amazon.com/images/I/61HTOhJUuBL._AC_SX679_.jpg',
+    url: 'https://www.amazon.com/Anker-Portable-PowerCore-Ultra-Compact/dp/B07QXV6N1B?th=1',
+    product_id: 'B07QXV6N1B',
+    retailer: 'amazon',
+    featureBullets: [
+      'The Slim Size: a 10,000mAh capacity in a body that fits in your pocket.',
+      'High-Speed Charging: PowerIQ charges phones at full speed.'
+    ],
+    description: 'The Anker 313 Power Bank charges an iPhone 15 about 2 times.',
+    productDetails: {
+      'Brand Name': 'Anker',
+      'Product Dimensions': '5.64 x 2.68 x 0.63 inches',
+      'Item Weight': '7.4 ounces',
+      'Item model number': 'A1109',
+      'Batteries Required': 'No',
+      ASIN: 'B07QXV6N1B'
+    },
+    specs: {
+      Brand: 'Anker',
+      Dimensions: '14.3 x 6.8 x 1.6 cm (5.64 x 2.68 x 0.63 inches)',
+      'Item Weight': '210 g (7.4 ounces)',
+      Model: 'A1109',
+      'Batteries Required': 'No',
+      ASIN: 'B07QXV6N1B',
+      Batteries: 'Not required'
+    },
+    productImportantInformation: null,
+    productHighlights: null,
+    priceValue: 21.99,
+    currency: 'USD'
+  });
+});
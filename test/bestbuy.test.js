@@ -0,0 +1,110 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, plain } = require('./helpers/extension');
+
+const PRODUCT_URL = 'https://www.bestbuy.com/site/sony-wh-1000xm5-wireless-noise-canceling-over-the-ear-headphones-black/6505727.p?skuId=6505727';
+
+test('search page: extracts every result', async () => {
+  const window = await loadPage('bestbuy-search.html', 'https://www.bestbuy.com/site/searchpage.jsp?st=headphones', 'bestbuy.js');
+  const extractor = window.BestBuyExtractor;
+  assert.equal(extractor.isProductListPage(), true);
+  assert.equal(extractor.isProductDetailPage(), false);
+
+  const results = window.document.querySelectorAll('[data-sku-id]');
+  const products = Array.from(results, result => plain(extractor.extractFromListingPage(result)));
+
+  assert.deepEqual(products, [
+    {
+      // Customer price wins over the was-price; rating and count from the screen-reader text
+      title: 'Sony - WH-1000XM5 Wireless Noise-Canceling Over-the-Ear Headphones - Black',
+      price: '$329.99',
+      rating: '4.7',
+      totalReviews: '3412',
+      image: 'https://pisces.bbystatic.com/image2/BestBuy_US/images/products/6505/6505727_sd.jpg;maxHeight=300;maxWidth=300',
+      url: PRODUCT_URL,
+      product_id: '6505727',
+      retailer: 'bestbuy',
+      priceValue: 329.99,
+      currency: 'USD'
+    },
+    {
+      // Newer layout: product-list link, customer-price test id, image only in data-src
+      title: 'Apple - AirPods Max - Midnight',
+      price: '$549.99',
+      rating: '4.5',
+      totalReviews: '87',
+      image: 'https://pisces.bbystatic.com/image2/BestBuy_US/images/products/6535/6535433_sd.jpg;maxHeight=300;maxWidth=300',
+      url: 'https://www.bestbuy.com/site/apple-airpods-max-midnight/6535433.p?skuId=6535433',
+      product_id: '6535433',
+      retailer: 'bestbuy',
+      priceValue: 549.99,
+      currency: 'USD'
+    },
+    {
+      // Empty data-sku-id: the SKU comes from the link. Sold out and not reviewed yet
+      title: 'Insignia - Wireless Over-the-Ear Headphones - Gray',
+      price: null,
+      rating: null,
+      totalReviews: null,
+      image: 'https://pisces.bbystatic.com/image2/BestBuy_US/images/products/6501/6501234_sd.jpg;maxHeight=300;maxWidth=300',
+      url: 'https://www.bestbuy.com/site/insignia-wireless-over-the-ear-headphones-gray/6501234.p?skuId=6501234',
+      product_id: '6501234',
+      retailer: 'bestbuy',
+      priceValue: null,
+      currency: 'USD'
+    }
+  ]);
+});
+
+test('product page: extracts the product and its specification table', async () => {
+  const window = await loadPage('bestbuy-product.html', PRODUCT_URL, 'bestbuy.js');
+  const extractor = window.BestBuyExtractor;
+  assert.equal(extractor.isProductDetailPage(), true);
+  assert.equal(extractor.isProductListPage(), false);
+
+  assert.deepEqual(plain(extractor.extractFromDetailPage()), {
+    title: 'Sony - WH-1000XM5 Wireless Noise-Canceling Over-the-Ear Headphones - Black',
+    price: '$329.99',
+    rating: '4.7',
+    totalReviews: '3412',
+    image: 'https://pisces.bbystatic.com/image2/BestBuy_US/images/products/6505/6505727_sd.jpg;maxHeight=640;maxWidth=550',
+    // The thumbnail repeating the primary image and the lazy placeholder are left out
+    images: [
+      'https://pisces.bbystatic.com/image2/BestBuy_US/images/products/6505/6505727_sd.jpg;maxHeight=640;maxWidth=550',
+      'https://pisces.bbystatic.com/image2/BestBuy_US/images/products/6505/6505727cv11d.jpg;maxHeight=640;maxWidth=550'
+    ],
+    url: PRODUCT_URL,
+    product_id: '6505727',
+    retailer: 'bestbuy',
+    extractedFrom: 'detail-page',
+    brand: 'Sony',
+    model: 'WH1000XM5/B',
+    description: 'Industry-leading noise canceling with two processors and eight microphones. Up to 30 hours of battery life.',
+    specs: {
+      Brand: 'Sony',
+      Model: 'WH1000XM5/B',
+      'Noise Canceling (Active)': 'Yes',
+      'Battery Life': '30 hours',
+      'Item Weight': '250 g (8.82 ounces)',
+      Color: 'Black'
+    },
+    priceValue: 329.99,
+    currency: 'USD'
+  });
+});
+
+test('product page: price, rating and image fall back to the JSON-LD block', async () => {
+  const window = await loadPage('bestbuy-product.html', PRODUCT_URL, 'bestbuy.js');
+  // Before hydration: no hero price, review average or gallery yet
+  window.document.querySelectorAll('.priceView-hero-price, .ugc-c-review-average, .shop-media-gallery')
+    .forEach(element => element.remove());
+
+  const product = window.BestBuyExtractor.extractFromDetailPage();
+
+  assert.equal(product.product_id, '6505727');
+  assert.equal(product.price, '$329.99');
+  assert.equal(product.priceValue, 329.99);
+  assert.equal(product.rating, '4.7');
+  assert.equal(product.totalReviews, '3412');
+  assert.deepEqual(plain(product.images), ['https://pisces.bbystatic.com/image2/BestBuy_US/images/products/6505/6505727_sd.jpg']);
+});
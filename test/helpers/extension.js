@@ -0,0 +1,147 @@
+// ============================================
+// EXTENSION TEST HARNESS
+// ============================================
+// Loads a saved page into jsdom and injects the scripts manifest.json injects
+// on that site, so extractors run against real markup without a browser.
+// content.js is left out: it wires up buttons and observers, tests call the
+// extractor directly. Everything runs offline - the bundled selector rules
+// are read from disk and chrome.* is an in-memory fake.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+const EXTENSION_URL = 'chrome-extension://compareon/';
+
+// Scripts that only make sense in a real tab
+const SKIPPED_SCRIPTS = ['content.js'];
+
+/**
+ * Content scripts manifest.json injects alongside an extractor, in order
+ * @param {string} extractorScript - e.g. "amazon.js"
+ * @returns {Array<string>}
+ */
+function contentScriptsFor(extractorScript) {
+  const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+  const entry = manifest.content_scripts.find(script => script.js.includes(extractorScript));
+  if (!entry) {
+    throw new Error(`manifest.json does not inject ${extractorScript}`);
+  }
+  return entry.js.filter(script => !SKIPPED_SCRIPTS.includes(script));
+}
+
+// chrome.storage area backed by a plain object
+function createStorageArea(data = {}) {
+  return {
+    data,
+    get(keys, callback) {
+      const list = keys === null || keys === undefined ? Object.keys(data) : [].concat(keys);
+      const result = {};
+      list.forEach(key => {
+        if (key in data) result[key] = structuredClone(data[key]);
+      });
+      callback(result);
+    },
+    set(items, callback) {
+      Object.assign(data, structuredClone(items));
+      if (callback) callback();
+    },
+    remove(keys, callback) {
+      [].concat(keys).forEach(key => delete data[key]);
+      if (callback) callback();
+    }
+  };
+}
+
+// The parts of chrome.* the extractors and their shared scripts touch
+function createChrome() {
+  const sentMessages = [];
+  return {
+    sentMessages,
+    storage: {
+      local: createStorageArea(),
+      sync: createStorageArea(),
+      onChanged: { addListener() {} }
+    },
+    runtime: {
+      lastError: undefined,
+      getURL: (file) => EXTENSION_URL + file,
+      sendMessage(message, callback) {
+        sentMessages.push(message);
+        if (callback) callback();
+      }
+    }
+  };
+}
+
+// Serve extension files (selector-rules.json) from the working tree
+function createFetch(window) {
+  return async (url) => {
+    if (!String(url).startsWith(EXTENSION_URL)) {
+      throw new Error(`Unexpected network request in test: ${url}`);
+    }
+    const body = fs.readFileSync(path.join(ROOT, String(url).slice(EXTENSION_URL.length)), 'utf8');
+    return { ok: true, json: async () => window.JSON.parse(body) };
+  };
+}
+
+/**
+ * Open a fixture as if the browser had loaded it from `url`, with the
+ * extension's content scripts injected and selector rules loaded
+ * @param {string} fixture - File name under test/fixtures
+ * @param {string} url - Page URL the fixture was saved from
+ * @param {string} extractorScript - Retailer extractor, e.g. "zillow.js"
+ * @returns {Promise<Window>} - jsdom window; extension globals live on it
+ */
+async function loadPage(fixture, url, extractorScript) {
+  const html = fs.readFileSync(path.join(FIXTURES, fixture), 'utf8');
+  // Extractors log every step in debug mode; keep test output readable
+  const dom = new JSDOM(html, { url, runScripts: 'outside-only', virtualConsole: new VirtualConsole() });
+  const { window } = dom;
+
+  window.chrome = createChrome();
+  window.fetch = createFetch(window);
+
+  contentScriptsFor(extractorScript).forEach(script => {
+    const source = fs.readFileSync(path.join(ROOT, script), 'utf8');
+    window.eval(`${source}\n//# sourceURL=${script}`);
+  });
+
+  await window.SelectorRules.load();
+  return window;
+}
+
+/**
+ * Source of a top-level function in background.js. chrome.scripting.executeScript
+ * serializes injected functions the same way, so the source can be evaluated
+ * in a page to test what a background tab would run.
+ * @param {string} name - Function name
+ * @returns {string}
+ */
+function backgroundFunctionSource(name) {
+  const source = fs.readFileSync(path.join(ROOT, 'background.js'), 'utf8');
+  const start = source.indexOf(`\nfunction ${name}(`);
+  const end = source.indexOf('\n}\n', start);
+  if (start === -1 || end === -1) {
+    throw new Error(`background.js has no function ${name}`);
+  }
+  return source.slice(start + 1, end + 2);
+}
+
+/**
+ * Copy an extracted product out of the jsdom realm so assert.deepStrictEqual
+ * compares plain Node objects and arrays
+ * @param {Object} value - Value created inside the page
+ * @returns {Object}
+ */
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+  loadPage,
+  backgroundFunctionSource,
+  plain
+};
@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, plain } = require('./helpers/extension');
+
+// extractedAt is the extraction time - check its shape, then leave it out of the comparison
+function withoutTimestamp(product) {
+  const { extractedAt, ...rest } = product;
+  assert.equal(new Date(extractedAt).toISOString(), extractedAt);
+  return rest;
+}
+
+test('search page: extracts every property card', async () => {
+  const window = await loadPage('realtor-search.html', 'https://www.realtor.com/realestateandhomes-search/Austin_TX', 'realtor.js');
+  const extractor = window.RealtorExtractor;
+  assert.equal(extractor.isProductListPage(), true);
+  assert.equal(extractor.isProductDetailPage(), false);
+
+  // The sponsored builder card has no detail link and is not a property card
+  const cards = extractor.findPropertyCards();
+  const [house, condo] = cards.map(card => withoutTimestamp(plain(extractor.extractFromListingPage(card))));
+  assert.equal(cards.length, 2);
+
+  assert.deepEqual(house, {
+    product_id: 'M70281-12345',
+    title: '1203 Elm St, Austin, TX 78704',
+    price: '$525,000',
+    image: 'https://ap.rdcpix.com/1a2b3c4d5e6f7a8bl-m1234567890s-w480_h360.jpg',
+    propertyLink: 'https://www.realtor.com/realestateandhomes-detail/1203-Elm-St_Austin_TX_78704_M70281-12345',
+    retailer: 'realtor',
+    address: '1203 Elm St, Austin, TX 78704',
+    beds: '3',
+    baths: '2',
+    sqft: '1850',
+    lotSize: '0.25 acre lot',
+    propertyType: 'House for sale',
+    images: [
+      'https://ap.rdcpix.com/1a2b3c4d5e6f7a8bl-m1234567890s-w480_h360.jpg',
+      'https://ap.rdcpix.com/1a2b3c4d5e6f7a8bl-m2345678901s-w480_h360.jpg'
+    ],
+    quickInfo: ['New - 2 hours ago', 'Open house Sat 1-3pm'],
+    priceValue: 525000,
+    currency: 'USD'
+  });
+
+  // One-line address, tracking query dropped from the link, photo only in data-src
+  assert.deepEqual(condo, {
+    product_id: 'M98765-43210',
+    title: '501 W 2nd St Unit 1804, Austin, TX 78701',
+    price: '$1.2M',
+    image: 'https://ap.rdcpix.com/9f8e7d6c5b4a3f2el-m3456789012s-w480_h360.jpg',
+    propertyLink: 'https://www.realtor.com/realestateandhomes-detail/501-W-2nd-St-Unit-1804_Austin_TX_78701_M98765-43210',
+    retailer: 'realtor',
+    address: '501 W 2nd St Unit 1804, Austin, TX 78701',
+    beds: '2',
+    baths: '2.5',
+    sqft: '',
+    lotSize: '',
+    propertyType: 'Condo for sale',
+    images: ['https://ap.rdcpix.com/9f8e7d6c5b4a3f2el-m3456789012s-w480_h360.jpg'],
+    quickInfo: [],
+    priceValue: 1200000,
+    currency: 'USD'
+  });
+});
+
+test('detail page: extracts the property and its key facts', async () => {
+  const window = await loadPage(
+    'realtor-detail.html',
+    'https://www.realtor.com/realestateandhomes-detail/1203-Elm-St_Austin_TX_78704_M70281-12345?from=srp-list-card',
+    'realtor.js'
+  );
+  const extractor = window.RealtorExtractor;
+  assert.equal(extractor.isProductDetailPage(), true);
+  assert.equal(extractor.isProductListPage(), false);
+
+  assert.deepEqual(withoutTimestamp(plain(extractor.extractFromDetailPage())), {
+    product_id: 'M70281-12345',
+    title: '1203 Elm St, Austin, TX 78704',
+    price: '$525,000',
+    image: 'https://ap.rdcpix.com/1a2b3c4d5e6f7a8bl-m1234567890od-w1024_h768.jpg',
+    propertyLink: 'https://www.realtor.com/realestateandhomes-detail/1203-Elm-St_Austin_TX_78704_M70281-12345',
+    retailer: 'realtor',
+    address: '1203 Elm St, Austin, TX 78704',
+    beds: '3',
+    baths: '2',
+    sqft: '1850',
+    // The carousel repeats its first photo at the end
+    images: [
+      'https://ap.rdcpix.com/1a2b3c4d5e6f7a8bl-m1234567890od-w1024_h768.jpg',
+      'https://ap.rdcpix.com/1a2b3c4d5e6f7a8bl-m2345678901od-w1024_h768.jpg'
+    ],
+    extractedFrom: 'detail-page',
+    description: 'Updated mid-century home in Bouldin Creek with an open kitchen, a screened porch and a large shaded backyard.',
+    propertyType: 'Single Family',
+    yearBuilt: '1978',
+    lotSize: '0.25 acre lot',
+    estimatedMonthly: '$3,120',
+    // Unrated schools are listed without a score
+    nearbySchools: 'Travis Heights Elementary School (9/10), Lively Middle School (6/10), Travis Early College High School',
+    priceValue: 525000,
+    currency: 'USD'
+  });
+});
@@ -0,0 +1,134 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, backgroundFunctionSource, plain } = require('./helpers/extension');
+
+const HOME_URL = 'https://www.redfin.com/WA/Seattle/4215-Wallingford-Ave-N-98103/home/123456?utm_source=share';
+
+const DESCRIPTION = 'Light-filled 1926 Craftsman on a quiet tree-lined street in the heart of Wallingford. ' +
+  'Original fir floors, built-ins and coved ceilings meet an updated kitchen with quartz counters and a gas range. Th...';
+const SCHOOLS = 'John Stanford International School (8/10), Hamilton International Middle School (7/10), Lincoln High School (9/10)';
+
+// extractedAt is the extraction time - check its shape, then leave it out of the comparison
+function withoutTimestamp(product) {
+  const { extractedAt, ...rest } = product;
+  assert.equal(new Date(extractedAt).toISOString(), extractedAt);
+  return rest;
+}
+
+test('search page: extracts every home card', async () => {
+  const window = await loadPage('redfin-search.html', 'https://www.redfin.com/city/16163/WA/Seattle', 'redfin.js');
+  const extractor = window.RedfinExtractor;
+  assert.equal(extractor.isProductListPage(), true);
+  assert.equal(extractor.isProductDetailPage(), false);
+
+  // The nested .homecard of the older markup is not a card of its own
+  const cards = extractor.findHomeCards();
+  assert.equal(cards.length, 3);
+  const [current, older, ad] = cards.map(card => extractor.extractFromListingPage(card));
+
+  assert.deepEqual(withoutTimestamp(plain(current)), {
+    product_id: '123456',
+    title: '4215 Wallingford Ave N, Seattle, WA 98103',
+    price: '$1,095,000',
+    image: 'https://ssl.cdn-redfin.com/photo/1/bigphoto/218/0001218_0.jpg',
+    propertyLink: 'https://www.redfin.com/WA/Seattle/4215-Wallingford-Ave-N-98103/home/123456',
+    retailer: 'redfin',
+    address: '4215 Wallingford Ave N, Seattle, WA 98103',
+    beds: '4',
+    baths: '2.5',
+    sqft: '2180',
+    images: [
+      'https://ssl.cdn-redfin.com/photo/1/bigphoto/218/0001218_0.jpg',
+      'https://ssl.cdn-redfin.com/photo/1/bigphoto/218/0001218_1_0.jpg'
+    ],
+    quickInfo: ['Price drop'],
+    priceValue: 1095000,
+    currency: 'USD'
+  });
+
+  // Older markup: stats in one line, abbreviated price, absolute link kept as written
+  assert.deepEqual(withoutTimestamp(plain(older)), {
+    product_id: '7654321',
+    title: '1100 Eastlake Ave E #402, Seattle, WA 98109',
+    price: '$799K',
+    image: 'https://ssl.cdn-redfin.com/photo/1/bigphoto/402/0002402_0.jpg',
+    propertyLink: 'https://www.redfin.com/WA/Seattle/1100-Eastlake-Ave-E-98109/unit-402/home/7654321?utm=map',
+    retailer: 'redfin',
+    address: '1100 Eastlake Ave E #402, Seattle, WA 98109',
+    beds: '2',
+    baths: '1',
+    sqft: '',
+    images: ['https://ssl.cdn-redfin.com/photo/1/bigphoto/402/0002402_0.jpg'],
+    quickInfo: [],
+    priceValue: 799000,
+    currency: 'USD'
+  });
+
+  // No /home/ link, so no home ID
+  assert.equal(ad, null);
+});
+
+test('home page: extracts the home and its key details', async () => {
+  const window = await loadPage('redfin-home.html', HOME_URL, 'redfin.js');
+  const extractor = window.RedfinExtractor;
+  assert.equal(extractor.isProductDetailPage(), true);
+  assert.equal(extractor.isProductListPage(), false);
+
+  assert.deepEqual(withoutTimestamp(plain(extractor.extractFromDetailPage())), {
+    product_id: '123456',
+    title: '4215 Wallingford Ave N, Seattle, WA 98103',
+    price: '$1,095,000',
+    image: 'https://ssl.cdn-redfin.com/photo/1/bigphoto/218/0001218_0.jpg',
+    propertyLink: 'https://www.redfin.com/WA/Seattle/4215-Wallingford-Ave-N-98103/home/123456',
+    retailer: 'redfin',
+    address: '4215 Wallingford Ave N, Seattle, WA 98103',
+    beds: '4',
+    baths: '2.5',
+    sqft: '2180',
+    images: [
+      'https://ssl.cdn-redfin.com/photo/1/bigphoto/218/0001218_0.jpg',
+      'https://ssl.cdn-redfin.com/photo/1/bigphoto/218/0001218_1_0.jpg'
+    ],
+    extractedFrom: 'detail-page',
+    description: DESCRIPTION,
+    propertyType: 'Single-family',
+    yearBuilt: '1926',
+    lotSize: '4,000 sq ft',
+    estimatedMonthly: '$6,874',
+    nearbySchools: SCHOOLS,
+    priceValue: 1095000,
+    currency: 'USD'
+  });
+});
+
+test('background enrichment: extractPropertyDetailsFromPage passes on only the facts the page has', async () => {
+  const window = await loadPage('redfin-home.html', HOME_URL, 'redfin.js');
+  window.document.querySelector('.schools-content').remove();
+
+  // Run the function the way chrome.scripting.executeScript injects it
+  const details = await window.eval(`(${backgroundFunctionSource('extractPropertyDetailsFromPage')})()`);
+
+  // No product_id or extractedFrom, and no empty nearbySchools to overwrite the card's data
+  assert.deepEqual(withoutTimestamp(plain(details)), {
+    title: '4215 Wallingford Ave N, Seattle, WA 98103',
+    price: '$1,095,000',
+    image: 'https://ssl.cdn-redfin.com/photo/1/bigphoto/218/0001218_0.jpg',
+    propertyLink: 'https://www.redfin.com/WA/Seattle/4215-Wallingford-Ave-N-98103/home/123456',
+    retailer: 'redfin',
+    address: '4215 Wallingford Ave N, Seattle, WA 98103',
+    beds: '4',
+    baths: '2.5',
+    sqft: '2180',
+    images: [
+      'https://ssl.cdn-redfin.com/photo/1/bigphoto/218/0001218_0.jpg',
+      'https://ssl.cdn-redfin.com/photo/1/bigphoto/218/0001218_1_0.jpg'
+    ],
+    description: DESCRIPTION,
+    propertyType: 'Single-family',
+    yearBuilt: '1926',
+    lotSize: '4,000 sq ft',
+    estimatedMonthly: '$6,874',
+    priceValue: 1095000,
+    currency: 'USD'
+  });
+});
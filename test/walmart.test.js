@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, plain } = require('./helpers/extension');
+
+const ITEM_URL = 'https://www.walmart.com/ip/Apple-AirPods-Pro-2nd-Generation/5689919121?athbdg=L1600';
+
+test('search page: extracts every product tile', async () => {
+  const window = await loadPage('walmart-search.html', 'https://www.walmart.com/search?q=earbuds', 'walmart.js');
+  const extractor = window.WalmartExtractor;
+  assert.equal(extractor.isProductListPage(), true);
+  assert.equal(extractor.isProductDetailPage(), false);
+
+  const tiles = window.document.querySelectorAll('[data-item-id]');
+  const products = Array.from(tiles, tile => plain(extractor.extractFromListingPage(tile)));
+
+  assert.deepEqual(products, [
+    {
+      // Screen-reader "current price" wins over the split display spans and the was-price
+      title: 'Apple AirPods Pro (2nd Generation)',
+      price: '$189.00',
+      rating: '4.7',
+      totalReviews: '23456',
+      image: 'https://i5.walmartimages.com/seo/Apple-AirPods-Pro-2nd-Generation_2b5a6bb4.jpeg?odnHeight=180&odnWidth=180',
+      url: 'https://www.walmart.com/ip/Apple-AirPods-Pro-2nd-Generation/5689919121?classType=REGULAR&athbdg=L1600',
+      product_id: '5689919121',
+      retailer: 'walmart',
+      priceValue: 189,
+      currency: 'USD'
+    },
+    {
+      // Empty data-item-id: the id comes from the /ip/ link
+      title: 'onn. Bluetooth Earbuds with Charging Case, Black',
+      price: '$24.97',
+      rating: '4.3',
+      totalReviews: '1287',
+      image: 'https://i5.walmartimages.com/seo/onn-Bluetooth-Earbuds_9c3f0d1e.jpeg?odnHeight=180&odnWidth=180',
+      url: 'https://www.walmart.com/ip/onn-Bluetooth-Earbuds-with-Charging-Case-Black/1098765432',
+      product_id: '1098765432',
+      retailer: 'walmart',
+      priceValue: 24.97,
+      currency: 'USD'
+    },
+    {
+      // No screen-reader price: the first price in the visible text
+      title: 'Sony WH-1000XM5 Wireless Noise Canceling Headphones, Black',
+      price: '$1,099.00',
+      rating: null,
+      totalReviews: null,
+      image: 'https://i5.walmartimages.com/seo/Sony-WH-1000XM5_5e8d7f2a.jpeg?odnHeight=180&odnWidth=180',
+      url: 'https://www.walmart.com/ip/Sony-WH-1000XM5-Wireless-Noise-Canceling-Headphones-Black/387195840?adsRedirect=true',
+      product_id: '387195840',
+      retailer: 'walmart',
+      priceValue: 1099,
+      currency: 'USD'
+    }
+  ]);
+});
+
+test('item page: extracts the main product', async () => {
+  const window = await loadPage('walmart-item.html', ITEM_URL, 'walmart.js');
+  const extractor = window.WalmartExtractor;
+  assert.equal(extractor.isProductDetailPage(), true);
+  assert.equal(extractor.isProductListPage(), false);
+
+  assert.deepEqual(plain(extractor.extractFromDetailPage()), {
+    title: 'Apple AirPods Pro (2nd Generation)',
+    price: '$189.00',
+    rating: '4.7',
+    totalReviews: '23456',
+    image: 'https://i5.walmartimages.com/seo/Apple-AirPods-Pro-2nd-Generation_2b5a6bb4.jpeg?odnHeight=640&odnWidth=640',
+    images: [
+      'https://i5.walmartimages.com/seo/Apple-AirPods-Pro-2nd-Generation_2b5a6bb4.jpeg?odnHeight=640&odnWidth=640',
+      'https://i5.walmartimages.com/asr/8c7e0a55-case.jpeg?odnHeight=117&odnWidth=117'
+    ],
+    url: 'https://www.walmart.com/ip/Apple-AirPods-Pro-2nd-Generation/5689919121',
+    product_id: '5689919121',
+    retailer: 'walmart',
+    extractedFrom: 'detail-page',
+    featureBullets: [
+      'Up to 2x more Active Noise Cancellation',
+      'Adaptive Transparency reduces louder environmental noise'
+    ],
+    description: 'Up to 2x more Active Noise Cancellation Adaptive Transparency reduces louder environmental noise',
+    priceValue: 189,
+    currency: 'USD'
+  });
+});
+
+test('item page: price falls back to the itemprop content attribute', async () => {
+  const window = await loadPage('walmart-item.html', ITEM_URL, 'walmart.js');
+  const priceElement = window.document.querySelector('[itemprop="price"]');
+  priceElement.textContent = '';
+  priceElement.setAttribute('content', '179.00');
+
+  const product = window.WalmartExtractor.extractFromDetailPage();
+
+  assert.equal(product.product_id, '5689919121');
+  assert.equal(product.title, 'Apple AirPods Pro (2nd Generation)');
+  assert.equal(product.price, '$179.00');
+  assert.equal(product.priceValue, 179);
+});
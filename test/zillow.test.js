@@ -0,0 +1,147 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, backgroundFunctionSource, plain } = require('./helpers/extension');
+
+const DETAIL_URL = 'https://www.zillow.com/homedetails/4215-Wallingford-Ave-N-Seattle-WA-98103/48749425_zpid/?utm_source=share';
+
+const SCHOOLS = 'John Stanford International School (8/10), Hamilton International Middle School (7/10), Lincoln High School (9/10)';
+const DESCRIPTION = 'Light-filled 1926 Craftsman on a quiet tree-lined street in the heart of Wallingford. ' +
+  'Original fir floors, built-ins and coved ceilings meet an updated kitchen with quartz counters and a gas range. Th...';
+
+// extractedAt is the extraction time - check its shape, then leave it out of the comparison
+function withoutTimestamp(product) {
+  const { extractedAt, ...rest } = product;
+  assert.equal(new Date(extractedAt).toISOString(), extractedAt);
+  return rest;
+}
+
+test('search page: extracts every property card', async () => {
+  const window = await loadPage('zillow-search.html', 'https://www.zillow.com/seattle-wa/', 'zillow.js');
+  const extractor = window.ZillowExtractor;
+  assert.equal(extractor.isProductListPage(), true);
+
+  const cards = window.document.querySelectorAll('[data-test="property-card"]');
+  const [forSale, forRent, building] = Array.from(cards, card => withoutTimestamp(plain(extractor.extractFromListingPage(card))));
+
+  assert.deepEqual(forSale, {
+    product_id: '48749425',
+    title: '4215 Wallingford Ave N, Seattle, WA 98103',
+    price: '$1,095,000',
+    image: 'https://photos.zillowstatic.com/fp/3c1e9a0e5b2d8f7a-p_e.jpg',
+    propertyLink: 'https://www.zillow.com/homedetails/4215-Wallingford-Ave-N-Seattle-WA-98103/48749425_zpid/',
+    retailer: 'zillow',
+    address: '4215 Wallingford Ave N, Seattle, WA 98103',
+    beds: '4',
+    baths: '2.5',
+    sqft: '2,180',
+    propertyType: '',
+    images: [
+      'https://photos.zillowstatic.com/fp/3c1e9a0e5b2d8f7a-p_e.jpg',
+      'https://photos.zillowstatic.com/fp/7b2d4c9e1a0f3e8d-p_e.jpg'
+    ],
+    quickInfo: ['Price cut: $25,000 (10/2)', '3D Tour'],
+    priceValue: 1095000,
+    currency: 'USD'
+  });
+
+  // zpid only in the card link; no title link, so no property URL
+  assert.deepEqual(forRent, {
+    product_id: '2063484331',
+    title: '1100 Eastlake Ave E APT 402, Seattle, WA 98109',
+    price: '$2,450/mo',
+    image: 'https://photos.zillowstatic.com/fp/a9d0c8b7e6f5a4b3-p_e.jpg',
+    propertyLink: '',
+    retailer: 'zillow',
+    address: '1100 Eastlake Ave E APT 402, Seattle, WA 98109',
+    beds: '1',
+    baths: '1',
+    sqft: '640',
+    propertyType: 'Apartment for rent',
+    images: ['https://photos.zillowstatic.com/fp/a9d0c8b7e6f5a4b3-p_e.jpg'],
+    quickInfo: [],
+    priceValue: 2450,
+    currency: 'USD',
+    pricePeriod: 'month'
+  });
+
+  // No zpid at all: the id is made up from the card position and the time
+  const { product_id, ...rest } = building;
+  assert.match(product_id, /^zillow-property-2-\d+$/);
+  assert.deepEqual(rest, {
+    title: 'The Vue | 2100 Western Ave, Seattle, WA',
+    price: '$1,895+ 1 bd',
+    image: '',
+    propertyLink: 'https://www.zillow.com/b/the-vue-seattle-wa-5XjRkC/',
+    retailer: 'zillow',
+    address: 'The Vue | 2100 Western Ave, Seattle, WA',
+    beds: '',
+    baths: '',
+    sqft: '',
+    propertyType: '',
+    images: [],
+    quickInfo: [],
+    priceValue: 1895,
+    currency: 'USD'
+  });
+});
+
+test('home details page: extracts the property and its facts', async () => {
+  const window = await loadPage('zillow-homedetails.html', DETAIL_URL, 'zillow.js');
+  const extractor = window.ZillowExtractor;
+  assert.equal(extractor.isProductDetailPage(), true);
+
+  assert.deepEqual(withoutTimestamp(plain(extractor.extractFromDetailPage())), {
+    product_id: '48749425',
+    title: '4215 Wallingford Ave N, Seattle, WA 98103',
+    price: '$1,095,000',
+    image: 'https://photos.zillowstatic.com/fp/3c1e9a0e5b2d8f7a-cc_ft_960.jpg',
+    propertyLink: 'https://www.zillow.com/homedetails/4215-Wallingford-Ave-N-Seattle-WA-98103/48749425_zpid/',
+    retailer: 'zillow',
+    address: '4215 Wallingford Ave N, Seattle, WA 98103',
+    beds: '4',
+    baths: '2.5',
+    sqft: '2180',
+    images: [
+      'https://photos.zillowstatic.com/fp/3c1e9a0e5b2d8f7a-cc_ft_960.jpg',
+      'https://photos.zillowstatic.com/fp/7b2d4c9e1a0f3e8d-cc_ft_576.jpg'
+    ],
+    extractedFrom: 'detail-page',
+    description: DESCRIPTION,
+    yearBuilt: '1926',
+    lotSize: '4,000 sqft',
+    parking: '1 Garage space',
+    heating: 'Forced air, natural gas',
+    cooling: 'Central air',
+    daysOnZillow: '6',
+    views: '1482',
+    saves: '97',
+    estimatedMonthly: '$6,874',
+    nearbySchools: SCHOOLS,
+    priceValue: 1095000,
+    currency: 'USD'
+  });
+});
+
+test('background enrichment: extractZillowDetailsFromPage reads the same facts', async () => {
+  const window = await loadPage('zillow-homedetails.html', DETAIL_URL, 'zillow.js');
+
+  // Run the function the way chrome.scripting.executeScript injects it
+  const details = await window.eval(`(${backgroundFunctionSource('extractZillowDetailsFromPage')})()`);
+
+  assert.deepEqual(plain(details), {
+    beds: '4',
+    baths: '2.5',
+    sqft: '2180',
+    yearBuilt: '1926',
+    lotSize: '4,000 sqft',
+    parking: '1 Garage space',
+    heating: 'Forced air, natural gas',
+    cooling: 'Central air',
+    description: DESCRIPTION,
+    daysOnZillow: '6',
+    views: '1482',
+    saves: '97',
+    estimatedMonthly: '$6,874',
+    nearbySchools: SCHOOLS
+  });
+});
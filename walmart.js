@@ -0,0 +1,368 @@
+// ============================================
+// WALMART PRODUCT EXTRACTOR
+// ============================================
+// This module handles product data extraction from Walmart pages
+// Supports search/browse result grids and item (/ip/) pages
+
+/**
+ * Implements the same contract as AmazonExtractor and ZillowExtractor:
+ * isProductListPage, isProductDetailPage, findInsertionPoints,
+ * extractFromListingPage, extractFromDetailPage and createCompareButton.
+ *
+ * Listing tiles are identified by data-item-id. Walmart renders prices as
+ * split spans for display plus a screen-reader text ("current price $12.97"),
+ * which is what we read.
+ */
+
+const WalmartExtractor = {
+
+  // ============================================
+  // PAGE TYPE DETECTION
+  // ============================================
+
+  /**
+   * Check if current page is an item detail page (/ip/slug/123456)
+   */
+  isProductDetailPage() {
+    return window.location.pathname.includes('/ip/');
+  },
+
+  /**
+   * Check if current page shows a grid of product tiles (search, browse, category)
+   */
+  isProductListPage() {
+    return !this.isProductDetailPage() && document.querySelectorAll('[data-item-id]').length > 0;
+  },
+
+  // ============================================
+  // UTILITY METHODS
+  // ============================================
+
+  /**
+   * Extract the Walmart item ID from a product URL
+   * @param {string} url - Walmart product URL
+   * @returns {string|null} - Item ID or null
+   */
+  extractProductIdFromUrl(url) {
+    if (!url) return null;
+
+    // /ip/Product-Name/123456789 or /ip/123456789
+    const match = url.match(/\/ip\/(?:[^/?#]+\/)?(\d+)/);
+    return match ? match[1] : null;
+  },
+
+  /**
+   * Clean and normalize text content
+   * @param {string} text - Raw text
+   * @returns {string|null} - Cleaned text
+   */
+  cleanText(text) {
+    if (!text) return null;
+    return text.replace(/\s+/g, ' ').trim();
+  },
+
+  /**
+   * Read a price from a price container
+   * Prefers the screen-reader text ("current price $12.97") over the split display spans
+   * @param {Element} priceContainer - Element holding the price
+   * @returns {string|null} - Price string (e.g., "$12.97")
+   */
+  extractPrice(priceContainer) {
+    if (!priceContainer) return null;
+
+    const text = this.cleanText(priceContainer.textContent) || '';
+    const currentMatch = text.match(/current price(?: Now)?\s*(\$[\d,]+(?:\.\d{2})?)/i);
+    if (currentMatch) return currentMatch[1];
+
+    const match = text.match(PriceParser.PRICE_PATTERN);
+    return match ? match[0].replace(/\s/g, '') : null;
+  },
+
+  /**
+   * Absolute URL for a possibly relative Walmart href
+   * @param {string} href - Link href
+   * @returns {string}
+   */
+  toAbsoluteUrl(href) {
+    if (!href) return '';
+    return href.startsWith('http') ? href : `https://www.walmart.com${href}`;
+  },
+
+  // ============================================
+  // PRODUCT LISTING PAGE EXTRACTION
+  // ============================================
+
+  /**
+   * Extract product information from a result tile
+   * @param {Element} productContainer - Tile element with data-item-id
+   * @returns {Object|null} - Product information object
+   */
+  extractFromListingPage(productContainer) {
+    Logger.log('🔍 Extracting Walmart product from tile...');
+
+    if (!productContainer) {
+      Logger.error('❌ Product container not provided');
+      return null;
+    }
+
+    // Product link
+    const linkElement = productContainer.querySelector('a[link-identifier]') ||
+                        productContainer.querySelector('a[href*="/ip/"]');
+    const productUrl = this.toAbsoluteUrl(linkElement?.getAttribute('href'));
+
+    // Title
+    const titleElement = productContainer.querySelector('[data-automation-id="product-title"]');
+    let title = this.cleanText(titleElement?.textContent);
+    if (title) {
+      ExtractionHealth.hit('title', 'selector:[data-automation-id="product-title"]');
+    } else {
+      title = this.cleanText(linkElement?.textContent);
+      if (title) ExtractionHealth.hit('title', 'text:link');
+    }
+    if (!title) {
+      Logger.warn('⚠️ Title not found');
+    }
+
+    // Product ID: data-item-id, then URL
+    let product_id = productContainer.getAttribute('data-item-id');
+    if (product_id) {
+      ExtractionHealth.hit('product_id', 'attribute:data-item-id');
+    } else {
+      product_id = this.extractProductIdFromUrl(productUrl);
+      if (product_id) ExtractionHealth.hit('product_id', 'url');
+    }
+    if (!product_id) {
+      Logger.warn('⚠️ Product ID not found');
+    }
+
+    // Price
+    const price = this.extractPrice(productContainer.querySelector('[data-automation-id="product-price"]'));
+    if (price) {
+      ExtractionHealth.hit('price', 'selector:[data-automation-id="product-price"]');
+    } else {
+      Logger.warn('⚠️ Price not found');
+    }
+
+    // Rating and review count ("4.5 out of 5 Stars. 1,234 reviews")
+    let rating = null;
+    let totalReviews = null;
+    const ratingElement = productContainer.querySelector('[data-testid="product-ratings"]');
+    if (ratingElement?.getAttribute('data-value')) {
+      rating = ratingElement.getAttribute('data-value');
+      ExtractionHealth.hit('rating', 'selector:[data-testid="product-ratings"]');
+    }
+    const reviewsElement = productContainer.querySelector('[data-testid="product-reviews"]');
+    if (reviewsElement?.getAttribute('data-value')) {
+      totalReviews = reviewsElement.getAttribute('data-value');
+    }
+    if (!rating || !totalReviews) {
+      const tileText = this.cleanText(productContainer.textContent) || '';
+      const ratingMatch = tileText.match(/([\d.]+) out of 5 Stars/i);
+      const reviewsMatch = tileText.match(/([\d,]+) reviews?/i);
+      if (!rating && ratingMatch) {
+        rating = ratingMatch[1];
+        ExtractionHealth.hit('rating', 'text:tile');
+      }
+      if (!totalReviews && reviewsMatch) totalReviews = reviewsMatch[1].replace(/,/g, '');
+    }
+
+    // Image
+    const imageElement = SelectorRules.firstMatch(['img[data-testid="productTileImage"]', 'img'], productContainer, 'image');
+    const image = imageElement?.src || imageElement?.getAttribute('data-src') || null;
+
+    const product = {
+      title: title,
+      price: price,
+      rating: rating,
+      totalReviews: totalReviews,
+      image: image,
+      url: productUrl,
+      product_id: product_id,
+      retailer: 'walmart'
+    };
+
+    Logger.log('✅ Walmart product extracted:', product_id, title?.substring(0, 50));
+
+    // Add numeric priceValue and currency for sorting and totals
+    return PriceParser.normalizeProduct(product, window.location.hostname);
+  },
+
+  // ============================================
+  // PRODUCT DETAIL PAGE EXTRACTION
+  // ============================================
+
+  /**
+   * Extract product information from an item (/ip/) page
+   * @returns {Object|null} - Complete product information object
+   */
+  extractFromDetailPage() {
+    Logger.log('🔍 Extracting from Walmart item page...');
+
+    const productUrl = window.location.href.split('?')[0];
+    const product_id = this.extractProductIdFromUrl(productUrl);
+    if (!product_id) {
+      Logger.error('Could not extract item ID from URL');
+      return null;
+    }
+    ExtractionHealth.hit('product_id', 'url');
+
+    // Title
+    const titleElement = SelectorRules.firstMatch(['h1#main-title', 'h1[itemprop="name"]', 'h1'], document, 'title');
+    const title = this.cleanText(titleElement?.textContent);
+
+    // Price: itemprop content attribute, then visible price text
+    let price = null;
+    const priceElement = document.querySelector('[itemprop="price"]');
+    if (priceElement) {
+      price = this.extractPrice(priceElement);
+      if (price) ExtractionHealth.hit('price', 'selector:[itemprop="price"]');
+      if (!price && priceElement.getAttribute('content')) {
+        price = `$${priceElement.getAttribute('content')}`;
+        ExtractionHealth.hit('price', 'attribute:content');
+      }
+    }
+    if (!price) {
+      price = this.extractPrice(document.querySelector('[data-testid="price-wrap"]'));
+      if (price) ExtractionHealth.hit('price', 'selector:[data-testid="price-wrap"]');
+    }
+
+    // Rating: itemprop, then "(4.5)" rating number
+    let rating = this.cleanText(document.querySelector('[itemprop="ratingValue"]')?.textContent);
+    if (rating) {
+      ExtractionHealth.hit('rating', 'selector:[itemprop="ratingValue"]');
+    } else {
+      const ratingMatch = document.querySelector('.rating-number')?.textContent.match(/([\d.]+)/);
+      rating = ratingMatch ? ratingMatch[1] : null;
+      if (rating) ExtractionHealth.hit('rating', 'selector:.rating-number');
+    }
+
+    // Reviews count: itemprop, then "1,234 reviews" link
+    let totalReviews = this.cleanText(document.querySelector('[itemprop="reviewCount"]')?.textContent);
+    if (!totalReviews) {
+      const reviewsLink = document.querySelector('[link-identifier="reviewsLink"]') ||
+                          document.querySelector('a[href*="/reviews/product/"]');
+      const reviewsMatch = reviewsLink?.textContent.match(/([\d,]+)/);
+      totalReviews = reviewsMatch ? reviewsMatch[1].replace(/,/g, '') : null;
+    }
+
+    // Images
+    const images = [];
+    document.querySelectorAll('[data-testid="hero-image-container"] img, [data-testid="media-thumbnail"] img').forEach(img => {
+      const src = img.src || img.getAttribute('data-src');
+      if (src && !src.includes('data:image') && !images.includes(src)) {
+        images.push(src);
+      }
+    });
+
+    // "About this item" bullets
+    const featureBullets = [];
+    document.querySelectorAll('[data-testid="product-description-content"] li, #product-description-section li').forEach(li => {
+      const text = this.cleanText(li.textContent);
+      if (text) featureBullets.push(text);
+    });
+
+    // Description
+    const descriptionElement = document.querySelector('[data-testid="product-description-content"]') ||
+                               document.querySelector('#product-description-section');
+    const description = this.cleanText(descriptionElement?.textContent);
+
+    const product = {
+      title: title,
+      price: price,
+      rating: rating,
+      totalReviews: totalReviews,
+      image: images[0] || null,
+      images: images,
+      url: productUrl,
+      product_id: product_id,
+      retailer: 'walmart',
+      extractedFrom: 'detail-page',
+      featureBullets: featureBullets,
+      description: description
+    };
+
+    Logger.log('✅ Walmart item extracted:', product_id, title?.substring(0, 50));
+
+    // Add numeric priceValue and currency for sorting and totals
+    return PriceParser.normalizeProduct(product, window.location.hostname);
+  },
+
+  // ============================================
+  // BUTTON INSERTION
+  // ============================================
+
+  /**
+   * Find all insertion points for Compare buttons on the current page
+   * @returns {Array<Object>} - Insertion data (insertionPoint, productContainer, asin, uuid, id)
+   */
+  findInsertionPoints() {
+    if (this.isProductDetailPage()) {
+      const titleElement = document.querySelector('h1#main-title') || document.querySelector('h1[itemprop="name"]');
+      const itemId = this.extractProductIdFromUrl(window.location.href);
+      if (!titleElement || !itemId) return [];
+
+      return [{
+        insertionPoint: titleElement,
+        productContainer: null, // Main product doesn't have a container
+        asin: itemId, // Using asin field for consistency with content.js
+        uuid: null,
+        id: 'main-product'
+      }];
+    }
+
+    const insertionData = [];
+    const tiles = document.querySelectorAll('[data-item-id]');
+    Logger.log(`🔍 Walmart listing: Found ${tiles.length} product tiles`);
+
+    tiles.forEach((tile) => {
+      const itemId = tile.getAttribute('data-item-id');
+      const titleElement = tile.querySelector('[data-automation-id="product-title"]');
+      if (!itemId || !titleElement) return;
+
+      insertionData.push({
+        insertionPoint: titleElement,
+        productContainer: tile,
+        asin: itemId,
+        uuid: null,
+        id: itemId
+      });
+    });
+
+    return insertionData;
+  },
+
+  /**
+   * Create a compare button element
+   * @param {Element} insertionPoint - The element where button is inserted
+   * @param {Element} productContainer - The product tile (null for the main product)
+   * @param {Object} metadata - Product metadata (asin, uuid, id)
+   * @param {Function} onClickHandler - Click handler function
+   * @returns {Element} - Button element
+   */
+  createCompareButton(insertionPoint, productContainer, metadata, onClickHandler) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = 'Compare';
+    button.className = 'smart-compare-btn walmart-compare-btn';
+    button.setAttribute('data-compare-button', 'true');
+    button.setAttribute('data-smart-product-id', metadata.asin || metadata.id);
+
+    // Store metadata on button for click handler
+    button._productContainer = productContainer;
+    button._productMetadata = metadata;
+
+    // Walmart tiles are wrapped in a full-tile link - keep the click on the button
+    button.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      onClickHandler(button);
+    }, true);
+
+    return button;
+  }
+};
+
+// Export for use in content.js
+window.WalmartExtractor = WalmartExtractor;
+
+Logger.log('✅ Walmart Extractor loaded');
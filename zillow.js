@@ -2,13 +2,19 @@
 // Handles property card extraction and Compare button insertion for Zillow
 
 window.ZillowExtractor = {
+  // Fields extraction health tracks (properties have no rating)
+  healthFields: ['title', 'price', 'image', 'product_id'],
+
+  // Selectors come from selector-rules.json (see selector-rules.js)
+  rules: SelectorRules.for('zillow'),
+
   // ============================================
   // PAGE TYPE DETECTION
   // ============================================
   
   isProductListPage() {
     // Check if we're on a search results page with property cards
-    return document.querySelectorAll('[data-test="property-card"]').length > 0;
+    return this.rules.all('propertyCard').length > 0;
   },
   
   isProductDetailPage() {
@@ -28,29 +34,32 @@ window.ZillowExtractor = {
     // Method 1: data-test="property-card" might have data-zpid or similar
     const zpid = propertyCard.getAttribute('data-zpid') || 
                  propertyCard.getAttribute('id') ||
-                 propertyCard.querySelector('[data-zpid]')?.getAttribute('data-zpid');
+                 this.rules.first('cardZpid', propertyCard)?.getAttribute('data-zpid');
     
     if (zpid) {
+      ExtractionHealth.hit('product_id', 'attribute:data-zpid');
       Logger.log('  Found property ID (zpid):', zpid);
       return zpid;
     }
     
     // Method 2: Extract from property card link href
-    const linkElement = propertyCard.querySelector('[data-test="property-card-link"]');
+    const linkElement = this.rules.first('cardLink', propertyCard);
     if (linkElement) {
       const href = linkElement.getAttribute('href');
       // Zillow URLs typically have zpid in them: /homedetails/address/12345_zpid/
       const zpidMatch = href?.match(/\/(\d+)_zpid/);
       if (zpidMatch) {
+        ExtractionHealth.hit('product_id', 'url');
         Logger.log('  Found property ID from URL:', zpidMatch[1]);
         return zpidMatch[1];
       }
     }
     
     // Method 3: Generate from card position as fallback
-    const cards = Array.from(document.querySelectorAll('[data-test="property-card"]'));
+    const cards = Array.from(this.rules.all('propertyCard'));
     const index = cards.indexOf(propertyCard);
     const fallbackId = `zillow-property-${index}-${Date.now()}`;
+    ExtractionHealth.hit('product_id', 'fallback:card-position');
     Logger.log('  Using fallback property ID:', fallbackId);
     return fallbackId;
   },
@@ -60,7 +69,7 @@ window.ZillowExtractor = {
   // ============================================
   
   findInsertionPoints() {
-    const propertyCards = document.querySelectorAll('[data-test="property-card"]');
+    const propertyCards = this.rules.all('propertyCard');
     
     if (propertyCards.length === 0) {
       Logger.log('No property cards found on this page');
@@ -80,7 +89,7 @@ window.ZillowExtractor = {
       }
       
       // Find the property-card-link to insert button next to it
-      const linkElement = card.querySelector('[data-test="property-card-link"]');
+      const linkElement = this.rules.first('cardLink', card);
       
       if (!linkElement) {
         Logger.warn(`  Skipping card ${index}: No property-card-link found`);
@@ -115,30 +124,13 @@ window.ZillowExtractor = {
       return null;
     }
     
-    // Extract address
-    let address = '';
-    const addressElement = propertyCard.querySelector('address');
-    if (addressElement) {
-      address = addressElement.textContent.trim();
-    } else {
-      const linkElement = propertyCard.querySelector('[data-test="property-card-link"]');
-      if (linkElement) {
-        address = linkElement.textContent.trim();
-      }
-    }
+    // Extract address (address element, then the card link)
+    const addressElement = this.rules.first('cardAddress', propertyCard, 'title');
+    const address = addressElement ? addressElement.textContent.trim() : '';
     
-    // Extract price
-    let price = '';
-    const priceElement = propertyCard.querySelector('[data-test="property-card-price"]');
-    if (priceElement) {
-      price = priceElement.textContent.trim();
-    } else {
-      const titleLinkElement = propertyCard.querySelector('[data-test="property-card-title-link"]');
-      if (titleLinkElement) {
-        // Sometimes price is in title-link
-        price = titleLinkElement.textContent.trim();
-      }
-    }
+    // Extract price (sometimes it is only in the title link)
+    const priceElement = this.rules.first('cardPrice', propertyCard, 'price');
+    const price = priceElement ? priceElement.textContent.trim() : '';
     
     // Extract property details (beds, baths, sqft, property type)
     let beds = '';
@@ -147,8 +139,7 @@ window.ZillowExtractor = {
     let propertyType = '';
     
     // Try both data-test and data-testid
-    const detailsElement = propertyCard.querySelector('[data-test="property-card-details"]') ||
-                          propertyCard.querySelector('[data-testid="property-card-details"]');
+    const detailsElement = this.rules.first('cardDetails', propertyCard);
     
     if (detailsElement) {
       const detailsText = detailsElement.textContent.trim();
@@ -176,7 +167,7 @@ window.ZillowExtractor = {
     
     // Extract property images using TreeWalker
     const images = [];
-    const imgElements = propertyCard.querySelectorAll('img');
+    const imgElements = this.rules.all('cardImages', propertyCard);
     imgElements.forEach(img => {
       const src = img.getAttribute('src') || img.getAttribute('data-src');
       if (src && !src.includes('data:image') && !images.includes(src)) {
@@ -186,7 +177,7 @@ window.ZillowExtractor = {
     
     // Extract property quick info (badges like "New", "Price cut", etc.)
     const quickInfo = [];
-    const badgeElements = propertyCard.querySelectorAll('[class*="StyledPropertyCardBadge"]');
+    const badgeElements = this.rules.all('cardBadges', propertyCard);
     const seenBadges = new Set();
     
     badgeElements.forEach(badge => {
@@ -199,7 +190,7 @@ window.ZillowExtractor = {
     
     // Get property URL
     let propertyUrl = '';
-    const linkElement = propertyCard.querySelector('[data-test="property-card-title-link"]');
+    const linkElement = this.rules.first('cardTitleLink', propertyCard);
     if (linkElement) {
       const href = linkElement.getAttribute('href');
       propertyUrl = href?.startsWith('http') ? href : `https://www.zillow.com${href}`;
@@ -223,6 +214,9 @@ window.ZillowExtractor = {
       extractedAt: new Date().toISOString()
     };
     
+    // Normalize "$450K", "$1.2M" and "$2,100/mo" into priceValue/currency
+    PriceParser.normalizeProduct(product, window.location.hostname);
+    
     Logger.log('✅ Property extracted:', {
       id: propertyId,
       address: address.substring(0, 50),
@@ -246,42 +240,20 @@ window.ZillowExtractor = {
       return null;
     }
     const zpid = zpidMatch[1];
+    ExtractionHealth.hit('product_id', 'url');
     
-    // Extract address and price from home-info
-    let address = '';
-    let price = '';
-    
-    const homeInfoContainer = document.querySelector('[data-testid="home-info"]');
-    if (homeInfoContainer) {
-      const addressElement = homeInfoContainer.querySelector('h1');
-      if (addressElement) {
-        address = addressElement.textContent.trim();
-      }
-    }
-    
-    // Extract price from data-testid="price"
-    const priceElement = document.querySelector('[data-testid="price"]');
-    if (priceElement) {
-      price = priceElement.textContent.trim();
-    }
-    
-    // Fallback for address and price
-    if (!address) {
-      const addressElement = document.querySelector('h1[data-test="property-address"]') || document.querySelector('h1');
-      address = addressElement ? addressElement.textContent.trim() : '';
-    }
-    if (!price) {
-      const fallbackPrice = document.querySelector('[data-test="property-price"]');
-      price = fallbackPrice ? fallbackPrice.textContent.trim() : '';
-    }
+    // Extract address and price (home-info heading and price first, then older layouts)
+    const addressElement = this.rules.first('detailAddress', document, 'title');
+    const address = addressElement ? addressElement.textContent.trim() : '';
+    const priceElement = this.rules.first('detailPrice', document, 'price');
+    const price = priceElement ? priceElement.textContent.trim() : '';
     
     // Extract beds, baths, sqft from bed-bath-sqft
     let beds = '';
     let baths = '';
     let sqft = '';
     
-    const bedBathContainer = document.querySelector('[data-testid="mobile-bed-bath-sqft"]') ||
-                            document.querySelector('[data-testid="desktop-bed-bath-sqft"]');
+    const bedBathContainer = this.rules.first('bedBathSqft');
     if (bedBathContainer) {
       const text = bedBathContainer.textContent;
       Logger.log('🛏️ Bed/Bath/Sqft text:', text);
@@ -302,7 +274,7 @@ window.ZillowExtractor = {
     let heating = '';
     let cooling = '';
     
-    const glanceContainer = document.querySelector('[data-testid="at-a-glance"]');
+    const glanceContainer = this.rules.first('atAGlance');
     if (glanceContainer) {
       const factsText = glanceContainer.textContent;
       Logger.log('📊 At a glance text:', factsText);
@@ -323,7 +295,7 @@ window.ZillowExtractor = {
     
     // Extract description
     let description = '';
-    const descriptionElement = document.querySelector('[data-testid="description"]');
+    const descriptionElement = this.rules.first('description');
     if (descriptionElement) {
       const fullDesc = descriptionElement.textContent.trim();
       description = fullDesc.length > 200 ? fullDesc.substring(0, 200) + '...' : fullDesc;
@@ -334,7 +306,7 @@ window.ZillowExtractor = {
     let views = '';
     let saves = '';
     
-    const statsContainers = Array.from(document.querySelectorAll('[class*="StyledOverviewStats"]'));
+    const statsContainers = Array.from(this.rules.all('overviewStats'));
     for (const container of statsContainers) {
       const statsText = container.textContent.trim();
       
@@ -351,7 +323,7 @@ window.ZillowExtractor = {
     
     // Extract estimated monthly payment
     let estimatedMonthly = '';
-    const paymentModule = document.querySelector('[data-testid="chip-personalize-payment-module"]');
+    const paymentModule = this.rules.first('paymentModule');
     if (paymentModule) {
       const paymentText = paymentModule.textContent;
       const paymentMatch = paymentText.match(/\$[\d,]+/);
@@ -362,15 +334,15 @@ window.ZillowExtractor = {
     
     // Extract nearby schools
     let nearbySchools = '';
-    const inlineContainers = document.querySelectorAll('[data-renderstrat="inline"]');
+    const inlineContainers = this.rules.all('inlineSections');
     
     for (const container of inlineContainers) {
-      const h2 = container.querySelector('h2');
+      const h2 = this.rules.first('sectionHeading', container);
       if (h2 && h2.textContent.trim() === 'Nearby schools') {
         const schools = [];
         
         // Try to find school elements within this container
-        const schoolElements = container.querySelectorAll('li, [class*="school"]');
+        const schoolElements = this.rules.all('schoolItems', container);
         
         schoolElements.forEach((schoolEl, index) => {
           if (index >= 3) return; // Only top 3 schools
@@ -401,7 +373,7 @@ window.ZillowExtractor = {
     
     // Extract images
     const images = [];
-    const imageElements = document.querySelectorAll('[data-test="property-photo"] img, [class*="MediaCarousel"] img, picture img');
+    const imageElements = this.rules.all('detailImages');
     imageElements.forEach(img => {
       const src = img.src || img.getAttribute('data-src');
       if (src && !src.includes('data:image') && !images.includes(src)) {
@@ -440,6 +412,9 @@ window.ZillowExtractor = {
       nearbySchools: nearbySchools
     };
     
+    // Normalize "$450K", "$1.2M" and "$2,100/mo" into priceValue/currency
+    PriceParser.normalizeProduct(product, window.location.hostname);
+    
     Logger.log('✅ Property extracted from detail page:', {
       id: zpid,
       address: address.substring(0, 50),
@@ -458,6 +433,33 @@ window.ZillowExtractor = {
     return product;
   },
 
+  // ============================================
+  // BACKGROUND ENRICHMENT
+  // ============================================
+  
+  // Called by content.js once a property is stored - fetch detail-page data in a hidden tab
+  onProductAdded(product, propertyCard) {
+    // Background enrichment can be switched off on the options page
+    if (!Config.settings.zillowEnrichment) {
+      Logger.log('⏭️ Zillow background enrichment disabled in settings');
+      return;
+    }
+    
+    const linkElement = propertyCard && this.rules.first('cardTitleLink', propertyCard);
+    if (!linkElement) return;
+    
+    const href = linkElement.getAttribute('href');
+    const fullUrl = href?.startsWith('http') ? href : `https://www.zillow.com${href}`;
+    
+    Logger.log('🔄 Fetching additional details in background:', fullUrl);
+    
+    chrome.runtime.sendMessage({
+      action: 'fetchPropertyDetails',
+      url: fullUrl,
+      productId: product.product_id
+    });
+  },
+
   // ============================================
   // COMPARE BUTTON CREATION
   // ============================================
@@ -473,59 +475,14 @@ window.ZillowExtractor = {
     button._productContainer = productContainer;
     button._productMetadata = metadata;
     
-    // Add click handler with two-phase extraction
+    // Add click handler - Phase 1 (card extraction + storage) runs through the shared
+    // click handler, Phase 2 (background enrichment) runs from onProductAdded
     button.addEventListener('click', (e) => {
       e.preventDefault();
       e.stopPropagation();
       e.stopImmediatePropagation();
       
-      // Phase 1: Extract basic data from card immediately
-      const product = window.ZillowExtractor.extractFromListingPage(productContainer);
-      
-      if (product) {
-        // Add to storage immediately
-        chrome.storage.local.get(['comparison_items'], (result) => {
-          const items = result.comparison_items || [];
-          
-          product.status = 'active';
-          product.addedAt = new Date().toISOString();
-          
-          const existingIndex = items.findIndex(item => item.product_id === product.product_id);
-          
-          if (existingIndex !== -1) {
-            items[existingIndex] = { ...product, updatedAt: new Date().toISOString() };
-          } else {
-            const activeItems = items.filter(item => item.status === 'active');
-            if (activeItems.length >= 5) {
-              alert('Maximum 5 items can be compared');
-              return;
-            }
-            items.push(product);
-          }
-          
-          chrome.storage.local.set({ comparison_items: items }, () => {
-            const activeCount = items.filter(item => item.status === 'active').length;
-            
-            // Update badge
-            chrome.runtime.sendMessage({ action: 'updateBadge', count: activeCount });
-            
-            // Phase 2: Fetch additional details in background
-            const linkElement = productContainer.querySelector('[data-test="property-card-title-link"]');
-            if (linkElement) {
-              const href = linkElement.getAttribute('href');
-              const fullUrl = href?.startsWith('http') ? href : `https://www.zillow.com${href}`;
-              
-              Logger.log('🔄 Fetching additional details in background:', fullUrl);
-              
-              chrome.runtime.sendMessage({
-                action: 'fetchPropertyDetails',
-                url: fullUrl,
-                productId: product.product_id
-              });
-            }
-          });
-        });
-      }
+      clickHandler(button);
     }, true); // Use capture phase
     
     // Add Zillow-specific styling with absolute positioning